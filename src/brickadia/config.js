@@ -6,37 +6,306 @@ const file = require('../util/file.js');
 const CONFIG_PATH = 'Saved/Config/LinuxServer';
 const SERVER_SETTINGS = '/ServerSettings.ini';
 
-// Function that writes config
+// section of ServerSettings.ini that contains the server settings
+const SETTINGS_SECTION =
+  'Server__BP_ServerSettings_General_C BP_ServerSettings_General_C';
+
+// every field in ServerSettings.ini and the omegga config `server` key it comes from
+const SETTINGS_FIELDS = [
+  {
+    key: 'name',
+    ini: 'ServerName',
+    type: 'string',
+    default: '',
+    description: 'Name of the server in the server list',
+  },
+  {
+    key: 'description',
+    ini: 'ServerDescription',
+    type: 'string',
+    default: '',
+    description: 'Description of the server in the server list',
+  },
+  {
+    key: 'password',
+    ini: 'ServerPassword',
+    type: 'password',
+    default: '',
+    description: 'Password required to join the server',
+  },
+  {
+    key: 'players',
+    ini: 'MaxPlayers',
+    type: 'integer',
+    min: 1,
+    default: 20,
+    description: 'Max number of players on the server',
+  },
+  {
+    key: 'publiclyListed',
+    ini: 'bPubliclyListed',
+    type: 'boolean',
+    default: true,
+    description: 'Show the server in the server list',
+  },
+  {
+    key: 'welcomeMessage',
+    ini: 'WelcomeMessage',
+    type: 'string',
+    quoted: true,
+    default: '',
+    description: 'Message shown to players when they join',
+  },
+  {
+    key: 'maxSelectedBricks',
+    ini: 'MaxSelectedBricks',
+    type: 'integer',
+    min: 0,
+    default: 1000,
+    description: 'Max number of bricks a player can select at once',
+  },
+  {
+    key: 'maxPlacedBricks',
+    ini: 'MaxPlacedBricks',
+    type: 'integer',
+    min: 0,
+    default: 1000,
+    description: 'Max number of bricks a player can place at once',
+  },
+  {
+    key: 'selectionTimeout',
+    ini: 'SelectionTimeout',
+    type: 'float',
+    min: 0,
+    default: 2,
+    description: 'Seconds a player has to wait between selections',
+  },
+  {
+    key: 'placeTimeout',
+    ini: 'PlaceTimeout',
+    type: 'float',
+    min: 0,
+    default: 2,
+    description: 'Seconds a player has to wait between placing templates',
+  },
+  {
+    key: 'globalRulesetSelfDamage',
+    ini: 'bGlobalRulesetSelfDamage',
+    type: 'boolean',
+    default: true,
+    description: 'Players can damage themselves outside of minigames',
+  },
+  {
+    key: 'globalRulesetPhysicsDamage',
+    ini: 'bGlobalRulesetPhysicsDamage',
+    type: 'boolean',
+    default: false,
+    description: 'Physics objects can damage players outside of minigames',
+  },
+];
+
+/*
+  parse an ini file into sections and lines
+  unknown keys, comments, and blank lines are kept so the file can be written back unchanged
+  {
+    sections: [{
+      name: 'Section' (null for lines before the first section),
+      lines: [{ key, value } or { raw }],
+    }]
+  }
+*/
+function parse(text) {
+  const ini = { sections: [{ name: null, lines: [] }] };
+  let section = ini.sections[0];
+
+  for (const line of text.split(/\r?\n/)) {
+    const sectionMatch = line.match(/^\s*\[(.+)\]\s*$/);
+    const keyMatch = line.match(/^([^=;#\s][^=]*)=(.*)$/);
+    if (sectionMatch) {
+      section = { name: sectionMatch[1], lines: [] };
+      ini.sections.push(section);
+    } else if (keyMatch) {
+      section.lines.push({ key: keyMatch[1].trim(), value: keyMatch[2] });
+    } else {
+      section.lines.push({ raw: line });
+    }
+  }
+
+  // the file always ends with a newline, which leaves an extra blank line
+  const last = section.lines[section.lines.length - 1];
+  if (last && last.raw === '') section.lines.pop();
+
+  return ini;
+}
+
+// turn parsed ini back into text
+function serialize(ini) {
+  const lines = [];
+  for (const section of ini.sections) {
+    if (section.name !== null) lines.push(`[${section.name}]`);
+    for (const line of section.lines)
+      lines.push('raw' in line ? line.raw : `${line.key}=${line.value}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// get a raw value from parsed ini
+function getValue(ini, sectionName, key) {
+  const section = ini.sections.find(s => s.name === sectionName);
+  const line = section && section.lines.find(l => l.key === key);
+  return line ? line.value : undefined;
+}
+
+// set a raw value in parsed ini, creating the section and key if necessary
+function setValue(ini, sectionName, key, value) {
+  let section = ini.sections.find(s => s.name === sectionName);
+  if (!section) {
+    section = { name: sectionName, lines: [] };
+    ini.sections.push(section);
+  }
+
+  const line = section.lines.find(l => l.key === key);
+  if (line) line.value = value;
+  else section.lines.push({ key, value });
+}
+
+// convert an ini value into a js value for a field
+function decodeField(field, value) {
+  if (typeof value === 'undefined') return field.default;
+  switch (field.type) {
+    case 'boolean':
+      return value.trim().toLowerCase() === 'true';
+    case 'integer':
+      return parseInt(value) || 0;
+    case 'float':
+      return parseFloat(value) || 0;
+    default:
+      // remove quotes around quoted strings
+      if (field.quoted && value.match(/^".*"$/)) return value.slice(1, -1);
+      return value;
+  }
+}
+
+// convert a js value into an ini value for a field
+function encodeField(field, value) {
+  switch (field.type) {
+    case 'boolean':
+      return value ? 'True' : 'False';
+    case 'integer':
+      return Math.round(value).toString();
+    case 'float':
+      return Number(value).toFixed(6);
+    default: {
+      // strings can't span multiple lines
+      const str = (value ?? '').toString().replace(/[\r\n]+/g, ' ');
+      return field.quoted ? `"${str.replace(/"/g, "'")}"` : str;
+    }
+  }
+}
+
+// check if a value can be used for a field, returns an error message if not
+function validateField(field, value) {
+  switch (field.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') return `${field.key} must be a boolean`;
+      break;
+    case 'integer':
+    case 'float':
+      if (typeof value !== 'number' || !isFinite(value))
+        return `${field.key} must be a number`;
+      if (field.type === 'integer' && Math.round(value) !== value)
+        return `${field.key} must be a whole number`;
+      if (typeof field.min === 'number' && value < field.min)
+        return `${field.key} must be at least ${field.min}`;
+      if (typeof field.max === 'number' && value > field.max)
+        return `${field.key} must be at most ${field.max}`;
+      break;
+    default:
+      if (typeof value !== 'string') return `${field.key} must be a string`;
+      if (value.match(/[\r\n]/))
+        return `${field.key} must not contain line breaks`;
+  }
+}
+
+// validate an object of settings, returns a list of errors
+function validate(settings) {
+  const errors = [];
+  for (const key in settings) {
+    const field = SETTINGS_FIELDS.find(f => f.key === key);
+    if (!field) {
+      errors.push(`${key} is not a server setting`);
+      continue;
+    }
+    const error = validateField(field, settings[key]);
+    if (error) errors.push(error);
+  }
+  return errors;
+}
+
+// path to the ServerSettings.ini file
+const settingsFile = serverPath =>
+  path.join(serverPath, CONFIG_PATH, SERVER_SETTINGS);
+
+// read and parse ServerSettings.ini, empty if the file doesn't exist
+function readIni(serverPath) {
+  const settingsPath = settingsFile(serverPath);
+  if (!fs.existsSync(settingsPath)) return parse('');
+  return parse(fs.readFileSync(settingsPath, 'utf8'));
+}
+
+// write the settings (by omegga config key) into ServerSettings.ini
+// keys and sections omegga doesn't know about are kept as they are
+// fields missing from the file and the settings are filled in with defaults
+function writeSettings(serverPath, settings) {
+  const ini = readIni(serverPath);
+
+  for (const field of SETTINGS_FIELDS) {
+    if (typeof settings[field.key] !== 'undefined')
+      setValue(
+        ini,
+        SETTINGS_SECTION,
+        field.ini,
+        encodeField(field, settings[field.key])
+      );
+    else if (typeof getValue(ini, SETTINGS_SECTION, field.ini) === 'undefined')
+      setValue(
+        ini,
+        SETTINGS_SECTION,
+        field.ini,
+        encodeField(field, field.default)
+      );
+  }
+
+  file.mkdir(path.join(serverPath, CONFIG_PATH));
+  fs.writeFileSync(settingsFile(serverPath), serialize(ini));
+}
+
 module.exports = {
+  SETTINGS_FIELDS,
+  parse,
+  serialize,
+  validate,
+  readIni,
+  writeSettings,
+
+  // write the `server` category of an omegga config into ServerSettings.ini
   write(serverPath, config) {
-    const configPath = path.join(serverPath, CONFIG_PATH);
-    const settingsPath = path.join(configPath, SERVER_SETTINGS);
-
-    file.mkdir(configPath);
-
-    fs.writeFileSync(
-      settingsPath,
-      `[Server__BP_ServerSettings_General_C BP_ServerSettings_General_C]
-MaxSelectedBricks=1000
-MaxPlacedBricks=1000
-SelectionTimeout=2.000000
-PlaceTimeout=2.000000
-ServerName=${config.server.name || ''}
-ServerDescription=${config.server.description || ''}
-ServerPassword=${config.server.password || ''}
-MaxPlayers=${config.server.players || 20}
-bPubliclyListed=${
-        typeof config.server.publiclyListed === 'undefined' ||
-        config.server.publiclyListed
-          ? 'True'
-          : 'False'
-      }
-WelcomeMessage="${config.server.welcomeMessage || ''}"
-bGlobalRulesetSelfDamage=True
-bGlobalRulesetPhysicsDamage=False`
-    );
-  },
-  read() {
-    // TODO: Implement server config reading
+    const settings = {};
+    for (const field of SETTINGS_FIELDS)
+      if (typeof config.server[field.key] !== 'undefined')
+        settings[field.key] = config.server[field.key];
+    writeSettings(serverPath, settings);
+  },
+
+  // read ServerSettings.ini into an object with the same keys as the omegga config
+  read(serverPath) {
+    const ini = readIni(serverPath);
+    const settings = {};
+    for (const field of SETTINGS_FIELDS)
+      settings[field.key] = decodeField(
+        field,
+        getValue(ini, SETTINGS_SECTION, field.ini)
+      );
+    return settings;
   },
 };
@@ -0,0 +1,699 @@
+/*
+  Fake Brickadia Server
+  Stands in for BrickadiaServer without the game, answering console commands
+  with log lines in the same format as the real server
+*/
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const brs = require('brs-js');
+require('colors');
+
+const { map: mapUtils } = require('../util/index.js');
+
+const verboseLog = (...args) => {
+  if (!global.VERBOSE) return;
+  if (Omegga.log) Omegga.log('V>'.magenta, ...args);
+  else console.log('V>'.magenta, ...args);
+};
+
+// generic log line pattern, used to keep timestamps from replayed logs
+const TIMESTAMP_REGEX =
+  /^\[(?<date>\d{4})\.(?<month>\d\d)\.(?<day>\d\d)-(?<hour>\d\d)\.(?<min>\d\d)\.(?<sec>\d\d):(?<ms>\d{3})\]\[\s*\d+\]/;
+
+// how long the fake server takes to respond to a command
+const RESPONSE_DELAY = 5;
+
+// object ids start near the top of the int range like in the game
+const FIRST_OBJECT_ID = 2147482000;
+
+const HOST = {
+  name: 'SimulatedHost',
+  id: '00000000-0000-4000-8000-000000000000',
+};
+
+// role setup written when the data folder doesn't have one
+const DEFAULT_ROLE_SETUP = {
+  roles: [
+    {
+      name: 'Admin',
+      permissions: [],
+      color: { r: 255, g: 0, b: 0, a: 255 },
+      bHasColor: true,
+    },
+    {
+      name: 'Moderator',
+      permissions: [],
+      color: { r: 0, g: 128, b: 255, a: 255 },
+      bHasColor: true,
+    },
+  ],
+  defaultRole: {
+    name: 'Default',
+    permissions: [],
+    color: { r: 255, g: 255, b: 255, a: 255 },
+    bHasColor: false,
+  },
+  ownerRoleColor: { r: 255, g: 255, b: 0, a: 255 },
+  bOwnerRoleHasColor: true,
+};
+
+// brickadia's timestamp format (YYYY.MM.DD-HH.MM.SS)
+function brickadiaTime(date = new Date()) {
+  const pad = n => n.toString().padStart(2, '0');
+  return (
+    [
+      date.getUTCFullYear(),
+      pad(date.getUTCMonth() + 1),
+      pad(date.getUTCDate()),
+    ].join('.') +
+    '-' +
+    [
+      pad(date.getUTCHours()),
+      pad(date.getUTCMinutes()),
+      pad(date.getUTCSeconds()),
+    ].join('.')
+  );
+}
+
+// duration in the format Server.Status uses (1h 2m 3s)
+function statusDuration(ms) {
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms / 60000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  return [h && `${h}h`, (h || m) && `${m}m`, `${s}s`].filter(Boolean).join(' ');
+}
+
+// split console command arguments, keeping "quoted strings" together
+function splitArgs(str) {
+  return (str.match(/"[^"]*"|\S+/g) || []).map(a =>
+    a.replace(/^"(.*)"$/, '$1')
+  );
+}
+
+// `Key=Value` filters from a GetAll command
+function getAllFilters(args) {
+  return Object.fromEntries(
+    args.filter(a => a.includes('=')).map(a => a.split('=', 2))
+  );
+}
+
+class FakeBrickadiaServer extends EventEmitter {
+  // bricks currently in the world as brs-js save data
+  #world = null;
+  #counter = 0;
+  #nextObjectId = FIRST_OBJECT_ID;
+  #running = false;
+  #hung = false;
+  #timeouts = new Set();
+
+  constructor(dataPath, config) {
+    super();
+    this.config = config;
+    // use the data path if it's absolute, otherwise build an absolute path
+    this.path =
+      path.isAbsolute(dataPath) || dataPath.startsWith('/')
+        ? dataPath
+        : path.join(process.cwd(), dataPath);
+    this.savePath = path.join(this.path, 'Saved/Builds');
+    this.configPath = path.join(this.path, 'Saved/Server');
+
+    /** @type {Array<Object>} online players { name, id, controller, state, pawn, address, position, dead, joined } */
+    this.players = [];
+    /** @type {Array<String>} messages sent with Chat.Broadcast */
+    this.broadcasts = [];
+    this.host = HOST;
+    this.map = mapUtils.n2brn(config?.server?.map || 'Plate');
+    this.startTime = 0;
+  }
+
+  // start the fake server and log in as the host
+  start() {
+    if (this.#running) return;
+    verboseLog('Starting', 'simulated brickadia server'.yellow);
+    this.#running = true;
+    this.#hung = false;
+    this.startTime = Date.now();
+    this.players = [];
+    this.#world = this.#emptyWorld();
+    this.#writeDefaultConfigs();
+
+    this.#later(() => {
+      this.log('LogInit', 'Build: simulated');
+      this.log('LogInit', 'Omegga simulated server, no game running');
+      this.log('LogLoad', `Took 0.10 seconds to LoadMap(${this.map})`);
+      this.log('LogAuthManager', `Logged in as ${HOST.name} (${HOST.id}).`);
+      this.log(
+        'LogAuthManager',
+        'Changing AuthState from Pending to ValidOnline.'
+      );
+    }, 50);
+  }
+
+  // shut down the fake server, the closed event happens like a killed process
+  stop() {
+    if (!this.#running) {
+      verboseLog('Cannot stop server as no subprocess exists');
+      return;
+    }
+    verboseLog('Stopping simulated server');
+    this.log('LogExit', 'Game engine shut down');
+    this.#close(null, 'SIGINT');
+  }
+
+  // write a string to the fake server
+  write(str) {
+    for (const line of str.split('\n'))
+      if (line.trim()) this.#exec(line.trim());
+  }
+
+  writeln(line) {
+    this.write(line + '\n');
+  }
+
+  /**
+   * emit a log line with a timestamp and frame counter
+   * @param {String} generator - like LogChat
+   * @param {String} data - rest of the line
+   * @param {Number} [counter] - frame counter, defaults to a new frame
+   */
+  log(generator, data, counter = this.#nextCounter()) {
+    this.raw(`${this.#prefix(counter)}${generator}: ${data}`);
+  }
+
+  // emit a line as it is
+  raw(line) {
+    this.emit('line', line);
+  }
+
+  /**
+   * simulate a player joining
+   * @param {String} name
+   * @param {Object} [options] - { id, address }
+   * @return {Object} the player
+   */
+  join(name, { id = crypto.randomUUID(), address = '127.0.0.1' } = {}) {
+    if (!this.#running) throw 'server is not running';
+    if (this.players.some(p => p.name === name))
+      throw 'player is already online';
+
+    const player = {
+      name,
+      id,
+      address,
+      controller: 'BP_PlayerController_C_' + this.#nextObjectId++,
+      state: 'BP_PlayerState_C_' + this.#nextObjectId++,
+      pawn: 'BP_FigureV2_C_' + this.#nextObjectId++,
+      position: [0, 0, 25],
+      dead: false,
+      joined: Date.now(),
+    };
+    this.players.push(player);
+
+    // the join matcher expects these on the same frame
+    const counter = this.#nextCounter();
+    this.log('LogServerList', `UserName: ${name}`, counter);
+    this.log('LogServerList', `UserId: ${id}`, counter);
+    this.log('LogNet', `Join succeeded: ${name}`, counter);
+    return player;
+  }
+
+  /**
+   * simulate a player leaving
+   * @param {String} name - name or id
+   */
+  leave(name) {
+    const player = this.#findPlayer(name);
+    if (!player) throw 'player is not online';
+    this.players.splice(this.players.indexOf(player), 1);
+    this.log(
+      'LogNet',
+      `UChannel::Close: Sending CloseBunch. ChIndex == 0. Name: [UChannel] ChIndex: 0, Closing: 0 [UNetConnection] RemoteAddr: ${
+        player.address
+      }:7777, Name: IpConnection_${player.controller.slice(
+        -4
+      )}, Driver: GameNetDriver IpNetDriver_0, IsServer: YES, PC: ${
+        player.controller
+      }, Owner: ${player.controller}, UniqueId: INVALID`
+    );
+  }
+
+  /**
+   * simulate a chat message, messages starting with / are commands
+   * @param {String} name - name or id
+   * @param {String} message
+   */
+  chat(name, message) {
+    const player = this.#findPlayer(name);
+    if (!player) throw 'player is not online';
+
+    if (message.startsWith('/')) {
+      const [, command, args = ''] = message.match(/^\/(\S+)\s*(.*)$/) ?? [];
+      this.log(
+        'LogChatCommands',
+        `Player ${player.name} is trying to call command "/${command}" with arg string "${args}".`
+      );
+      return;
+    }
+
+    const escaped = message
+      .replace(/;/g, '&scl;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+    this.log('LogChat', `${player.name}: ${escaped}`);
+  }
+
+  /**
+   * move a player's character
+   * @param {String} name - name or id
+   * @param {Array<Number>} position - [x, y, z]
+   */
+  move(name, position) {
+    const player = this.#findPlayer(name);
+    if (!player) throw 'player is not online';
+    player.position = position.map(Number);
+  }
+
+  /**
+   * simulate the process exiting unexpectedly
+   * @param {Number} [code]
+   */
+  crash(code = 1) {
+    if (!this.#running) throw 'server is not running';
+    this.log('LogCore', 'Error: Simulated crash');
+    this.#close(code, null);
+  }
+
+  /**
+   * stop (or start) answering console commands, like a frozen server
+   * @param {Boolean} [hung]
+   */
+  hang(hung = true) {
+    this.#hung = hung;
+  }
+
+  /**
+   * replay a recorded brickadia log file
+   * lines are spaced out by their timestamps, divided by speed
+   * @param {String} file
+   * @param {Object} [options] - { speed, maxDelay }
+   * @return {Promise} resolves when every line has been replayed
+   */
+  async replay(file, { speed = 1, maxDelay = 5000 } = {}) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(file),
+      terminal: false,
+    });
+
+    let lastTime;
+    for await (const line of lines) {
+      if (!this.#running) break;
+      const time = this.#lineTime(line);
+      if (typeof time === 'number' && typeof lastTime === 'number') {
+        const delay = Math.min(Math.max(time - lastTime, 0) / speed, maxDelay);
+        if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+      }
+      if (typeof time === 'number') lastTime = time;
+      this.raw(line);
+    }
+  }
+
+  // -- console commands
+
+  #exec(line) {
+    if (!this.#running) return;
+    verboseLog('SIM'.green, line);
+    if (this.#hung) return;
+
+    const [, cmd, argString = ''] = line.match(/^(\S+)\s*(.*)$/) ?? [];
+    const args = splitArgs(argString);
+    const handler = this.#commands[cmd];
+    if (!handler) return;
+
+    this.#later(() => {
+      try {
+        handler.call(this, args, argString);
+      } catch (e) {
+        this.log('LogTemp', `Error: ${e}`);
+      }
+    });
+  }
+
+  // handlers for console commands the fake server understands
+  #commands = {
+    'Server.Status'() {
+      const counter = this.#nextCounter();
+      const out = data => this.log('LogConsoleCommands', data, counter);
+      const name = this.config?.server?.name ?? 'Simulated Server';
+      out(`Server Name: ${name}`);
+      out(`Description: ${this.config?.server?.description ?? ''}`);
+      out(`Bricks: ${this.#world.bricks.length}`);
+      out(`Components: 0`);
+      out(`Time: ${statusDuration(Date.now() - this.startTime)}`);
+      out(`Players: ${this.players.length}`);
+
+      // columns are padded to the widest value
+      const rows = [
+        ['Name', 'Ping', 'Time', 'Roles', 'Address', 'Id'],
+        ...this.players.map(p => [
+          p.name,
+          '20ms',
+          statusDuration(Date.now() - p.joined),
+          this.#getRoles(p.id).join(', '),
+          p.address + (p.id === HOST.id ? ' (Owner)' : ''),
+          p.id,
+        ]),
+      ];
+      const widths = rows[0].map((_, i) =>
+        Math.max(...rows.map(r => r[i].length))
+      );
+      for (const row of rows)
+        out(
+          '*' +
+            row
+              .map(
+                (cell, i) =>
+                  ' ' + cell.padEnd(widths[i]) + (i < row.length - 1 ? ' ' : '')
+              )
+              .join('|')
+        );
+    },
+
+    GetAll(args) {
+      const [className, property] = args;
+      const filters = getAllFilters(args);
+      const level = `${this.map}.${this.map.split('/').pop()}:PersistentLevel`;
+      const counter = this.#nextCounter();
+      let index = 0;
+      const out = data =>
+        this.raw(`${this.#prefix(counter)}${index++}) ${data}`);
+      const matchName = obj => !filters.Name || filters.Name === obj;
+
+      if (className === 'BP_PlayerController_C' && property === 'Pawn') {
+        for (const p of this.players.filter(p => matchName(p.controller)))
+          out(
+            `BP_PlayerController_C ${level}.${p.controller}.Pawn = ${
+              p.dead ? 'None' : `BP_FigureV2_C'${level}.${p.pawn}'`
+            }`
+          );
+      } else if (className === 'BP_FigureV2_C' && property === 'bIsDead') {
+        for (const p of this.players.filter(p => matchName(p.pawn)))
+          out(
+            `BP_FigureV2_C ${level}.${p.pawn}.bIsDead = ${
+              p.dead ? 'True' : 'False'
+            }`
+          );
+      } else if (
+        className === 'SceneComponent' &&
+        property === 'RelativeLocation'
+      ) {
+        for (const p of this.players.filter(
+          p => !p.dead && (!filters.Outer || filters.Outer === p.pawn)
+        )) {
+          const [x, y, z] = p.position.map(n => n.toFixed(6));
+          out(
+            `CapsuleComponent ${level}.${p.pawn}.CollisionCylinder.RelativeLocation = (X=${x},Y=${y},Z=${z})`
+          );
+        }
+      } else if (
+        className === 'BRPlayerState' &&
+        property === 'PlayerNamePrivate'
+      ) {
+        for (const p of this.players.filter(p => matchName(p.state)))
+          out(
+            `BP_PlayerState_C ${level}.${p.state}.PlayerNamePrivate = ${p.name}`
+          );
+      } else if (className === 'BRPlayerState' && property === 'Owner') {
+        for (const p of this.players.filter(p => matchName(p.state)))
+          out(
+            `BP_PlayerState_C ${level}.${p.state}.Owner = BP_PlayerController_C'${level}.${p.controller}'`
+          );
+      }
+    },
+
+    'Bricks.Save'(args) {
+      const [name] = args;
+      const file = path.join(this.savePath, name + '.brs');
+      const counter = this.#nextCounter();
+      this.log('LogBrickSerializer', `Saving bricks to ${file}...`, counter);
+
+      const { bricks, brick_owners } = this.#world;
+      if (bricks.length === 0) {
+        this.log('LogTemp', 'Error: No bricks in grid!', counter);
+        return;
+      }
+
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(
+        file,
+        brs.write({
+          ...this.#world,
+          map: mapUtils.brn2n(this.map),
+          author: { id: HOST.id, name: HOST.name },
+          host: { id: HOST.id, name: HOST.name },
+        })
+      );
+      this.log(
+        'LogBrickSerializer',
+        `Saved ${bricks.length} bricks and 0 components from ${brick_owners.length} owners`,
+        counter
+      );
+    },
+
+    'Bricks.Load'(args) {
+      const [name, x = 0, y = 0, z = 0] = args;
+      const file = path.join(this.savePath, name + '.brs');
+      const counter = this.#nextCounter();
+      this.log('LogBrickSerializer', `Loading bricks from ${file}...`, counter);
+
+      if (!fs.existsSync(file)) {
+        this.log(
+          'LogBrickSerializer',
+          `Error: ${file} does not exist`,
+          counter
+        );
+        return;
+      }
+      const save = brs.read(fs.readFileSync(file));
+      this.#addBricks(save, [x, y, z].map(Number));
+      this.log(
+        'LogBrickSerializer',
+        `Read ${save.bricks.length} bricks from ${file}`,
+        counter
+      );
+    },
+
+    'Bricks.ClearAll'() {
+      this.#world = this.#emptyWorld();
+      this.log('LogBrickGridManager', 'Cleared all bricks');
+    },
+
+    'Bricks.Clear'(args) {
+      const [target] = args;
+      const owners = this.#world.brick_owners;
+      const ownerIndex =
+        owners.findIndex(o => o.id === target || o.name === target) + 1;
+      if (ownerIndex === 0) return;
+      this.#world.bricks = this.#world.bricks.filter(
+        b => b.owner_index !== ownerIndex
+      );
+      this.log('LogBrickGridManager', `Cleared bricks of ${target}`);
+    },
+
+    'Chat.Broadcast'(_args, argString) {
+      this.broadcasts.push(argString);
+      this.emit('broadcast', argString);
+    },
+
+    ServerTravel(args) {
+      this.map = args[0];
+      this.#world = this.#emptyWorld();
+      this.log('LogLoad', `Took 0.10 seconds to LoadMap(${this.map})`);
+    },
+
+    'Chat.Command'(args) {
+      const [command, ...rest] = args;
+      const handler = this.#chatCommands[command.toLowerCase()];
+      if (handler) handler.call(this, rest);
+    },
+  };
+
+  // /commands run from the console with Chat.Command
+  #chatCommands = {
+    '/kick'([id]) {
+      if (this.#findPlayer(id)) this.leave(id);
+    },
+
+    '/ban'([id, minutes = -1, reason = '']) {
+      const now = new Date();
+      const expires =
+        Number(minutes) > 0 ? new Date(now.getTime() + minutes * 60000) : now;
+      this.#updateConfig('BanList.json', data => {
+        data.banList ??= {};
+        data.banList[id] = {
+          bannerId: HOST.id,
+          created: brickadiaTime(now),
+          expires: brickadiaTime(expires),
+          reason,
+        };
+      });
+      if (this.#findPlayer(id)) this.leave(id);
+    },
+
+    '/unban'([id]) {
+      this.#updateConfig('BanList.json', data => {
+        delete data.banList?.[id];
+      });
+    },
+
+    '/grantrole'([role, id]) {
+      this.#updateConfig('RoleAssignments.json', data => {
+        data.savedPlayerRoles ??= {};
+        const entry = (data.savedPlayerRoles[id] ??= { roles: [] });
+        if (!entry.roles.includes(role)) entry.roles.push(role);
+      });
+    },
+
+    '/revokerole'([role, id]) {
+      this.#updateConfig('RoleAssignments.json', data => {
+        const entry = data.savedPlayerRoles?.[id];
+        if (entry) entry.roles = entry.roles.filter(r => r !== role);
+      });
+    },
+  };
+
+  // -- helpers
+
+  #findPlayer(name) {
+    return this.players.find(p => p.name === name || p.id === name);
+  }
+
+  #getRoles(id) {
+    const data = this.#readConfig('RoleAssignments.json');
+    return data.savedPlayerRoles?.[id]?.roles ?? [];
+  }
+
+  #emptyWorld() {
+    return {
+      brick_assets: ['PB_DefaultBrick'],
+      colors: [],
+      materials: ['BMC_Plastic'],
+      brick_owners: [],
+      bricks: [],
+    };
+  }
+
+  // add bricks from a save to the world, remapping asset, material, and owner indices
+  #addBricks(save, [x, y, z]) {
+    const world = this.#world;
+    const indexIn = (list, item, key = v => v) => {
+      let i = list.findIndex(l => key(l) === key(item));
+      if (i === -1) i = list.push(item) - 1;
+      return i;
+    };
+
+    const assets = save.brick_assets.map(a => indexIn(world.brick_assets, a));
+    const materials = save.materials.map(m => indexIn(world.materials, m));
+    const owners = save.brick_owners.map(
+      o =>
+        indexIn(world.brick_owners, { id: o.id, name: o.name }, o => o.id) + 1
+    );
+
+    for (const brick of save.bricks) {
+      world.bricks.push({
+        ...brick,
+        asset_name_index: assets[brick.asset_name_index] ?? 0,
+        material_index: materials[brick.material_index] ?? 0,
+        owner_index: brick.owner_index ? owners[brick.owner_index - 1] : 0,
+        // indexed colors are from the save's colorset
+        color:
+          typeof brick.color === 'number'
+            ? save.colors[brick.color]?.slice(0, 3) ?? [255, 255, 255]
+            : brick.color,
+        position: [
+          brick.position[0] + x,
+          brick.position[1] + y,
+          brick.position[2] + z,
+        ],
+      });
+    }
+  }
+
+  #readConfig(file) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.configPath, file)));
+    } catch (e) {
+      return {};
+    }
+  }
+
+  #updateConfig(file, fn) {
+    const data = this.#readConfig(file);
+    fn(data);
+    fs.mkdirSync(this.configPath, { recursive: true });
+    fs.writeFileSync(
+      path.join(this.configPath, file),
+      JSON.stringify(data, null, 2)
+    );
+  }
+
+  // the game creates these on first launch
+  #writeDefaultConfigs() {
+    const defaults = {
+      'RoleSetup.json': DEFAULT_ROLE_SETUP,
+      'RoleAssignments.json': { savedPlayerRoles: {} },
+      'BanList.json': { banList: {} },
+      'PlayerNameCache.json': { savedPlayerNames: {} },
+    };
+    fs.mkdirSync(this.configPath, { recursive: true });
+    for (const file in defaults) {
+      const filePath = path.join(this.configPath, file);
+      if (!fs.existsSync(filePath))
+        fs.writeFileSync(filePath, JSON.stringify(defaults[file], null, 2));
+    }
+  }
+
+  // log line prefix like [2021.05.02-18.04.38:294][ 12]
+  #prefix(counter) {
+    const date = new Date();
+    const ms = date.getUTCMilliseconds().toString().padStart(3, '0');
+    return `[${brickadiaTime(date)}:${ms}][${counter.toString().padStart(3)}]`;
+  }
+
+  #nextCounter() {
+    this.#counter = (this.#counter + 1) % 1000;
+    return this.#counter;
+  }
+
+  // time of a replayed log line, if it has one
+  #lineTime(line) {
+    const match = line.match(TIMESTAMP_REGEX);
+    if (!match) return;
+    const { date, month, day, hour, min, sec, ms } = match.groups;
+    return Date.UTC(date, month - 1, day, hour, min, sec, ms);
+  }
+
+  // run something after a delay unless the server stops first
+  #later(fn, delay = RESPONSE_DELAY) {
+    const timeout = setTimeout(() => {
+      this.#timeouts.delete(timeout);
+      fn();
+    }, delay);
+    this.#timeouts.add(timeout);
+  }
+
+  // the process exited
+  #close(code, signal) {
+    this.#running = false;
+    for (const timeout of this.#timeouts) clearTimeout(timeout);
+    this.#timeouts.clear();
+    setImmediate(() => {
+      verboseLog('Exit listener fired');
+      this.emit('closed', code, signal);
+    });
+  }
+}
+
+module.exports = FakeBrickadiaServer;
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+require('colors');
+
+const soft = require('../softconfig.js');
+const { openStore, storeFile } = require('../storage/index.js');
+
+const err = (...args) => console.error('!>'.red, ...args);
+const log = (...args) => console.log('>>'.green, ...args);
+
+// stores that can be moved, web ui sessions always stay in nedb
+const STORES = [
+  soft.USER_STORE,
+  soft.CHAT_STORE,
+  soft.PLAYER_STORE,
+  soft.STATUS_STORE,
+  soft.SERVER_STORE,
+  soft.AUDIT_STORE,
+  soft.PLUGIN_STORE,
+];
+
+// documents are inserted a batch per transaction
+const BATCH_SIZE = 5000;
+
+/**
+ * copy the nedb .db files in a data folder into sqlite databases, the .db
+ * files are left alone so the nedb backend can still be used
+ * @param {String} dataPath - omegga's data folder
+ * @param {Object} [options]
+ * @param {Boolean} [options.force] - replace sqlite databases that already exist
+ * @return {Promise<Boolean>} false if a store was skipped
+ */
+async function migrate(dataPath, { force = false } = {}) {
+  let copiedAll = true;
+
+  for (const file of STORES) {
+    const source = path.join(dataPath, file);
+    if (!fs.existsSync(source)) continue;
+
+    const target = storeFile('sqlite', source);
+    if (fs.existsSync(target)) {
+      if (!force) {
+        err(
+          path.basename(target).yellow,
+          'already exists, use',
+          '--force'.yellow,
+          'to replace it'
+        );
+        copiedAll = false;
+        continue;
+      }
+      for (const f of [target, target + '-wal', target + '-shm'])
+        fs.rmSync(f, { force: true });
+    }
+
+    const docs = await openStore('nedb', source).all();
+    const store = openStore('sqlite', source);
+    for (let i = 0; i < docs.length; i += BATCH_SIZE)
+      await store.insert(docs.slice(i, i + BATCH_SIZE));
+
+    log(
+      'Copied',
+      docs.length.toString().yellow,
+      'documents from',
+      file.yellow,
+      'to',
+      path.basename(target).yellow
+    );
+  }
+
+  return copiedAll;
+}
+
+module.exports = { migrate };
@@ -2,5 +2,6 @@ module.exports = {
   Terminal: require('./terminal.js'),
   auth: require('./auth.js'),
   config: require('./config.js'),
+  database: require('./database.js'),
   pluginUtil: require('./plugin.js'),
 };
@@ -1,14 +1,26 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const readline = require('readline');
 
 const {
-  chat: { sanitize },
+  chat: { ChatMessage },
+  time: { formatDuration, parseDuration },
 } = require('../util/index.js');
 
-let log, err, warn;
+let log, err, warn, logLocal;
+
+// options for /stop and /restart from "[countdown] [save]" arguments
+const parseStopArgs = args => ({
+  countdown: parseDuration(args.filter(a => a !== 'save').join(' ')),
+  save: args.includes('save'),
+});
 
 // the terminal wraps omegga and displays console output and handles console input
-class Terminal {
+// everything it prints is emitted as 'output' for the web ui's console,
+// except secrets like reset passwords which only show up in this terminal
+class Terminal extends EventEmitter {
   constructor(omegga, options = {}) {
+    super();
     this.options = options;
     this.omegga = omegga;
 
@@ -26,11 +38,13 @@ class Terminal {
     log = (...args) => this.log('>>'.green, ...args);
     err = (...args) => this.error('!>'.red, ...args);
     warn = (...args) => this.warn('W>'.yellow, ...args);
+    logLocal = (...args) => this.print('log', ['>>'.green, ...args], false);
 
     // print log line if debug is enabled
     let launcherDone = false;
     omegga.on('line', l => {
-      if (options.debug) this.log('::'.blue, l);
+      // the web ui console already shows brickadia logs
+      if (options.debug) this.print('log', ['::'.blue, l], false);
       else if (!launcherDone) {
         if (l.startsWith('DOWNLOADING')) {
           // TOOD: if someone is proactive enough in the future, you could turn these steps into a legitimate progress bar
@@ -112,8 +126,13 @@ class Terminal {
       process.exit();
     });
     omegga.on('error', e => err('Server caught unhandled exception:\n' + e));
-    omegga.on('server:stopped', () =>
-      log('Server has closed. Type', '/stop'.yellow, 'to close omegga')
+    omegga.on('server:stopped', () => {
+      // the watchdog is about to restart the server
+      if (omegga.watchdog?.nextRestart) return;
+      log('Server has closed. Type', '/stop'.yellow, 'to close omegga');
+    });
+    omegga.on('server:recovered', ({ downtime }) =>
+      log('Server recovered after', formatDuration(downtime).yellow)
     );
 
     this.rl.on('line', this.handleLine.bind(this));
@@ -165,6 +184,7 @@ class Terminal {
 
       cmd: {
         desc: 'run a console command on the brickadia server. requires debug for log to show',
+        audit: 'console.command',
         fn(...args) {
           if (!this.omegga.started) {
             err('Omegga is not running');
@@ -176,6 +196,8 @@ class Terminal {
 
       ban: {
         desc: 'ban a player',
+        audit: 'player.ban',
+        target: ([name]) => name,
         fn(...args) {
           if (!this.omegga.started) {
             err('Omegga is not running');
@@ -192,6 +214,8 @@ class Terminal {
       },
       unban: {
         desc: 'unban a player',
+        audit: 'player.unban',
+        target: ([name]) => name,
         fn(...args) {
           if (!this.omegga.started) {
             err('Omegga is not running');
@@ -205,6 +229,8 @@ class Terminal {
       },
       kick: {
         desc: 'kick a player',
+        audit: 'player.kick',
+        target: ([name]) => name,
         fn(...args) {
           if (!this.omegga.started) {
             err('Omegga is not running');
@@ -218,6 +244,8 @@ class Terminal {
       },
       grantrole: {
         desc: 'grant a role to a player',
+        audit: 'player.grantrole',
+        target: ([, name]) => name,
         fn(...args) {
           if (!this.omegga.started) {
             err('Omegga is not running');
@@ -231,6 +259,8 @@ class Terminal {
       },
       revokerole: {
         desc: 'revoke a role from a player',
+        audit: 'player.revokerole',
+        target: ([, name]) => name,
         fn(...args) {
           if (!this.omegga.started) {
             err('Omegga is not running');
@@ -244,6 +274,8 @@ class Terminal {
       },
       clearbricks: {
         desc: "clear a player's bricks",
+        audit: 'player.clearbricks',
+        target: args => args.join(' '),
         fn(...args) {
           if (!this.omegga.started) {
             err('Omegga is not running');
@@ -257,6 +289,7 @@ class Terminal {
       },
       clearallbricks: {
         desc: 'clear all bricks',
+        audit: 'bricks.clearall',
         fn() {
           if (!this.omegga.started) {
             err('Omegga is not running');
@@ -294,17 +327,103 @@ class Terminal {
         },
       },
 
+      matchers: {
+        desc: 'show time spent matching console logs (verbose mode only)',
+        fn() {
+          if (!global.VERBOSE)
+            return err(
+              'Matcher stats are only measured when running',
+              'omegga --verbose'.yellow
+            );
+
+          log('Matcher Stats');
+          this.log(
+            this.omegga.logWrangler
+              .getMatcherStats()
+              .map(
+                ({ name, generators, calls, matches, time }) =>
+                  `  ${name.yellow} ${
+                    generators
+                      ? `(${generators.map(g => g ?? 'GetAll').join(', ')})`
+                          .grey
+                      : '(all lines)'.grey
+                  } ${time.toFixed(2)}ms, ${calls} checks, ${matches} matches`
+              )
+              .join('\n')
+          );
+        },
+      },
+
+      queue: {
+        desc: 'show console commands waiting to be written to brickadia',
+        fn() {
+          const { queued, written, dropped, plugins } =
+            this.omegga.commandQueue.getStats();
+          log('Command Queue');
+          this.log(
+            [
+              `  Waiting: ${
+                Object.entries(queued)
+                  .map(([lane, n]) => `${n} ${lane}`)
+                  .join(', ').yellow
+              }`,
+              `  Written: ${(written + '').yellow}, Dropped: ${
+                (dropped + '')[dropped ? 'red' : 'yellow']
+              }`,
+              ...Object.entries(plugins).map(
+                ([name, p]) =>
+                  `    ${name.yellow} ${p.queued} waiting, ${p.written} written, ${p.dropped} dropped`
+              ),
+            ].join('\n')
+          );
+        },
+      },
+
       stop: {
-        desc: 'stop the server and close Omegga',
-        async fn() {
-          log('Stopping server...');
-          await this.omegga.stop();
+        desc: 'stop the server and close Omegga. /stop [countdown] [save]',
+        audit: 'server.stop',
+        async fn(...args) {
+          const options = parseStopArgs(args);
+          log(
+            'Stopping server' +
+              (options.countdown
+                ? ' in ' + formatDuration(options.countdown).yellow
+                : '...')
+          );
+          const stopped = await this.omegga.stop(options);
+          // keep omegga open when the countdown was cancelled
+          if (!stopped && this.omegga.started) return;
           process.exit();
         },
       },
 
+      restart: {
+        desc: 'restart the server. /restart [countdown] [save]',
+        audit: 'server.restart',
+        async fn(...args) {
+          const options = parseStopArgs(args);
+          log(
+            'Restarting server' +
+              (options.countdown
+                ? ' in ' + formatDuration(options.countdown).yellow
+                : '...')
+          );
+          await this.omegga.restart(options);
+        },
+      },
+
+      cancel: {
+        desc: 'cancel a stop or restart that is counting down',
+        audit: 'server.stop.cancel',
+        fn() {
+          if (this.omegga.cancelStop()) log('Cancelled server stop');
+          else err('No stop or restart is counting down');
+        },
+      },
+
       kill: {
         desc: 'forcefully kill brickadia server process without closing omegga',
+        audit: 'server.kill',
         async fn() {
           log('Stopping server...');
           await this.omegga.stop();
@@ -313,6 +432,7 @@ class Terminal {
 
       save: {
         desc: 'Save bricks to a specified file',
+        audit: 'bricks.save',
         async fn(...args) {
           const name = args.join(' ');
           if (!name.length) return err('usage:', '/save <name>'.yellow);
@@ -323,6 +443,7 @@ class Terminal {
 
       load: {
         desc: 'Load bricks from a specified file',
+        audit: 'bricks.load',
         async fn(...args) {
           const name = args.join(' ');
           if (!name.length) return err('usage:', '/load <name>'.yellow);
@@ -333,6 +454,7 @@ class Terminal {
 
       start: {
         desc: 'start the server if it is stopped',
+        audit: 'server.start',
         fn() {
           if (
             !this.omegga ||
@@ -346,8 +468,48 @@ class Terminal {
         },
       },
 
+      resetpassword: {
+        desc: 'give a web ui user a new random password. /resetpassword <username>',
+        audit: 'users.passwd',
+        async fn(username) {
+          const { webserver } = this.omegga;
+          if (!webserver) return err('The web ui is not running');
+          if (!username)
+            return err('usage:', '/resetpassword <username>'.yellow);
+          if (!(await webserver.database.userExists(username)))
+            return err('There is no web ui user named', username.yellow);
+
+          const password = crypto.randomBytes(12).toString('base64url');
+          await webserver.database.userPasswd(username, password);
+          webserver.loginThrottle.unlock(username);
+          logLocal('New password for', username.yellow, 'is', password.green);
+          // the web ui console only hears that it was reset
+          this.emit('output', 'log', [
+            '>>'.green,
+            'Reset the password for',
+            username.yellow + ", it is only shown in omegga's terminal",
+          ]);
+        },
+      },
+
+      reset2fa: {
+        desc: "turn off a web ui user's two-factor auth. /reset2fa <username>",
+        audit: 'users.2fa.reset',
+        async fn(username) {
+          const { webserver } = this.omegga;
+          if (!webserver) return err('The web ui is not running');
+          if (!username) return err('usage:', '/reset2fa <username>'.yellow);
+          if (!(await webserver.database.resetTotp(username)))
+            return err('There is no web ui user named', username.yellow);
+
+          webserver.loginThrottle.unlock(username);
+          log('Turned off two-factor auth for', username.yellow);
+        },
+      },
+
       reload: {
         desc: 'reload available plugins',
+        audit: 'plugins.reload',
         async fn() {
           if (!this.omegga.pluginLoader) {
             err('Omegga is not using plugins');
@@ -380,15 +542,77 @@ class Terminal {
           }
         },
       },
-    }).forEach(([cmd, { desc, fn }]) => this.addCommand(cmd, desc, fn));
+    }).forEach(([cmd, { desc, fn, audit, target }]) =>
+      this.addCommand(cmd, desc, fn, audit, target)
+    );
+
+    // script the simulated server when running with --simulate
+    if (omegga.simulator) {
+      this.addCommand(
+        'sim',
+        'control the simulated server. /sim join|leave|chat|move|crash|hang|replay',
+        async function (action, ...args) {
+          const sim = this.omegga.simulator;
+          const usage = {
+            join: '/sim join <name> [id]',
+            leave: '/sim leave <name|id>',
+            chat: '/sim chat <name|id> <message>',
+            move: '/sim move <name|id> <x> <y> <z>',
+            crash: '/sim crash [code]',
+            hang: '/sim hang [off]',
+            replay: '/sim replay <log file> [speed]',
+          };
+          if (!usage[action])
+            return err('usage:', Object.values(usage).join(', ').yellow);
+
+          try {
+            switch (action) {
+              case 'join':
+                if (!args[0]) return err('usage:', usage.join.yellow);
+                sim.join(args[0], args[1] ? { id: args[1] } : undefined);
+                break;
+              case 'leave':
+                if (!args[0]) return err('usage:', usage.leave.yellow);
+                sim.leave(args[0]);
+                break;
+              case 'chat':
+                if (args.length < 2) return err('usage:', usage.chat.yellow);
+                sim.chat(args[0], args.slice(1).join(' '));
+                break;
+              case 'move':
+                if (args.length < 4 || args.slice(1, 4).some(a => isNaN(a)))
+                  return err('usage:', usage.move.yellow);
+                sim.move(args[0], args.slice(1, 4));
+                break;
+              case 'crash':
+                sim.crash(args[0] ? Number(args[0]) : undefined);
+                break;
+              case 'hang':
+                sim.hang(args[0] !== 'off');
+                log(args[0] === 'off' ? 'Simulator resumed' : 'Simulator hung');
+                break;
+              case 'replay':
+                if (!args[0]) return err('usage:', usage.replay.yellow);
+                log('Replaying', args[0].yellow);
+                await sim.replay(args[0], { speed: Number(args[1]) || 1 });
+                log('Finished replaying', args[0].yellow);
+                break;
+            }
+          } catch (e) {
+            err(e);
+          }
+        }
+      );
+    }
   }
 
-  // add a command
-  addCommand(name, desc, fn) {
-    this.commands[name] = { name, desc, fn: fn.bind(this) };
+  // add a command, commands with an audit action are kept in the audit log,
+  // and target picks the player they are done to from the arguments
+  addCommand(name, desc, fn, audit, target) {
+    this.commands[name] = { name, desc, fn: fn.bind(this), audit, target };
   }
 
-  async handleLine(line) {
+  async handleLine(line, actor = { type: 'terminal', name: 'terminal' }) {
     if (line.startsWith('/')) {
       const [cmd, ...args] = line.slice(1).split(' ');
       if (!this.commands[cmd]) {
@@ -396,6 +620,16 @@ class Terminal {
           `unrecognized command /${cmd.underline}. Type /help for more info`.red
         );
       } else {
+        const { audit, target } = this.commands[cmd];
+        if (audit) {
+          const player = target?.(args);
+          this.omegga.audit.record(
+            actor,
+            audit,
+            player ? this.omegga.audit.findPlayer(player) : null,
+            { command: line }
+          );
+        }
         try {
           const res = this.commands[cmd].fn(...args);
           if (res instanceof Promise) {
@@ -409,7 +643,10 @@ class Terminal {
       if (this.omegga.started) {
         // broadcast when the chat does not start with a command
         this.omegga.broadcast(
-          `"[<b><color=\\"ff00ff\\">SERVER</></>]: ${sanitize(line)}"`
+          new ChatMessage()
+            .text('[')
+            .bold(new ChatMessage().color('ff00ff', 'SERVER'))
+            .text(']: ' + line)
         );
         process.stdout.clearLine();
         this.log(`[${'SERVER'.brightMagenta.underline}]: ${line}`);
@@ -435,28 +672,28 @@ class Terminal {
     }
   }
 
-  // let readline render a log without interrupting user input
-  log(...args) {
+  // let readline render console output without interrupting user input
+  print(method, args, emit = true) {
     process.stdout.clearLine();
     process.stdout.cursorTo(0);
-    console.log(...args);
+    console[method](...args);
     this.rl.prompt(true);
+    if (emit) this.emit('output', method, args);
+  }
+
+  // let readline render a log without interrupting user input
+  log(...args) {
+    this.print('log', args);
   }
 
   // let readline render a warning log without interrupting user input
   warn(...args) {
-    process.stdout.clearLine();
-    process.stdout.cursorTo(0);
-    console.warn(...args);
-    this.rl.prompt(true);
+    this.print('warn', args);
   }
 
   // let readline render an error log without interrupting user input
   error(...args) {
-    process.stdout.clearLine();
-    process.stdout.cursorTo(0);
-    console.error(...args);
-    this.rl.prompt(true);
+    this.print('error', args);
   }
 }
 
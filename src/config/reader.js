@@ -21,6 +21,8 @@ module.exports = formats => path => {
   // validate the config blob
   const result = validate(blob);
   if (!result.valid) throw result.errors;
+  for (const warning of result.warnings)
+    console.warn('W>'.yellow, 'Config:', warning);
 
   // return the parsed config
   return blob;
@@ -1,7 +1,40 @@
-const allowedKeys = ['omegga', 'credentials', 'server'];
+const {
+  validate: validateSettings,
+  SETTINGS_FIELDS,
+} = require('../brickadia/config.js');
+const { validateTask } = require('../omegga/scheduler.js');
+const { validateConfig: validateBackups } = require('../omegga/backups.js');
+const { validateConfig: validateWatchdog } = require('../omegga/watchdog.js');
+const {
+  validateConfig: validatePermissions,
+} = require('../webserver/backend/permissions.js');
+const {
+  validateConfig: validateModeration,
+} = require('../webserver/backend/moderation.js');
+const {
+  validateConfig: validateRetention,
+} = require('../webserver/backend/retention.js');
+const { BACKENDS } = require('../storage/index.js');
 
-// low effort js object validation
+const allowedKeys = [
+  'omegga',
+  'credentials',
+  'server',
+  'schedule',
+  'backups',
+  'watchdog',
+  'webPermissions',
+  'moderation',
+  'retention',
+];
+
+// server category keys that are not ServerSettings.ini fields
+const serverKeys = ['port', 'map', 'branch', '__LOCAL'];
+
+// low effort js object validation, warnings are for things that are ignored
 module.exports = obj => {
+  const warnings = [];
+
   if (typeof obj !== 'object')
     return { valid: false, errors: ['not an object'] };
 
@@ -17,6 +50,22 @@ module.exports = obj => {
   if (obj.server.branch && typeof obj.server.branch !== 'string')
     return { valid: false, errors: ['server.branch must be a string'] };
 
+  // the rest of the server category is written to ServerSettings.ini,
+  // keys that aren't settings (like ones from newer versions) are left out
+  const settings = { ...obj.server };
+  for (const key of serverKeys) delete settings[key];
+  for (const key in settings) {
+    if (SETTINGS_FIELDS.some(f => f.key === key)) continue;
+    warnings.push(`server.${key} is not a server setting and is ignored`);
+    delete settings[key];
+  }
+  const settingsErrors = validateSettings(settings);
+  if (settingsErrors.length > 0)
+    return {
+      valid: false,
+      errors: settingsErrors.map(e => 'server.' + e),
+    };
+
   if (obj.omegga) {
     if (typeof obj.omegga !== 'object')
       return { valid: false, errors: ['invalid omegga category'] };
@@ -26,7 +75,89 @@ module.exports = obj => {
       typeof obj.omegga.port !== 'number'
     )
       return { valid: false, errors: ['omegga.port must be a nubmer'] };
+
+    if (
+      typeof obj.omegga.userless !== 'undefined' &&
+      typeof obj.omegga.userless !== 'boolean'
+    )
+      return { valid: false, errors: ['omegga.userless must be a boolean'] };
+
+    // same values as express's trust proxy setting
+    if (
+      typeof obj.omegga.trustProxy !== 'undefined' &&
+      !['boolean', 'number', 'string'].includes(typeof obj.omegga.trustProxy)
+    )
+      return {
+        valid: false,
+        errors: ['omegga.trustProxy must be a boolean, number, or string'],
+      };
+
+    if (
+      typeof obj.omegga.database !== 'undefined' &&
+      !BACKENDS.includes(obj.omegga.database)
+    )
+      return {
+        valid: false,
+        errors: [`omegga.database must be one of ${BACKENDS.join(', ')}`],
+      };
+  }
+
+  if (obj.schedule) {
+    if (!Array.isArray(obj.schedule))
+      return { valid: false, errors: ['schedule must be a list of tasks'] };
+
+    const taskErrors = obj.schedule.flatMap(validateTask);
+    if (taskErrors.length > 0)
+      return {
+        valid: false,
+        errors: taskErrors.map(e => 'schedule: ' + e),
+      };
+  }
+
+  if (obj.backups) {
+    const backupErrors = validateBackups(obj.backups);
+    if (backupErrors.length > 0)
+      return {
+        valid: false,
+        errors: backupErrors.map(e => 'backups.' + e),
+      };
+  }
+
+  if (obj.watchdog) {
+    const watchdogErrors = validateWatchdog(obj.watchdog);
+    if (watchdogErrors.length > 0)
+      return {
+        valid: false,
+        errors: watchdogErrors.map(e => 'watchdog.' + e),
+      };
+  }
+
+  if (obj.webPermissions) {
+    const permissionErrors = validatePermissions(obj.webPermissions);
+    if (permissionErrors.length > 0)
+      return {
+        valid: false,
+        errors: permissionErrors.map(e => 'webPermissions: ' + e),
+      };
+  }
+
+  if (obj.moderation) {
+    const moderationErrors = validateModeration(obj.moderation);
+    if (moderationErrors.length > 0)
+      return {
+        valid: false,
+        errors: moderationErrors.map(e => 'moderation.' + e),
+      };
+  }
+
+  if (obj.retention) {
+    const retentionErrors = validateRetention(obj.retention);
+    if (retentionErrors.length > 0)
+      return {
+        valid: false,
+        errors: retentionErrors.map(e => 'retention.' + e),
+      };
   }
 
-  return { valid: true, errors: [] };
+  return { valid: true, errors: [], warnings };
 };
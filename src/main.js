@@ -10,6 +10,7 @@ const {
   Terminal,
   auth,
   config: omeggaConfig,
+  database,
   pluginUtil,
 } = require('./cli/index.js');
 const file = require('./util/file.js');
@@ -51,8 +52,12 @@ const program = require('commander')
     'Print all console logs rather than just chat messages'
   )
   .option('-v, --verbose', 'Print extra messages for debugging purposes')
+  .option(
+    '--simulate [logFile]',
+    'Run against a simulated brickadia server, optionally replaying a log file'
+  )
   .action(async () => {
-    const { debug, verbose } = program.opts();
+    const { debug, verbose, simulate } = program.opts();
     global.VERBOSE = verbose;
 
     // default working directory is the one specified in config
@@ -96,8 +101,9 @@ const program = require('commander')
       conf.server.__LOCAL = true;
     }
 
-    // check if the auth files don't exist
+    // check if the auth files don't exist, the simulator doesn't need them
     if (
+      !simulate &&
       !auth.exists(path.join(workDir, soft.DATA_PATH, 'Saved/Auth')) &&
       !auth.exists()
     ) {
@@ -121,7 +127,12 @@ const program = require('commander')
       // default enable https (set to true, will not be https if it can't generate)
       https: typeof conf.omegga.https !== 'boolean' || conf.omegga.https,
       port: conf.omegga.port || soft.DEFAULT_PORT,
+      // default off, lets the owner skip making a web ui account
+      userless: conf.omegga.userless === true,
+      // default off, proxies the web ui trusts for client addresses
+      trustProxy: conf.omegga.trustProxy ?? false,
       debug,
+      simulate: !!simulate,
     };
 
     verboseLog('Launching with options', options);
@@ -146,12 +157,33 @@ const program = require('commander')
       );
     }
 
-    Omegga.log(
-      '>>'.green,
-      `Launching brickadia server on port ${
-        ('' + (conf.server.port || 7777)).green
-      }...`
-    );
+    if (simulate) {
+      Omegga.log(
+        '>>'.green,
+        'Launching',
+        'simulated'.yellow,
+        'brickadia server...'
+      );
+
+      // replay the log file once the simulated server is up
+      if (typeof simulate === 'string') {
+        server.once('start', () =>
+          server.simulator
+            .replay(simulate)
+            .then(() =>
+              Omegga.log('>>'.green, 'Finished replaying', simulate.yellow)
+            )
+            .catch(e => Omegga.error('!>'.red, 'Error replaying log file', e))
+        );
+      }
+    } else {
+      Omegga.log(
+        '>>'.green,
+        `Launching brickadia server on port ${
+          ('' + (conf.server.port || 7777)).green
+        }...`
+      );
+    }
 
     // start the server
     verboseLog('Starting Omegga');
@@ -251,6 +283,39 @@ program
     }
   );
 
+program
+  .command('migrate-db')
+  .description('Copies the web ui and plugin .db files into sqlite databases')
+  .option('-f, --force', 'Replace sqlite databases that already exist')
+  .action(async ({ force }) => {
+    if (!config.find('.')) {
+      err(
+        'Not an omegga directory, run ',
+        'omegga init'.yellow,
+        'to setup one.'
+      );
+      process.exit(1);
+      return;
+    }
+    let copied = false;
+    try {
+      copied = await database.migrate(soft.DATA_PATH, { force });
+    } catch (e) {
+      err('Error copying databases:', e);
+    }
+    if (!copied) {
+      process.exit(1);
+      return;
+    }
+    log(
+      'Set',
+      'omegga.database'.yellow,
+      'to',
+      'sqlite'.yellow,
+      'in the config to use them'
+    );
+  });
+
 program
   .command('info')
   .alias('n')
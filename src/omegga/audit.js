@@ -0,0 +1,113 @@
+const EventEmitter = require('events');
+
+// console commands from plugins that are worth auditing, with the action they
+// do and which argument is the target
+const PLUGIN_COMMANDS = [
+  [/^Chat\.Command \/Ban\b/i, 'player.ban', 0],
+  [/^Chat\.Command \/Unban\b/i, 'player.unban', 0],
+  [/^Chat\.Command \/Kick\b/i, 'player.kick', 0],
+  [/^Chat\.Command \/GrantRole\b/i, 'player.grantrole', 1],
+  [/^Chat\.Command \/RevokeRole\b/i, 'player.revokerole', 1],
+  [/^Bricks\.Clear\b/i, 'player.clearbricks', 0],
+  [/^Bricks\.ClearAll\b/i, 'bricks.clearall'],
+  [/^Bricks\.Load\b/i, 'bricks.load', 0],
+  [/^ServerTravel\b/i, 'server.map', 0],
+];
+
+// arguments of a console command after the command (and chat command) name
+const commandArgs = line =>
+  Array.from(
+    line.replace(/^(Chat\.Command \/)?\S+/i, '').matchAll(/"([^"]*)"|(\S+)/g),
+    m => m[1] ?? m[2]
+  );
+
+/*
+  AuditLog collects administrative actions from the web ui, rest api,
+  terminal, plugins, and players in game. the webserver keeps them
+
+  entries look like:
+  {
+    created: time of the action,
+    actor: { type: 'web', 'api', 'terminal', 'plugin', or 'player', name, id },
+    action: what was done, like 'player.ban' or 'server.restart',
+    target: { id, name } of what it was done to, or null,
+    params: anything else about the action,
+  }
+
+  events:
+    'entry' (entry) - an action was done
+*/
+class AuditLog extends EventEmitter {
+  constructor(omegga) {
+    super();
+    this.omegga = omegga;
+  }
+
+  /**
+   * a player target from a player id
+   * @param {String} id
+   * @return {Object} { id, name }
+   */
+  player(id) {
+    return {
+      id,
+      name: this.omegga.getNameCache()?.savedPlayerNames?.[id] ?? '',
+    };
+  }
+
+  /**
+   * a player target from a name or id typed in a command
+   * @param {String} arg - player name or id
+   * @return {Object} { id, name }, the id is empty for unknown players
+   */
+  findPlayer(arg) {
+    const player = this.omegga.getPlayer(arg);
+    if (player) return { id: player.id, name: player.name };
+
+    const names = this.omegga.getNameCache()?.savedPlayerNames ?? {};
+    if (arg in names) return { id: arg, name: names[arg] };
+    const id = Object.keys(names).find(id => names[id] === arg);
+    return { id: id ?? '', name: arg };
+  }
+
+  /**
+   * record an action
+   * @param {Object} actor - { type, name, id } of who did it
+   * @param {String} action
+   * @param {Object} [target] - { id, name } of what it was done to
+   * @param {Object} [params]
+   */
+  record(actor, action, target = null, params = {}) {
+    this.emit('entry', {
+      created: Date.now(),
+      actor,
+      action,
+      target,
+      params,
+    });
+  }
+
+  /**
+   * record a console command from a plugin if it does something administrative
+   * @param {String} plugin - plugin name
+   * @param {String} line - console command
+   */
+  pluginCommand(plugin, line) {
+    const [, action, arg] =
+      PLUGIN_COMMANDS.find(([regex]) => regex.test(line)) ?? [];
+    if (!action) return;
+    const target = arg === undefined ? undefined : commandArgs(line)[arg];
+    this.record(
+      { type: 'plugin', name: plugin },
+      action,
+      !target
+        ? null
+        : action.startsWith('player.')
+        ? this.findPlayer(target)
+        : { id: target, name: target },
+      { command: line }
+    );
+  }
+}
+
+module.exports = { AuditLog };
@@ -80,7 +80,7 @@ async function genAuthFiles(email, password, { debug = false, branch }) {
   const omegga = new Omegga(soft.TEMP_DIR_NAME, config, options);
 
   // create the unlisted server config
-  writeConfig(soft.TEMP_DIR_NAME, config);
+  writeConfig(omegga.dataPath, config);
 
   omegga.start();
 
@@ -0,0 +1,386 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const brs = require('brs-js');
+
+const soft = require('../softconfig.js');
+const file = require('../util/file.js');
+const {
+  time: { parseDuration, formatDuration, timestamp },
+} = require('../util/index.js');
+
+const INDEX_FILE = 'index.json';
+
+// the longest setInterval can wait, about 24.8 days
+const MAX_INTERVAL = 2 ** 31 - 1;
+
+// default retention and trigger settings, overridden by the `backups` config
+const DEFAULTS = {
+  enabled: false,
+  interval: '30m',
+  hourly: 24,
+  daily: 7,
+  weekly: 4,
+  onMassClear: true,
+  onMapChange: true,
+};
+
+// check if the backups config is valid, returns a list of errors
+function validateConfig(config) {
+  if (typeof config !== 'object' || !config)
+    return ['backups must be an object'];
+
+  const errors = [];
+  for (const key in config) {
+    if (!(key in DEFAULTS)) {
+      errors.push(`${key} is not a backup option`);
+    } else if (key === 'interval') {
+      if (
+        typeof config.interval !== 'string' ||
+        !parseDuration(config.interval)
+      )
+        errors.push('interval must be a duration like "30m"');
+      else if (parseDuration(config.interval) > MAX_INTERVAL)
+        errors.push(`interval must be at most ${formatDuration(MAX_INTERVAL)}`);
+    } else if (typeof config[key] !== typeof DEFAULTS[key]) {
+      errors.push(`${key} must be a ${typeof DEFAULTS[key]}`);
+    } else if (
+      typeof config[key] === 'number' &&
+      (config[key] < 0 || Math.round(config[key]) !== config[key])
+    ) {
+      errors.push(`${key} must be a whole number`);
+    }
+  }
+  return errors;
+}
+
+// retention buckets, a backup is kept if it is the newest in one of the last N buckets
+const BUCKETS = {
+  hourly: d =>
+    `${d.getFullYear()}-${d.getMonth()}-${d.getDate()}-${d.getHours()}`,
+  daily: d => `${d.getFullYear()}-${d.getMonth()}-${d.getDate()}`,
+  // weeks start on sunday
+  weekly: d => {
+    const start = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+    start.setDate(start.getDate() - start.getDay());
+    return start.toDateString();
+  },
+};
+
+// hash the parts of a save that change when the build changes
+function hashSave(save) {
+  const hash = crypto.createHash('sha256');
+  hash.update(
+    JSON.stringify([
+      save.brick_assets,
+      save.colors,
+      save.materials,
+      save.brick_owners.map(o => o.id),
+    ])
+  );
+  for (const brick of save.bricks) hash.update(JSON.stringify(brick));
+  return hash.digest('hex');
+}
+
+/*
+  Backups saves the world into Saved/Builds/omegga_backups on an interval,
+  and can restore those saves
+
+  backups are listed in omegga_backups/index.json:
+  {
+    name: save name (without .brs),
+    created: time of the backup,
+    reason: 'interval', 'manual', 'massclear', 'mapchange', 'restore', or a scheduled task,
+    map: map the backup was made on,
+    bricks: brick count,
+    hash: hash of the bricks,
+    pinned: true if the backup is kept regardless of retention,
+  }
+
+  events:
+    'backup' (backup) - a backup was made
+    'restore' (backup) - a backup was restored
+*/
+class Backups extends EventEmitter {
+  // backup that is currently being made or restored
+  #busy = null;
+  #interval;
+  #checkInterval;
+  // brick count from the last check, used to detect mass clears
+  #lastBricks = -1;
+
+  constructor(omegga, config) {
+    super();
+    this.omegga = omegga;
+    this.config = { ...DEFAULTS, ...(config ?? {}) };
+
+    /** @type {String} folder with all the backups */
+    this.path = path.join(omegga.savePath, soft.BACKUP_FOLDER);
+    file.mkdir(this.path);
+
+    omegga.on('start', () => this.start());
+    omegga.on('server:stopped', () => this.stop());
+
+    // the old map's bricks are gone, keep its last backup around
+    // (the current map is updated after the event is emitted)
+    omegga.on('mapchange', () => {
+      const oldMap = omegga.currentMap;
+      this.#lastBricks = -1;
+      if (this.config.enabled && this.config.onMapChange)
+        setImmediate(() => this.trigger('mapchange', oldMap));
+    });
+  }
+
+  // start making backups on an interval
+  start() {
+    this.stop();
+    if (!this.config.enabled) return;
+
+    this.#interval = setInterval(
+      () => this.create('interval').catch(this.#logError),
+      parseDuration(this.config.interval)
+    );
+
+    if (this.config.onMassClear)
+      this.#checkInterval = setInterval(
+        () => this.#checkBricks().catch(this.#logError),
+        soft.BACKUP_CHECK_INTERVAL
+      );
+  }
+
+  // stop making backups
+  stop() {
+    clearInterval(this.#interval);
+    clearInterval(this.#checkInterval);
+    this.#lastBricks = -1;
+  }
+
+  #logError = e => Omegga.error('!>'.red, 'Error making backup', e);
+
+  // detect when most of the bricks on the server disappear at once
+  async #checkBricks() {
+    if (!this.omegga.started || this.#busy) return;
+    const status = await this.omegga.getServerStatus();
+    if (!status) return;
+
+    const last = this.#lastBricks;
+    this.#lastBricks = status.bricks;
+    if (
+      last >= soft.BACKUP_MASS_CLEAR_MIN &&
+      status.bricks < last * (1 - soft.BACKUP_MASS_CLEAR_RATIO)
+    ) {
+      Omegga.warn(
+        'W>'.yellow,
+        `Bricks went from ${last} to ${status.bricks}, keeping the last backup`
+      );
+      await this.trigger('massclear');
+    }
+  }
+
+  /**
+   * read the backup index
+   * @return {Array<Object>} - backups, newest first
+   */
+  list() {
+    const indexPath = path.join(this.path, INDEX_FILE);
+    if (!fs.existsSync(indexPath)) return [];
+    try {
+      return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    } catch (e) {
+      Omegga.error('!>'.red, 'Error reading backup index', e);
+      return [];
+    }
+  }
+
+  // write the backup index
+  #writeIndex(backups) {
+    fs.writeFileSync(
+      path.join(this.path, INDEX_FILE),
+      JSON.stringify(backups, null, 2)
+    );
+  }
+
+  /**
+   * pin the latest backup (of a map) so retention won't remove it, then make a new backup
+   * @param {String} - why the backup is being made
+   * @param {String} - map of the backup to pin (defaults to the latest backup of any map)
+   * @return {Promise<Object>} - the new backup, null if nothing changed
+   */
+  async trigger(reason, map) {
+    const backups = this.list();
+    const latest = map ? backups.find(b => b.map === map) : backups[0];
+    if (latest && !latest.pinned) {
+      latest.pinned = true;
+      latest.pinReason = reason;
+      this.#writeIndex(backups);
+    }
+
+    return await this.create(reason).catch(e => {
+      this.#logError(e);
+      return null;
+    });
+  }
+
+  /**
+   * set whether a backup is kept regardless of retention
+   * @param {String} - backup name
+   * @param {Boolean} - pinned
+   */
+  pin(name, pinned) {
+    const backups = this.list();
+    const backup = backups.find(b => b.name === name);
+    if (!backup) throw 'backup not found';
+    backup.pinned = pinned;
+    if (!pinned) delete backup.pinReason;
+    this.#writeIndex(backups);
+    return backup;
+  }
+
+  /**
+   * back up the current bricks
+   * unchanged worlds (same brick count and hash as the latest backup) and empty worlds are skipped
+   * @param {String} - why the backup is being made
+   * @return {Promise<Object>} - the new backup, null if nothing changed
+   */
+  async create(reason = 'manual') {
+    const { omegga } = this;
+    if (!omegga.started) throw 'server is not running';
+    if (this.#busy) throw `a backup is already being ${this.#busy}`;
+
+    this.#busy = 'made';
+    try {
+      const map = omegga.currentMap;
+      // backups made in the same second get a number after the timestamp
+      const prefix = `${map || 'unknown'}_${timestamp()}`;
+      let name = prefix;
+      for (let i = 1; this.getPath(name); i++) name = `${prefix}_${i}`;
+
+      const savePath = await omegga.saveBricksAsync(
+        soft.BACKUP_FOLDER + '/' + name
+      );
+      // nothing to save
+      if (!savePath) return null;
+
+      const save = brs.read(fs.readFileSync(savePath));
+      const backup = {
+        name,
+        created: Date.now(),
+        reason,
+        map,
+        bricks: save.brick_count,
+        hash: hashSave(save),
+        pinned: false,
+      };
+
+      // skip the backup if the world didn't change
+      const backups = this.list();
+      const latest = backups.find(b => b.map === map);
+      if (
+        latest &&
+        latest.bricks === backup.bricks &&
+        latest.hash === backup.hash
+      ) {
+        fs.unlinkSync(savePath);
+        Omegga.verbose('Skipping backup, world did not change');
+        return null;
+      }
+
+      backups.unshift(backup);
+      this.#writeIndex(this.#applyRetention(backups));
+      Omegga.log(
+        '>>'.green,
+        `Backed up ${backup.bricks} bricks as`,
+        name.yellow
+      );
+      this.emit('backup', backup);
+      return backup;
+    } finally {
+      this.#busy = null;
+    }
+  }
+
+  // remove backups that are not kept by any retention bucket, returns the kept backups
+  #applyRetention(backups) {
+    const keep = new Set(backups.filter(b => b.pinned));
+    // always keep the latest backup
+    if (backups.length > 0) keep.add(backups[0]);
+
+    for (const bucket in BUCKETS) {
+      const seen = new Set();
+      for (const backup of backups) {
+        const key = BUCKETS[bucket](new Date(backup.created));
+        if (seen.has(key)) continue;
+        if (seen.size >= this.config[bucket]) break;
+        seen.add(key);
+        keep.add(backup);
+      }
+    }
+
+    for (const backup of backups) {
+      if (keep.has(backup)) continue;
+      const savePath = this.getPath(backup.name);
+      if (savePath) fs.unlinkSync(savePath);
+    }
+
+    return backups.filter(b => keep.has(b));
+  }
+
+  /**
+   * path to a backup's save file
+   * @param {String} - backup name
+   * @return {String} - undefined if the file is missing
+   */
+  getPath(name) {
+    return this.omegga.getSavePath(soft.BACKUP_FOLDER + '/' + name);
+  }
+
+  /**
+   * delete a backup
+   * @param {String} - backup name
+   */
+  remove(name) {
+    const backups = this.list();
+    const backup = backups.find(b => b.name === name);
+    if (!backup) throw 'backup not found';
+
+    const savePath = this.getPath(name);
+    if (savePath) fs.unlinkSync(savePath);
+    this.#writeIndex(backups.filter(b => b !== backup));
+  }
+
+  /**
+   * replace the bricks on the server with a backup
+   * the current bricks are backed up first
+   * @param {String} - backup name
+   * @return {Promise}
+   */
+  async restore(name) {
+    const { omegga } = this;
+    const backup = this.list().find(b => b.name === name);
+    if (!backup) throw 'backup not found';
+    if (!this.getPath(name)) throw 'backup save file is missing';
+    if (!omegga.started) throw 'server is not running';
+    if (backup.map && omegga.currentMap && backup.map !== omegga.currentMap)
+      throw `backup was made on ${backup.map}, the server is on ${omegga.currentMap}`;
+
+    // keep the current bricks in case the restore was a mistake
+    await this.create('restore');
+
+    this.#busy = 'restored';
+    try {
+      Omegga.log('>>'.green, 'Restoring backup', name.yellow);
+      const saveName = soft.BACKUP_FOLDER + '/' + name;
+      omegga.clearAllBricks(true);
+
+      // wait for the server to finish loading the save
+      await omegga.loadBricksAsync(saveName, { quiet: true });
+      this.#lastBricks = -1;
+      this.emit('restore', backup);
+    } finally {
+      this.#busy = null;
+    }
+  }
+}
+
+module.exports = { Backups, validateConfig };
@@ -1,4 +1,4 @@
-const { color, time } = require('../util/index.js');
+const { color, time, unreal } = require('../util/index.js');
 const _ = require('lodash');
 
 // A list of commands that can be injected to things with the log wrangler
@@ -18,6 +18,9 @@ const COMMANDS = {
       {
         first: match => match[1].startsWith('Server Name:'),
         timeoutDelay: 1000,
+        generators: ['LogConsoleCommands'],
+        // the watchdog and metrics rely on status
+        priority: 'high',
       }
     );
 
@@ -218,6 +221,89 @@ const COMMANDS = {
       return undefined;
     }
   },
+
+  /**
+   * read properties of every object of a class with GetAll
+   * values are parsed from unreal's property text: structs become objects,
+   * (1,2,3) and array properties become arrays, object references become
+   * { class, path, name, outer }, and True/False/None become true/false/null
+   * @param {String} className - class to search, like BP_FigureV2_C
+   * @param {String|Array<String>} properties - properties to read, like bIsDead
+   * @param {Object} [options]
+   * @param {Object} [options.filter] - GetAll filters, like { Name: 'BP_PlayerController_C_0' }
+   * @param {Boolean} [options.raw] - leave the values as text
+   * @param {Number} [options.timeoutDelay] - ms to wait for the output of each property
+   * @return {Promise<Array<Object>>} - [{ class, path, name, outer, properties: { [property]: value } }]
+   */
+  async queryObjects(
+    className,
+    properties,
+    { filter = {}, raw = false, timeoutDelay } = {}
+  ) {
+    if (typeof properties === 'string') properties = [properties];
+
+    // these end up in a console command
+    if (typeof className !== 'string' || !/^\w+$/.test(className))
+      throw 'invalid class name';
+    if (
+      !Array.isArray(properties) ||
+      !properties.every(p => typeof p === 'string' && /^\w+$/.test(p))
+    )
+      throw 'invalid property name';
+    const filters = Object.entries(filter ?? {}).map(([key, value]) => {
+      if (!/^\w+$/.test(key) || !/^\S+$/.test(String(value)))
+        throw 'invalid filter';
+      return ` ${key}=${value}`;
+    });
+
+    const results = await Promise.all(
+      properties.map(property =>
+        this.watchLogChunk(
+          `GetAll ${className} ${property}${filters.join('')}`,
+          line => {
+            // array items are on the lines after their property
+            const item = unreal.parseGetAllItem(line);
+            if (item) return { item };
+            const entry = unreal.parseGetAllLine(line);
+            if (entry?.property === property) return entry;
+          },
+          {
+            first: match => match.index === 0,
+            key: 'queryObjects',
+            timeoutDelay,
+          }
+        )
+      )
+    );
+
+    const parse = raw ? value => value : unreal.parseValue;
+
+    // join the properties by object
+    const objects = new Map();
+    properties.forEach((property, i) => {
+      let object;
+      for (const match of results[i]) {
+        if (match.item) {
+          if (object && Array.isArray(object.properties[property]))
+            object.properties[property].push(parse(match.item.value));
+          continue;
+        }
+
+        if (!objects.has(match.path))
+          objects.set(match.path, {
+            class: match.class,
+            path: match.path,
+            name: match.name,
+            outer: match.outer,
+            properties: {},
+          });
+        object = objects.get(match.path);
+        object.properties[property] = match.isArray ? [] : parse(match.value);
+      }
+    });
+
+    return Array.from(objects.values());
+  },
 };
 
 // inject the commands into the object given a log wrangler
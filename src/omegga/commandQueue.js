@@ -0,0 +1,253 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const soft = require('../softconfig.js');
+
+// refills `rate` tokens per second up to `burst`
+class TokenBucket {
+  constructor(rate, burst) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updated = Date.now();
+  }
+
+  // whole tokens available right now
+  available() {
+    const now = Date.now();
+    this.tokens = Math.min(
+      this.burst,
+      this.tokens + ((now - this.updated) / 1000) * this.rate
+    );
+    this.updated = now;
+    return this.tokens >= 1;
+  }
+
+  take() {
+    this.tokens--;
+  }
+
+  // ms until the next token
+  wait() {
+    return Math.max(Math.ceil(((1 - this.tokens) / this.rate) * 1000), 1);
+  }
+}
+
+/*
+  CommandQueue sits between omegga and brickadia's stdin
+
+  commands are written right away unless brickadia is being flooded. each plugin
+  has its own rate limit and queue, and core commands (join detection, server
+  status) skip ahead of commands from plugins
+
+  plugins are found from the async context (see runAs), unsafe plugins' event
+  listeners are run as their plugin when they're called
+
+  commands wait in the queues as { line, onWrite }, onWrite is called when the
+  line is written, or when it's dropped or thrown away so nothing waits forever
+*/
+class CommandQueue {
+  #write;
+  // omegga's own commands by priority
+  #lanes = { high: [], normal: [] };
+  #bucket = new TokenBucket(soft.COMMAND_QUEUE_RATE, soft.COMMAND_QUEUE_BURST);
+  // queues, stats, and rate limits by plugin name
+  #plugins = new Map();
+  #context = new AsyncLocalStorage();
+  #timeout;
+  #written = 0;
+  #dropped = 0;
+
+  /**
+   * @param {Function} write - writes a line to brickadia
+   */
+  constructor(write) {
+    this.#write = write;
+  }
+
+  /**
+   * run a function with console commands counted as a plugin's
+   * @param {String} source - plugin name
+   * @param {Function} fn
+   * @return {any} result of fn
+   */
+  runAs(source, fn) {
+    return this.#context.run(source, fn);
+  }
+
+  /**
+   * the plugin running the current async context
+   * @return {String} plugin name, or undefined for omegga's own commands
+   */
+  currentSource() {
+    return this.#context.getStore();
+  }
+
+  /**
+   * queue a console command
+   * @param {String} line
+   * @param {Object} [options]
+   * @param {String} [options.priority] - high or normal, commands from plugins are always low
+   * @param {String} [options.source] - plugin name, defaults to the plugin running this
+   * @param {Function} [options.onWrite] - called when the command leaves the queue
+   * @return {Boolean} false if the command was dropped
+   */
+  push(line, { priority, source = this.#context.getStore(), onWrite } = {}) {
+    const command = { line, onWrite };
+    if (source) {
+      const plugin = this.#plugin(source);
+      if (plugin.queue.length >= soft.COMMAND_QUEUE_PLUGIN_MAX) {
+        plugin.dropped++;
+        this.#dropped++;
+        this.#warn(
+          plugin,
+          'dropped',
+          'Dropping console commands from plugin',
+          source.yellow,
+          `(${plugin.queue.length} waiting)`
+        );
+        onWrite?.();
+        return false;
+      }
+      plugin.queue.push(command);
+
+      // a burst worth of commands are waiting on the rate limit
+      if (
+        global.VERBOSE &&
+        plugin.queue.length > soft.COMMAND_QUEUE_PLUGIN_BURST
+      )
+        this.#warn(
+          plugin,
+          'flooding',
+          'Plugin',
+          source.yellow,
+          'is flooding the console,',
+          `${plugin.queue.length} commands waiting`
+        );
+    } else {
+      this.#lanes[priority === 'high' ? 'high' : 'normal'].push(command);
+    }
+
+    this.#drain();
+    return true;
+  }
+
+  /**
+   * throw away waiting commands, like when brickadia stops
+   */
+  clear() {
+    clearTimeout(this.#timeout);
+    this.#timeout = undefined;
+    const commands = [
+      ...this.#lanes.high,
+      ...this.#lanes.normal,
+      ...Array.from(this.#plugins.values()).flatMap(p => p.queue),
+    ];
+    this.#lanes = { high: [], normal: [] };
+    for (const plugin of this.#plugins.values()) plugin.queue = [];
+    for (const { onWrite } of commands) onWrite?.();
+  }
+
+  /**
+   * queue depth and totals
+   * @return {Object} { queued: { high, normal, low }, written, dropped, plugins: { name: { queued, written, dropped } } }
+   */
+  getStats() {
+    const plugins = Array.from(this.#plugins.values());
+    return {
+      queued: {
+        high: this.#lanes.high.length,
+        normal: this.#lanes.normal.length,
+        low: plugins.reduce((sum, p) => sum + p.queue.length, 0),
+      },
+      written: this.#written,
+      dropped: this.#dropped,
+      plugins: Object.fromEntries(
+        plugins.map(p => [
+          p.name,
+          { queued: p.queue.length, written: p.written, dropped: p.dropped },
+        ])
+      ),
+    };
+  }
+
+  #plugin(name) {
+    if (!this.#plugins.has(name))
+      this.#plugins.set(name, {
+        name,
+        queue: [],
+        written: 0,
+        dropped: 0,
+        warnings: {},
+        bucket: new TokenBucket(
+          soft.COMMAND_QUEUE_PLUGIN_RATE,
+          soft.COMMAND_QUEUE_PLUGIN_BURST
+        ),
+      });
+    return this.#plugins.get(name);
+  }
+
+  // write as many commands as the rate limits allow, then wait for more tokens
+  #drain() {
+    clearTimeout(this.#timeout);
+    this.#timeout = undefined;
+
+    for (const lane of [this.#lanes.high, this.#lanes.normal]) {
+      while (lane.length > 0) {
+        if (!this.#bucket.available())
+          return this.#schedule(this.#bucket.wait());
+        this.#send(lane.shift());
+      }
+    }
+
+    // plugins take turns so one can't hold up the others
+    let wait = Infinity;
+    let sent = true;
+    while (sent) {
+      sent = false;
+      for (const plugin of this.#plugins.values()) {
+        if (plugin.queue.length === 0) continue;
+        if (!this.#bucket.available())
+          return this.#schedule(this.#bucket.wait());
+        if (!plugin.bucket.available()) {
+          wait = Math.min(wait, plugin.bucket.wait());
+          continue;
+        }
+
+        plugin.bucket.take();
+        plugin.written++;
+        this.#send(plugin.queue.shift());
+        sent = true;
+      }
+    }
+
+    if (wait < Infinity) this.#schedule(wait);
+  }
+
+  #send({ line, onWrite }) {
+    this.#bucket.take();
+    this.#written++;
+    try {
+      this.#write(line);
+    } catch (e) {
+      Omegga.error('!>'.red, 'Error writing console command', e);
+    }
+    onWrite?.();
+  }
+
+  #schedule(wait) {
+    this.#timeout = setTimeout(() => this.#drain(), wait);
+  }
+
+  // warnings about a plugin are spaced out
+  #warn(plugin, kind, ...args) {
+    const now = Date.now();
+    if (
+      now - (plugin.warnings[kind] ?? 0) <
+      soft.COMMAND_QUEUE_WARNING_INTERVAL
+    )
+      return;
+    plugin.warnings[kind] = now;
+    Omegga.warn('W>'.yellow, ...args);
+  }
+}
+
+module.exports = { CommandQueue };
@@ -0,0 +1,401 @@
+const Player = require('./player.js');
+const {
+  time: { parseDuration, formatDuration },
+  chat: { ChatMessage },
+} = require('../util/index.js');
+
+// command prefixes, `/` commands come from brickadia and `!` commands from chat
+const PREFIXES = ['/', '!'];
+
+// split an argument string into words, keeping "quoted strings" together
+// returns [{ value, start }] where start is the index of the word in the string
+function tokenize(str) {
+  const tokens = [];
+  const wordRegExp = /"((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)'|(\S+)/g;
+  let match;
+  while ((match = wordRegExp.exec(str))) {
+    const quoted = match[1] ?? match[2];
+    tokens.push({
+      value:
+        typeof quoted === 'string' ? quoted.replace(/\\(.)/g, '$1') : match[3],
+      start: match.index,
+    });
+  }
+  return tokens;
+}
+
+// argument types, each parses a word or throws an error message
+const ARG_TYPES = {
+  string: value => value,
+
+  int(value, arg) {
+    if (!value.match(/^-?\d+$/)) throw `${arg.name} must be a whole number`;
+    return checkRange(parseInt(value), arg);
+  },
+
+  float(value, arg) {
+    const num = Number(value);
+    if (!value.length || !isFinite(num)) throw `${arg.name} must be a number`;
+    return checkRange(num, arg);
+  },
+
+  // durations are passed to the plugin in ms
+  duration(value, arg) {
+    const ms = parseDuration(value);
+    if (!ms) throw `${arg.name} must be a duration like 5m`;
+    return ms;
+  },
+
+  player(value, arg, omegga) {
+    const player = omegga.findPlayerByName(value);
+    if (!player) throw `could not find player ${value} for ${arg.name}`;
+    return player;
+  },
+
+  role(value, arg, omegga) {
+    const role = omegga._findRoleName(value);
+    if (!role) throw `${value} is not a role`;
+    return role;
+  },
+
+  enum(value, arg) {
+    const option = arg.options.find(
+      o => o.toLowerCase() === value.toLowerCase()
+    );
+    if (!option) throw `${arg.name} must be one of ${arg.options.join(', ')}`;
+    return option;
+  },
+
+  // the rest of the argument string, parsed by the command runner
+  rest: value => value,
+};
+
+// check the min and max of a number argument
+function checkRange(num, arg) {
+  if (typeof arg.min === 'number' && num < arg.min)
+    throw `${arg.name} must be at least ${arg.min}`;
+  if (typeof arg.max === 'number' && num > arg.max)
+    throw `${arg.name} must be at most ${arg.max}`;
+  return num;
+}
+
+// check if a command schema is valid, returns a list of errors
+function validateCommand(command) {
+  if (typeof command !== 'object' || !command)
+    return ['command must be an object'];
+
+  const name = command.name ? `command ${command.name}` : 'command';
+  const errors = [];
+  const err = message => errors.push(`${name} ${message}`);
+  const isStringList = list =>
+    Array.isArray(list) && list.every(i => typeof i === 'string');
+
+  if (typeof command.name !== 'string' || !command.name.match(/^[\w-]+$/))
+    err('name must only contain letters, numbers, and dashes');
+  if (
+    typeof command.prefix !== 'undefined' &&
+    !PREFIXES.includes(command.prefix)
+  )
+    err(`prefix must be one of ${PREFIXES.join(' ')}`);
+  if (
+    typeof command.description !== 'undefined' &&
+    typeof command.description !== 'string'
+  )
+    err('description must be a string');
+
+  for (const key of ['aliases', 'permissions', 'roles'])
+    if (typeof command[key] !== 'undefined' && !isStringList(command[key]))
+      err(`${key} must be a list of strings`);
+  if (command.aliases?.some?.(a => !a.match(/^[\w-]+$/)))
+    err('aliases must only contain letters, numbers, and dashes');
+
+  if (
+    typeof command.cooldown !== 'undefined' &&
+    !(typeof command.cooldown === 'number' && command.cooldown >= 0) &&
+    !(typeof command.cooldown === 'string' && parseDuration(command.cooldown))
+  )
+    err('cooldown must be a duration like "5s"');
+
+  if (typeof command.args !== 'undefined' && !Array.isArray(command.args)) {
+    err('args must be a list');
+  } else {
+    let optional = false;
+    (command.args ?? []).forEach((arg, i) => {
+      if (typeof arg !== 'object' || !arg)
+        return err(`arg ${i + 1} must be an object`);
+      const argName = `arg ${arg.name ?? i + 1}`;
+      if (typeof arg.name !== 'string' || !arg.name.length)
+        err(`${argName} name must be a string`);
+      if (!ARG_TYPES[arg.type ?? 'string'])
+        err(
+          `${argName} type must be one of ${Object.keys(ARG_TYPES).join(', ')}`
+        );
+      if (arg.type === 'enum' && !isStringList(arg.options))
+        err(`${argName} options must be a list of strings`);
+      if (arg.type === 'rest' && i !== command.args.length - 1)
+        err(`${argName} must be the last arg`);
+      if (arg.required && optional)
+        err(`${argName} can't be required after an optional arg`);
+      if (!arg.required) optional = true;
+    });
+  }
+
+  return errors;
+}
+
+// usage text for a command, like `/tp <player> [duration]`
+function getUsage(command) {
+  const args = command.args.map(arg => {
+    const label =
+      arg.type === 'enum'
+        ? arg.options.join('|')
+        : arg.name + (arg.type === 'rest' ? '...' : '');
+    return arg.required ? `<${label}>` : `[${label}]`;
+  });
+  return [command.prefix + command.name, ...args].join(' ');
+}
+
+/*
+  CommandRegistry parses commands registered by plugins and runs them
+
+  plugins return commands from init as `{ commands: [command, ...] }`
+
+  command: {
+    name: 'tp',
+    prefix: '/' | '!', (default '/')
+    description: 'teleport to a player',
+    aliases: ['teleport'],
+    args: [{ name, type, required, description, options, min, max, default }],
+    permissions: ['Players.TPOthers'], (player needs all of these)
+    roles: ['Admin'], (player needs one of these)
+    cooldown: '5s', (per player)
+  }
+
+  arg types: string, int, float, duration (in ms), player, role, enum, rest
+
+  when a player runs a command, the plugin's runCommand is called with the
+  command name, the player, and the args by name
+*/
+class CommandRegistry {
+  // commands by `prefix + name`, including aliases
+  #commands = new Map();
+  // last time a command was used by `player id:prefix + name`
+  #cooldowns = new Map();
+
+  constructor(omegga) {
+    this.omegga = omegga;
+
+    // the matchers split commands on spaces, the raw string is needed for quotes
+    omegga.on('cmd', (cmd, name, ...args) =>
+      this.run('/', cmd, name, args.join(' '))
+    );
+    omegga.on('chatcmd', (cmd, name, ...args) =>
+      this.run('!', cmd, name, args.join(' '))
+    );
+  }
+
+  /**
+   * register a plugin's commands, invalid commands are skipped
+   * @param {Plugin} plugin - plugin that runs the commands
+   * @param {Array<Object>} commands - command schemas
+   */
+  register(plugin, commands) {
+    this.unregister(plugin);
+    if (!Array.isArray(commands)) return;
+
+    for (const schema of commands) {
+      const errors = validateCommand(schema);
+      if (errors.length > 0) {
+        Omegga.error(
+          '!>'.red,
+          'Invalid command from plugin',
+          plugin.getName().brightRed.underline,
+          errors.join(', ')
+        );
+        continue;
+      }
+
+      const command = {
+        prefix: '/',
+        description: '',
+        aliases: [],
+        permissions: [],
+        roles: [],
+        ...schema,
+        name: schema.name.toLowerCase(),
+        args: (schema.args ?? []).map(arg => ({ type: 'string', ...arg })),
+        cooldown:
+          typeof schema.cooldown === 'string'
+            ? parseDuration(schema.cooldown)
+            : schema.cooldown ?? 0,
+        plugin,
+      };
+      command.usage = getUsage(command);
+
+      for (const name of [command.name, ...command.aliases]) {
+        const key = command.prefix + name.toLowerCase();
+        const existing = this.#commands.get(key);
+        if (existing && existing.plugin !== plugin) {
+          Omegga.warn(
+            'W>'.yellow,
+            'Command',
+            key.yellow,
+            'from',
+            plugin.getName().yellow,
+            'is already registered by',
+            existing.plugin.getName().yellow
+          );
+          continue;
+        }
+        this.#commands.set(key, command);
+      }
+    }
+  }
+
+  /**
+   * remove a plugin's commands
+   * @param {Plugin} plugin
+   */
+  unregister(plugin) {
+    for (const [key, command] of this.#commands)
+      if (command.plugin === plugin) this.#commands.delete(key);
+  }
+
+  /**
+   * find a command by name or alias
+   * @param {String} prefix - `/` or `!`
+   * @param {String} name
+   * @return {Object} command or undefined
+   */
+  find(prefix, name) {
+    return this.#commands.get(prefix + name.toLowerCase());
+  }
+
+  /**
+   * list registered commands, optionally only ones from a plugin
+   * @param {Plugin} [plugin]
+   * @return {Array<Object>}
+   */
+  list(plugin) {
+    return [...new Set(this.#commands.values())].filter(
+      c => !plugin || c.plugin === plugin
+    );
+  }
+
+  /**
+   * check permissions, cooldown, and args, then run a command
+   * errors are whispered to the player
+   * @param {String} prefix - `/` or `!`
+   * @param {String} name - command name or alias
+   * @param {String} playerName
+   * @param {String} argString - everything after the command name
+   */
+  async run(prefix, name, playerName, argString) {
+    const command = this.find(prefix, name);
+    if (!command || !command.plugin.isLoaded()) return;
+
+    const player = this.omegga.getPlayer(playerName);
+    if (!player) return;
+
+    const reply = msg =>
+      this.omegga.whisper(player, new ChatMessage().color('ff7777', msg));
+
+    if (!this.#isAllowed(player, command))
+      return reply("You don't have permission to use this command");
+
+    // players can't use a command again until the cooldown is over
+    const cooldownKey = player.id + ':' + command.prefix + command.name;
+    const wait =
+      (this.#cooldowns.get(cooldownKey) ?? 0) + command.cooldown - Date.now();
+    if (wait > 0)
+      return reply(
+        `Wait ${formatDuration(wait)} before using ${
+          command.prefix + command.name
+        } again`
+      );
+
+    let args;
+    try {
+      args = this.parseArgs(command, argString);
+    } catch (e) {
+      reply(e);
+      this.omegga.whisper(
+        player,
+        new ChatMessage().text('Usage: ').code(command.usage)
+      );
+      return;
+    }
+
+    if (command.cooldown > 0) this.#cooldowns.set(cooldownKey, Date.now());
+
+    try {
+      await command.plugin.runAs(() =>
+        command.plugin.runCommand(command.name, player, args)
+      );
+    } catch (e) {
+      Omegga.error(
+        '!>'.red,
+        'Error running command',
+        (command.prefix + command.name).brightRed.underline,
+        'in plugin',
+        command.plugin.getName().brightRed.underline,
+        e
+      );
+    }
+  }
+
+  /**
+   * parse an argument string with a command's args
+   * @param {Object} command - registered command
+   * @param {String} argString
+   * @return {Object} parsed args by name
+   */
+  parseArgs(command, argString) {
+    const tokens = tokenize(argString);
+    const args = {};
+
+    command.args.forEach((arg, i) => {
+      const token = tokens[i];
+      if (!token) {
+        if (arg.required) throw `missing ${arg.name}`;
+        if (typeof arg.default !== 'undefined') args[arg.name] = arg.default;
+        return;
+      }
+
+      const value =
+        arg.type === 'rest' ? argString.slice(token.start).trim() : token.value;
+      args[arg.name] = ARG_TYPES[arg.type](value, arg, this.omegga);
+    });
+
+    const last = command.args[command.args.length - 1];
+    if (tokens.length > command.args.length && last?.type !== 'rest')
+      throw 'too many arguments';
+
+    return args;
+  }
+
+  // check if a player has the permissions and one of the roles for a command
+  #isAllowed(player, command) {
+    if (player.isHost()) return true;
+
+    if (command.permissions.length > 0) {
+      const permissions = Player.getPermissions(this.omegga, player.id);
+      if (!command.permissions.every(p => permissions[p])) return false;
+    }
+
+    if (command.roles.length > 0) {
+      const roles = player.getRoles().map(r => r.toLowerCase());
+      if (!command.roles.some(r => roles.includes(r.toLowerCase())))
+        return false;
+    }
+
+    return true;
+  }
+}
+
+module.exports = {
+  CommandRegistry,
+  validateCommand,
+  tokenize,
+  ARG_TYPES: Object.keys(ARG_TYPES),
+};
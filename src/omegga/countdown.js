@@ -0,0 +1,88 @@
+const soft = require('../softconfig.js');
+const {
+  time: { parseDuration, formatDuration },
+  chat: { ChatMessage },
+} = require('../util/index.js');
+
+// durations can be given as ms or strings like "5m"
+const toMs = d => (typeof d === 'number' ? d : parseDuration(d));
+
+/*
+  Countdown broadcasts a message and warns players as time runs out,
+  used before stopping or restarting the server
+*/
+class Countdown {
+  #timeout;
+  #resolve;
+  #warnings;
+
+  /**
+   * @param {Omegga} omegga
+   * @param {Number|String} duration - countdown length
+   * @param {Object} options
+   * @param {String} options.message - message broadcast with the time left
+   * @param {Array<Number|String>} options.warnings - time left when players are warned
+   */
+  constructor(
+    omegga,
+    duration,
+    { message, warnings = soft.STOP_COUNTDOWN_WARNINGS }
+  ) {
+    this.omegga = omegga;
+    this.message = message;
+    this.duration = toMs(duration);
+    /** @type {Number} time the countdown ends */
+    this.end = Date.now() + this.duration;
+    this.#warnings = warnings
+      .map(toMs)
+      .filter(w => w > 0 && w < this.duration)
+      .sort((a, b) => b - a);
+  }
+
+  /**
+   * broadcast the countdown and wait for it to finish
+   * @return {Promise<Boolean>} false if the countdown was cancelled
+   */
+  run() {
+    return new Promise(resolve => {
+      this.#resolve = resolve;
+      if (this.duration > 0) this.#announce(this.duration);
+      this.#next();
+    });
+  }
+
+  // cancel the countdown, players are told unless quiet
+  cancel(quiet = false) {
+    if (!this.#resolve) return;
+    clearTimeout(this.#timeout);
+    if (!quiet)
+      this.omegga.broadcast(
+        new ChatMessage().bold(this.message).text(' cancelled')
+      );
+    this.#resolve(false);
+    this.#resolve = undefined;
+  }
+
+  // wait for the next warning or the end of the countdown
+  #next() {
+    const warning = this.#warnings.shift();
+    const left = this.end - Date.now();
+    this.#timeout = setTimeout(() => {
+      if (typeof warning === 'undefined') {
+        this.#resolve(true);
+        this.#resolve = undefined;
+        return;
+      }
+      this.#announce(warning);
+      this.#next();
+    }, Math.max(typeof warning === 'undefined' ? left : left - warning, 0));
+  }
+
+  #announce(left) {
+    this.omegga.broadcast(
+      new ChatMessage().bold(this.message).text(` in ${formatDuration(left)}`)
+    );
+  }
+}
+
+module.exports = { Countdown };
@@ -1,20 +1,89 @@
 /*
   The wrapper combines the things looking at or waiting for logs with the actual server logs
 */
+const { AsyncResource } = require('async_hooks');
 
 const GENERIC_LINE_REGEX =
   /^(\[(?<date>\d{4}\.\d\d.\d\d-\d\d.\d\d.\d\d:\d{3})\]\[\s*(?<counter>\d+)\])?(?<generator>\w+): (?<data>.+)$/;
 
+// matchers and watchers stored by the log generators they listen to (LogChat, LogNet, etc)
+// lines that aren't generic logs (like GetAll output) have a null generator
+// entries without generators are checked against every line
+class DispatchTable {
+  #all = [];
+  #byGenerator = new Map();
+
+  add(entry) {
+    if (!entry.generators) {
+      this.#all.push(entry);
+      return;
+    }
+    for (const generator of entry.generators) {
+      if (!this.#byGenerator.has(generator))
+        this.#byGenerator.set(generator, []);
+      this.#byGenerator.get(generator).push(entry);
+    }
+  }
+
+  remove(entry) {
+    const lists = entry.generators
+      ? entry.generators.map(g => this.#byGenerator.get(g)).filter(Boolean)
+      : [this.#all];
+    for (const list of lists) {
+      const index = list.indexOf(entry);
+      if (index > -1) list.splice(index, 1);
+    }
+    for (const generator of entry.generators ?? [])
+      if (this.#byGenerator.get(generator)?.length === 0)
+        this.#byGenerator.delete(generator);
+  }
+
+  // lists of entries that could match a line from this generator
+  lists(generator) {
+    const list = this.#byGenerator.get(generator);
+    return list ? [this.#all, list] : [this.#all];
+  }
+
+  entries() {
+    return [...new Set([this.#all, ...this.#byGenerator.values()].flat())];
+  }
+}
+
+// generators must be a list of generator names (or null for non-generic lines)
+const isGeneratorList = generators =>
+  typeof generators === 'undefined' ||
+  (Array.isArray(generators) &&
+    generators.every(g => g === null || typeof g === 'string'));
+
+// copy of a generator list without duplicates
+const uniqueGenerators = generators => generators && [...new Set(generators)];
+
+// check if two generator lists could see the same lines, undefined is every generator
+const sharesGenerators = (a, b) => !a || !b || a.some(g => b.includes(g));
+
+// nanoseconds since some point in time, only used for matcher stats
+const now = () => process.hrtime.bigint();
+
 class LogWrangler {
-  // list of patterns and callbacks watching the brickadia logs in general
-  #matchers = [];
+  // patterns and callbacks watching the brickadia logs in general
+  #matchers = new DispatchTable();
 
-  // list of patterns and promises waiting for specific console logs
-  #watchers = [];
+  // patterns and promises waiting for specific console logs
+  #watchers = new DispatchTable();
+
+  // time spent on watchers, they don't live long enough for their own stats
+  #watcherStats = { calls: 0, matches: 0, time: 0n };
+
+  // console queries waiting to run (from watchLogChunk)
+  #queryQueue = [];
+  #queriesRunning = new Set();
+
+  // waiting or running queries by cmd and key, identical ones share results
+  #queries = new Map();
 
   constructor(omegga) {
     // passthru functions
-    this.exec = cmd => omegga.writeln(cmd);
+    this.exec = (cmd, options) => omegga.writeln(cmd, options);
     this.getPlayer = arg => omegga.getPlayer(arg);
     this.getVersion = () => omegga.version;
 
@@ -31,32 +100,63 @@ class LogWrangler {
   // add a new matcher to listen in on the logs
   // pattern is regex or a function that returns a match
   // callback is a function that receives the result of the pattern
+  // generators is a list of log generators (LogChat, null for GetAll output) to only check lines from
+  // name is shown in matcher stats
   // returns a deregister function
-  addMatcher(pattern, callback) {
+  addMatcher(pattern, callback, { generators, name } = {}) {
     if (
       (typeof pattern !== 'function' && !(pattern instanceof RegExp)) ||
-      typeof callback !== 'function'
+      typeof callback !== 'function' ||
+      !isGeneratorList(generators)
     )
       return undefined;
 
     // create the matcher from the callback and pattern, add it to the matchers
-    const matcher = { pattern, callback };
-    this.#matchers.push(matcher);
+    const matcher = {
+      pattern,
+      callback,
+      generators: uniqueGenerators(generators),
+      name:
+        name ??
+        (pattern instanceof RegExp ? pattern.toString() : pattern.name) ??
+        'anonymous',
+      stats: { calls: 0, matches: 0, time: 0n },
+    };
+    this.#matchers.add(matcher);
 
     // return a function to remove this matcher from the list of matchers
-    return () => {
-      const index = this.#matchers.indexOf(matcher);
-      if (index > -1) this.#matchers.splice(index, 0);
-    };
+    return () => this.#matchers.remove(matcher);
+  }
+
+  // time spent on each matcher, only measured in verbose mode
+  // returns [{ name, generators, calls, matches, time (ms) }] slowest first
+  getMatcherStats() {
+    const format = (name, generators, { calls, matches, time }) => ({
+      name,
+      generators: generators ?? null,
+      calls,
+      matches,
+      time: Number(time) / 1e6,
+    });
+
+    return [
+      ...this.#matchers
+        .entries()
+        .map(m => format(m.name, m.generators, m.stats)),
+      format('watchers', null, this.#watcherStats),
+    ].sort((a, b) => b.time - a.time);
   }
 
   // wait for stdout to match this regex or matcher fn, returns the match or times out
   // pattern is regex or a function that returns a match
   // if bundle is set to true, it returns all matches after the timeout ends rather than resolving (can't be used with delay 0)
   // exec is a function run after adding the watcher
+  // waitForWrite (used with exec) starts the timeout when exec calls the function it's given,
+  // like when its command leaves the command queue
   // debounce (used with bundle) waits extra time after each match before timing out
   // afterMatchDelay (used with debounce) indicates to run a new timeout after the first match
   // last (used with bundle) is a function run on the match. when it returns true, the watcher resolves early
+  // generators (like addMatcher) limits the lines the watcher checks
   // returns a promise, rejects after timeout ends
   addWatcher(
     pattern,
@@ -67,9 +167,14 @@ class LogWrangler {
       afterMatchDelay = 0,
       last,
       exec,
+      waitForWrite = false,
+      generators,
     } = {}
   ) {
-    if (typeof pattern !== 'function' && !(pattern instanceof RegExp))
+    if (
+      (typeof pattern !== 'function' && !(pattern instanceof RegExp)) ||
+      !isGeneratorList(generators)
+    )
       return undefined;
 
     return new Promise((resolve, reject) => {
@@ -81,6 +186,7 @@ class LogWrangler {
         timeoutDelay,
         afterMatchDelay,
         last,
+        generators: uniqueGenerators(generators),
         matches: [],
       };
 
@@ -89,12 +195,7 @@ class LogWrangler {
         resolve(args);
       }),
         // remove helper
-        (watcher.remove = () => {
-          const index = this.#watchers.indexOf(watcher);
-          if (index > -1) {
-            this.#watchers.splice(index, 1);
-          }
-        });
+        (watcher.remove = () => this.#watchers.remove(watcher));
 
       // what the watcher dones when it completes
       watcher.done = () => {
@@ -111,12 +212,15 @@ class LogWrangler {
       };
 
       // if the delay is non 0, kill the promise after some time
-      if (timeoutDelay !== 0) {
+      const startTimeout = () => {
+        if (timeoutDelay === 0) return;
+        clearTimeout(watcher.timeout);
         watcher.timeout = setTimeout(watcher.done, timeoutDelay);
-      }
+      };
+      if (!(exec && waitForWrite)) startTimeout();
 
-      this.#watchers.push(watcher);
-      exec && exec();
+      this.#watchers.add(watcher);
+      exec && exec(startTimeout);
     });
   }
 
@@ -124,10 +228,97 @@ class LogWrangler {
   // first is a function or 'index' for the index capture group that determines if this is match is the first log
   // last is a function that determines if this match is the last log (and can terminate early)
   // aftermatch delay is borrowed from addWatcher
-  watchLogChunk(
+  // generators is borrowed from addWatcher, GetAll commands default to their output lines
+  // lines from other generators don't end the chunk
+  // queries watching the same generators run one at a time so their output can't be mixed up,
+  // queries watching other generators don't wait for them. identical queries
+  // (same cmd and key, or the same cmd and regex pattern) that are waiting or running share a result
+  // rejects when the last log never shows up, or when there is no output (GetAll can be empty)
+  // high priority queries (server status) skip ahead of waiting queries
+  watchLogChunk(cmd, pattern, options = {}) {
+    const key =
+      options.key ??
+      (pattern instanceof RegExp ? pattern.toString() : undefined);
+    const queryKey = typeof key !== 'undefined' && cmd + '\n' + key;
+
+    // wait for the identical query, each caller gets their own copy of the results
+    if (queryKey && this.#queries.has(queryKey))
+      return this.#queries.get(queryKey).then(matches => matches.slice());
+
+    const generators =
+      options.generators ?? (cmd.startsWith('GetAll ') ? [null] : undefined);
+    const query = new Promise((resolve, reject) => {
+      const entry = {
+        // the command is written as whoever made the query (for the command queue)
+        run: AsyncResource.bind(() =>
+          this.#watchChunk(cmd, pattern, { ...options, generators })
+        ),
+        generators: uniqueGenerators(generators),
+        priority: options.priority,
+        resolve,
+        reject,
+      };
+      if (options.priority === 'high') {
+        const index = this.#queryQueue.findIndex(q => q.priority !== 'high');
+        this.#queryQueue.splice(
+          index === -1 ? this.#queryQueue.length : index,
+          0,
+          entry
+        );
+      } else {
+        this.#queryQueue.push(entry);
+      }
+      this.#nextQueries();
+    });
+    if (!queryKey) return query;
+
+    this.#queries.set(queryKey, query);
+    const remove = () => this.#queries.delete(queryKey);
+    query.then(remove, remove);
+    return query.then(matches => matches.slice());
+  }
+
+  // run the waiting queries that don't share generators with a running query
+  // or with one that has been waiting longer
+  #nextQueries() {
+    const ahead = [...this.#queriesRunning].map(q => q.generators);
+    for (const query of this.#queryQueue.slice()) {
+      const blocked = ahead.some(generators =>
+        sharesGenerators(generators, query.generators)
+      );
+      ahead.push(query.generators);
+      if (blocked) continue;
+
+      this.#queryQueue.splice(this.#queryQueue.indexOf(query), 1);
+      this.#runQuery(query);
+    }
+  }
+
+  async #runQuery(query) {
+    this.#queriesRunning.add(query);
+    try {
+      query.resolve(await query.run());
+    } catch (e) {
+      query.reject(e);
+    } finally {
+      this.#queriesRunning.delete(query);
+      this.#nextQueries();
+    }
+  }
+
+  // run a command and watch for its chunk of logs
+  async #watchChunk(
     cmd,
     pattern,
-    { first, last, afterMatchDelay = 10, timeoutDelay = 100 }
+    {
+      first,
+      last,
+      afterMatchDelay = 10,
+      timeoutDelay = 100,
+      generators = cmd.startsWith('GetAll ') ? [null] : undefined,
+      allowEmpty = cmd.startsWith('GetAll '),
+      priority,
+    }
   ) {
     // we're focused on the counter part of this, the rest will be passed to the pattern matcher
     const logLineRegExp =
@@ -135,9 +326,10 @@ class LogWrangler {
 
     // keep track of the current log line
     let currentCounter = -1;
+    let foundLast = false;
 
     // create the
-    return this.addWatcher(
+    const matches = await this.addWatcher(
       line => {
         const logLineMatch = line.match(logLineRegExp);
         if (!logLineMatch) return;
@@ -191,14 +383,23 @@ class LogWrangler {
         return match;
       },
       {
-        last,
-        exec: () => this.exec(cmd),
+        last: last && (match => (foundLast = !!last(match))),
+        // waiting in the command queue doesn't count towards the timeout
+        exec: onWrite => this.exec(cmd, { priority, onWrite }),
+        waitForWrite: true,
         bundle: true,
         debounce: true,
         timeoutDelay,
         afterMatchDelay,
+        generators,
       }
     );
+
+    // partial results would be mistaken for real ones
+    if ((last && !foundLast) || (matches.length === 0 && !allowEmpty))
+      throw `timed out waiting for ${cmd}`;
+
+    return matches;
   }
 
   // get a chunked array from the log
@@ -225,7 +426,10 @@ class LogWrangler {
         const memberMatch = line.match(memberPattern);
         if (memberMatch) return ['member', memberMatch];
       },
-      { first: arr => arr[0] === 'item' && arr[1].groups.index === '0' }
+      {
+        first: arr => arr[0] === 'item' && arr[1].groups.index === '0',
+        key: itemPattern.toString() + memberPattern.toString(),
+      }
     );
 
     const array = [];
@@ -245,79 +449,109 @@ class LogWrangler {
     return array;
   }
 
-  // check all the matchers against this line
+  // check the matchers and watchers for this line's generator against this line
   handleLog(line) {
     // generic match the log
     const logMatch = line.match(GENERIC_LINE_REGEX);
+    const generator = logMatch ? logMatch.groups.generator : null;
 
-    // pattern matcher handlers
-    const patternMatchers = [
-      {
-        array: this.#matchers,
-        onMatch(match, matcher) {
-          // if the matcher's callback is a function, run it
-          if (typeof matcher.callback === 'function') matcher.callback(match);
-        },
-      },
-      {
-        array: this.#watchers,
-        onMatch(match, watcher) {
-          // if the watcher is in bundle mode, add the match to its matches
-          if (watcher.bundle) {
-            // allow the watcher to terminate early
-            if (match === '[OMEGGA_WATCHER_DONE]') {
-              clearTimeout(watcher.timeout);
-              watcher.done();
-              return;
-            }
-
-            watcher.matches.push(match);
-
-            // check if this is the last line and terminate early
-            if (watcher.last && watcher.last(match)) {
-              clearTimeout(watcher.timeout);
-              watcher.done();
-              return;
-            }
-
-            // if the watcher is debounced, reset the timer
-            if (watcher.debounce) {
-              clearTimeout(watcher.timeout);
-              watcher.timeout = setTimeout(
-                watcher.done,
-                watcher.afterMatchDelay || watcher.timeoutDelay
-              );
-            }
-
-            // otherwise resolve with the result and remove the watcher from the list
-          } else {
-            watcher.resolve(match);
-            watcher.remove();
-          }
-        },
-      },
-    ];
+    // timing is only measured in verbose mode
+    const timed = global.VERBOSE;
 
-    // loop through matchers and run callbacks if they match
-    for (const { array, onMatch } of patternMatchers) {
+    for (const list of this.#matchers.lists(generator)) {
       // iterate in reverse because removing indices will not skip over any elements
-      for (let i = array.length - 1; i >= 0; i--) {
-        const matcher = array[i];
-        try {
-          // run the match on a pattern or test with a function
-          const match =
-            matcher.pattern instanceof RegExp
-              ? line.match(matcher.pattern)
-              : matcher.pattern(line, logMatch);
-
-          // if there's  match, handle it for this type of matcher
-          if (match) onMatch(match, matcher);
-        } catch (e) {
-          Omegga.error('error in matcher', matcher.pattern, e);
+      for (let i = list.length - 1; i >= 0; i--) {
+        const matcher = list[i];
+        const start = timed && now();
+        const match = this.#runPattern(matcher, line, logMatch);
+
+        // if the matcher's callback is a function, run it
+        if (match) {
+          try {
+            matcher.callback(match);
+          } catch (e) {
+            Omegga.error('error in matcher callback', matcher.name, e);
+          }
+        }
+
+        if (timed) {
+          matcher.stats.calls++;
+          if (match) matcher.stats.matches++;
+          matcher.stats.time += now() - start;
+        }
+      }
+    }
+
+    for (const list of this.#watchers.lists(generator)) {
+      for (let i = list.length - 1; i >= 0; i--) {
+        const watcher = list[i];
+        const start = timed && now();
+        const match = this.#runPattern(watcher, line, logMatch);
+        if (match) {
+          try {
+            this.#handleWatcherMatch(watcher, match);
+          } catch (e) {
+            Omegga.error('error in watcher', watcher.pattern, e);
+          }
+        }
+
+        if (timed) {
+          this.#watcherStats.calls++;
+          if (match) this.#watcherStats.matches++;
+          this.#watcherStats.time += now() - start;
         }
       }
     }
   }
+
+  // run the match on a pattern or test with a function
+  #runPattern(matcher, line, logMatch) {
+    try {
+      return matcher.pattern instanceof RegExp
+        ? line.match(matcher.pattern)
+        : matcher.pattern(line, logMatch);
+    } catch (e) {
+      Omegga.error('error in matcher', matcher.name ?? matcher.pattern, e);
+    }
+  }
+
+  #handleWatcherMatch(watcher, match) {
+    // if the watcher is in bundle mode, add the match to its matches
+    if (watcher.bundle) {
+      // allow the watcher to terminate early
+      if (match === '[OMEGGA_WATCHER_DONE]') {
+        clearTimeout(watcher.timeout);
+        watcher.done();
+        return;
+      }
+
+      watcher.matches.push(match);
+
+      // check if this is the last line and terminate early
+      if (watcher.last && watcher.last(match)) {
+        clearTimeout(watcher.timeout);
+        watcher.done();
+        return;
+      }
+
+      // if the watcher is debounced, reset the timer
+      if (watcher.debounce) {
+        clearTimeout(watcher.timeout);
+        watcher.timeout = setTimeout(
+          watcher.done,
+          watcher.afterMatchDelay || watcher.timeoutDelay
+        );
+      }
+
+      // otherwise resolve with the result and remove the watcher from the list
+    } else {
+      watcher.resolve(match);
+      watcher.remove();
+    }
+  }
 }
 
+// generic lines look like [date][counter]Generator: data
+LogWrangler.GENERIC_LINE_REGEX = GENERIC_LINE_REGEX;
+
 module.exports = LogWrangler;
@@ -7,6 +7,8 @@ module.exports = omegga => {
     /^Changing AuthState from \w+ to Valid(Online|Offline)\.$/;
 
   return {
+    name: 'auth',
+    generators: ['LogAuthManager'],
     // listen for auth messages
     pattern(_line, logMatch) {
       // line is not generic console log
@@ -17,6 +17,8 @@ module.exports = omegga => {
   const sanitizeName = name => name.toString().replace(/&und;/g, '_');
 
   return {
+    name: 'chat',
+    generators: ['LogChat'],
     // listen for chat messages
     pattern(_line, logMatch) {
       // line is not generic console log
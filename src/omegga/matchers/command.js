@@ -4,6 +4,8 @@ module.exports = omegga => {
     /^Player (?<name>.+?) is trying to call command "\/(?<command>.+?)" with arg string "(?<args>.*?)".$/;
 
   return {
+    name: 'command',
+    generators: ['LogChatCommands'],
     // listen for commands messages
     pattern(_line, logMatch) {
       // line is not generic console log
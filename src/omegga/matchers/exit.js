@@ -1,5 +1,7 @@
 module.exports = omegga => {
   return {
+    name: 'exit',
+    generators: ['LogExit'],
     // listen for exit messages
     pattern(_line, logMatch) {
       // line is not generic console log
@@ -1,5 +1,7 @@
 module.exports = _omegga => {
   return {
+    name: 'init',
+    generators: ['LogInit'],
     // listen for auth messages
     pattern(_line, logMatch) {
       // line is not generic console log
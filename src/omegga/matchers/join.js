@@ -14,6 +14,9 @@ module.exports = omegga => {
     /BP_PlayerState_C .+?PersistentLevel\.(?<state>BP_PlayerState_C_\d+)\.Owner = BP_PlayerController_C'.+?:PersistentLevel.(?<controller>BP_PlayerController_C_\d+)'/;
 
   return {
+    name: 'join',
+    // GetAll output has no generator
+    generators: ['LogServerList', 'LogNet', null],
     // listen for join events and wait for PlayerController info
     pattern(line, logMatch) {
       if (logMatch) {
@@ -51,7 +54,9 @@ module.exports = omegga => {
             });
 
             // get the state of all players (including the one that is joining)
-            omegga.writeln('GetAll BRPlayerState PlayerNamePrivate');
+            omegga.writeln('GetAll BRPlayerState PlayerNamePrivate', {
+              priority: 'high',
+            });
           }
         }
 
@@ -72,7 +77,9 @@ module.exports = omegga => {
 
           // this player owns this state, find the controller now
           player.state = state;
-          omegga.writeln(`GetAll BRPlayerState Owner Name=${state}`);
+          omegga.writeln(`GetAll BRPlayerState Owner Name=${state}`, {
+            priority: 'high',
+          });
 
           // this line matches our PlayerState -> PlayerController pattern
         } else if (controllerMatch) {
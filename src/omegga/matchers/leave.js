@@ -3,6 +3,8 @@ module.exports = omegga => {
   const ownerRegExp = /Owner: (BP_PlayerController_C_\d+)/;
 
   return {
+    name: 'leave',
+    generators: ['LogNet'],
     // listen for leave events and wait for PlayerController info
     pattern(_line, logMatch) {
       // line is not generic console log
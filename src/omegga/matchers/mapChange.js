@@ -4,6 +4,8 @@ module.exports = omegga => {
   const mapChangeRegExp = /^Took .+ seconds to LoadMap\((?<map>.+)\)$/;
 
   return {
+    name: 'mapChange',
+    generators: ['LogLoad'],
     // listen for commands messages
     pattern(_line, logMatch) {
       // line is not generic console log
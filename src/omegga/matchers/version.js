@@ -6,6 +6,8 @@ module.exports = omegga => {
   const versionRegExp = /^Using libcurl (?<curlversion>.+)$/;
   let version;
   return {
+    name: 'version',
+    generators: ['LogInit'],
     pattern(_line, logMatch) {
       // if the version has already been found - ignore this matcher
       if (version || !logMatch) return;
@@ -1,5 +1,74 @@
 const { color, brick: brickUtils } = require('../util/');
 
+// permissions the built-in roles have unless their role setup overrides them
+const DEFAULT_ROLE_PERMISSIONS = {
+  moderator: [
+    'Bricks.ClearAll',
+    'Minigame.AlwaysLeave',
+    'Players.Kick',
+    'Players.TPInMinigame',
+    'Players.TPOthers',
+    'Self.Ghost',
+  ],
+  admin: [
+    'Bricks.ClearAll',
+    'Bricks.ClearOwn',
+    'Bricks.IgnoreTrust',
+    'Bricks.Load',
+    'Map.Environment',
+    'Minigame.AlwaysEdit',
+    'Minigame.AlwaysLeave',
+    'Minigame.AlwaysSwitchTeam',
+    'Minigame.MakeDefault',
+    'Minigame.MakePersistent',
+    'Minigame.UseAllBricks',
+    'Players.Ban',
+    'Players.Kick',
+    'Players.TPInMinigame',
+    'Players.TPOthers',
+    'Roles.Grant',
+    'Self.Ghost',
+    'Server.ChangeRoles',
+    'Server.ChangeSettings',
+    'Server.FreezeCamera',
+    'Tools.Selector.BypassLimits',
+    'Tools.Selector.BypassTimeouts',
+  ],
+};
+
+// permissions players have before their roles are applied
+const DEFAULT_PERMISSIONS = {
+  'Bricks.ClearAll': false,
+  'Bricks.ClearOwn': true,
+  'Bricks.Delete': true,
+  'Bricks.Edit': true,
+  'Bricks.IgnoreTrust': false,
+  'Bricks.Paint': true,
+  'Bricks.Place': true,
+  'BricksItems.Spawn': true,
+  'Map.Change': false,
+  'Map.Environment': false,
+  'Map.SetSpawn': false,
+  'Minigame.AlwaysEdit': false,
+  'Minigame.AlwaysLeave': false,
+  'Minigame.AlwaysSwitchTeam': false,
+  'Minigame.Create': true,
+  'Minigame.MakePersistent': false,
+  'Minigame.UseAllBricks': false,
+  'Players.Ban': false,
+  'Players.TPInMinigame': false,
+  'Players.TPOthers': false,
+  'Players.TPSelf': true,
+  'Roles.Grant': false,
+  'Self.Flashlight': true,
+  'Self.Fly': true,
+  'Self.FreezeCamera': false,
+  'Self.Ghost': false,
+  'Self.Sprint': true,
+  'Self.Suicide': true,
+  'Tools.Selector.Use': true,
+};
+
 class Player {
   #omegga = null;
 
@@ -107,76 +176,11 @@ class Player {
       );
     }
 
-    const DEFAULT_PERMS = {
-      moderator: [
-        'Bricks.ClearAll',
-        'Minigame.AlwaysLeave',
-        'Players.Kick',
-        'Players.TPInMinigame',
-        'Players.TPOthers',
-        'Self.Ghost',
-      ],
-      admin: [
-        'Bricks.ClearAll',
-        'Bricks.ClearOwn',
-        'Bricks.IgnoreTrust',
-        'Bricks.Load',
-        'Map.Environment',
-        'Minigame.AlwaysEdit',
-        'Minigame.AlwaysLeave',
-        'Minigame.AlwaysSwitchTeam',
-        'Minigame.MakeDefault',
-        'Minigame.MakePersistent',
-        'Minigame.UseAllBricks',
-        'Players.Ban',
-        'Players.Kick',
-        'Players.TPInMinigame',
-        'Players.TPOthers',
-        'Roles.Grant',
-        'Self.Ghost',
-        'Server.ChangeRoles',
-        'Server.ChangeSettings',
-        'Server.FreezeCamera',
-        'Tools.Selector.BypassLimits',
-        'Tools.Selector.BypassTimeouts',
-      ],
-    };
-
     // get the player's roles
     const playerRoles = Player.getRoles(omegga, id).map(r => r.toLowerCase());
 
     // default player permissions
-    const permissions = {
-      'Bricks.ClearAll': false,
-      'Bricks.ClearOwn': true,
-      'Bricks.Delete': true,
-      'Bricks.Edit': true,
-      'Bricks.IgnoreTrust': false,
-      'Bricks.Paint': true,
-      'Bricks.Place': true,
-      'BricksItems.Spawn': true,
-      'Map.Change': false,
-      'Map.Environment': false,
-      'Map.SetSpawn': false,
-      'Minigame.AlwaysEdit': false,
-      'Minigame.AlwaysLeave': false,
-      'Minigame.AlwaysSwitchTeam': false,
-      'Minigame.Create': true,
-      'Minigame.MakePersistent': false,
-      'Minigame.UseAllBricks': false,
-      'Players.Ban': false,
-      'Players.TPInMinigame': false,
-      'Players.TPOthers': false,
-      'Players.TPSelf': true,
-      'Roles.Grant': false,
-      'Self.Flashlight': true,
-      'Self.Fly': true,
-      'Self.FreezeCamera': false,
-      'Self.Ghost': false,
-      'Self.Sprint': true,
-      'Self.Suicide': true,
-      'Tools.Selector.Use': true,
-    };
+    const permissions = { ...DEFAULT_PERMISSIONS };
 
     // apply all permissions from default role
     for (const p of defaultRole.permissions) {
@@ -192,7 +196,8 @@ class Player {
       // ignore ones the player does not have
       if (!playerRoles.includes(role.name.toLowerCase())) continue;
 
-      const defaultPerms = DEFAULT_PERMS[role.name.toLowerCase()] || [];
+      const defaultPerms =
+        DEFAULT_ROLE_PERMISSIONS[role.name.toLowerCase()] || [];
       // iterate through default permissions
       for (const perm of defaultPerms) {
         // if they are not overriden, set it to true
@@ -273,38 +278,32 @@ class Player {
       `BP_PlayerController_C .+?PersistentLevel\\.${this.controller}\\.Pawn = BP_FigureV2_C'.+?:PersistentLevel.(?<pawn>BP_FigureV2_C_\\d+)'`
     );
 
-    // wait for the pawn watcher to return a pawn
+    // wait for the pawn query to return a pawn (should only be one)
     const [
       {
         groups: { pawn },
       },
-    ] = await omegga.addWatcher(pawnRegExp, {
-      // request the pawn for this player's controller (should only be one)
-      exec: () =>
-        omegga.writeln(
-          `GetAll BP_PlayerController_C Pawn Name=${this.controller}`
-        ),
-      timeoutDelay: 100,
-    });
+    ] = await omegga.watchLogChunk(
+      `GetAll BP_PlayerController_C Pawn Name=${this.controller}`,
+      pawnRegExp,
+      { timeoutDelay: 100, allowEmpty: false }
+    );
 
     // given a player's pawn, match the player's position
     const posRegExp = new RegExp(
       `CapsuleComponent .+?PersistentLevel\\.${pawn}\\.CollisionCylinder\\.RelativeLocation = \\(X=(?<x>[\\d\\.-]+),Y=(?<y>[\\d\\.-]+),Z=(?<z>[\\d\\.-]+)\\)`
     );
 
-    // wait for the position promise
+    // wait for the position query
     const [
       {
         groups: { x, y, z },
       },
-    ] = await omegga.addWatcher(posRegExp, {
-      // request the position for this player's pawn
-      exec: () =>
-        omegga.writeln(
-          `GetAll SceneComponent RelativeLocation Name=CollisionCylinder Outer=${pawn}`
-        ),
-      timeoutDelay: 100,
-    });
+    ] = await omegga.watchLogChunk(
+      `GetAll SceneComponent RelativeLocation Name=CollisionCylinder Outer=${pawn}`,
+      posRegExp,
+      { timeoutDelay: 100, allowEmpty: false }
+    );
 
     // return the player's position as an array of numbers
     return [x, y, z].map(Number);
@@ -317,45 +316,22 @@ class Player {
   async getGhostBrick() {
     const { controller } = this;
 
-    const ownerRegExp =
-      /^(?<index>\d+)\) BrickGridPreviewActor (.+):PersistentLevel\.(?<actor>BrickGridPreviewActor_\d+)\.Owner = BP_PlayerController_C'(.+):PersistentLevel\.(?<controller>BP_PlayerController_C_\d+)'$/;
-    const transformParamsRegExp =
-      /^(?<index>\d+)\) BrickGridPreviewActor (.+):PersistentLevel\.(?<actor>BrickGridPreviewActor_\d+)\.TransformParameters = \(TargetGrid=("(?<targetGrid>.+)"|None),Position=\(X=(?<x>.+),Y=(?<y>.+),Z=(?<z>.+)\),Orientation=(?<orientation>.+)\)$/;
-
-    const [owners, transformParams] = await Promise.all([
-      this.#omegga.watchLogChunk(
-        'GetAll BrickGridPreviewActor Owner',
-        ownerRegExp,
-        { first: 'index', timeoutDelay: 500 }
-      ),
-      this.#omegga.watchLogChunk(
-        'GetAll BrickGridPreviewActor TransformParameters',
-        transformParamsRegExp,
-        { first: 'index', timeoutDelay: 500 }
-      ),
-    ]);
-
-    // get BrickGridPreviewActor by controller
-    const owner = owners.find(owner => owner.groups.controller === controller);
-
-    if (!owner) return;
-
-    const actor = owner.groups.actor;
-    // get transform parameters for the found actor
-    const transformParameters = transformParams.find(
-      transformParameters => transformParameters.groups.actor === actor
+    const actors = await this.#omegga.queryObjects(
+      'BrickGridPreviewActor',
+      ['Owner', 'TransformParameters'],
+      { timeoutDelay: 500 }
     );
 
-    if (!transformParameters) return;
+    // get BrickGridPreviewActor by controller
+    const actor = actors.find(a => a.properties.Owner?.name === controller);
+    const transform = actor?.properties.TransformParameters;
+    if (!transform?.Position) return;
 
+    const { X, Y, Z } = transform.Position;
     return {
-      targetGrid: transformParameters.groups.targetGrid,
-      location: [
-        +transformParameters.groups.x,
-        +transformParameters.groups.y,
-        +transformParameters.groups.z,
-      ],
-      orientation: transformParameters.groups.orientation,
+      targetGrid: transform.TargetGrid ?? undefined,
+      location: [X, Y, Z],
+      orientation: transform.Orientation,
     };
   }
 
@@ -366,65 +342,30 @@ class Player {
   async getPaint() {
     const { controller } = this;
 
-    const ownerRegExp =
-      /^(?<index>\d+)\) BP_Item_PaintTool_C (.+):PersistentLevel\.(?<actor>BP_Item_PaintTool_C_\d+)\.Owner = BP_PlayerController_C'(.+):PersistentLevel\.(?<controller>BP_PlayerController_C_\d+)'$/;
-    const colorRegExp =
-      /^(?<index>\d+)\) BP_Item_PaintTool_C (.+):PersistentLevel\.(?<actor>BP_Item_PaintTool_C_\d+)\.SelectedColor = \(B=(?<b>.+),G=(?<g>.+),R=(?<r>.+),A=(?<a>.+)\)$/;
-    const materialRegExp =
-      /^(?<index>\d+)\) BP_Item_PaintTool_C (.+):PersistentLevel\.(?<actor>BP_Item_PaintTool_C_\d+)\.SelectedMaterialId = (?<materialIndex>\d+)$/;
-    const materialAlphaRegExp =
-      /^(?<index>\d+)\) BP_Item_PaintTool_C (.+):PersistentLevel\.(?<actor>BP_Item_PaintTool_C_\d+)\.SelectedMaterialAlpha = (?<materialAlpha>\d+)$/;
-
-    const [owners, colorMatch, materialMatch, materialAlphaMatch] =
-      await Promise.all([
-        this.#omegga.watchLogChunk(
-          'GetAll BP_Item_PaintTool_C Owner',
-          ownerRegExp,
-          { first: 'index', timeoutDelay: 500 }
-        ),
-        this.#omegga.watchLogChunk(
-          'GetAll BP_Item_PaintTool_C SelectedColor',
-          colorRegExp,
-          { first: 'index', timeoutDelay: 500 }
-        ),
-        this.#omegga.watchLogChunk(
-          'GetAll BP_Item_PaintTool_C SelectedMaterialId',
-          materialRegExp,
-          { first: 'index', timeoutDelay: 500 }
-        ),
-        this.#omegga.watchLogChunk(
-          'GetAll BP_Item_PaintTool_C SelectedMaterialAlpha',
-          materialAlphaRegExp,
-          { first: 'index', timeoutDelay: 500 }
-        ),
-      ]);
-
-    // get BrickGridPreviewActor by controller
-    const owner = owners.find(owner => owner.groups.controller === controller);
-
-    if (!owner) return;
-
-    const actor = owner.groups.actor;
-    // get transform parameters for the found actor
-    const color = colorMatch.find(color => color.groups.actor === actor);
-    const material = materialMatch.find(
-      material => material.groups.actor === actor
-    );
-    const materialAlpha = materialAlphaMatch.find(
-      materialAlpha => materialAlpha.groups.actor === actor
+    const tools = await this.#omegga.queryObjects(
+      'BP_Item_PaintTool_C',
+      ['Owner', 'SelectedColor', 'SelectedMaterialId', 'SelectedMaterialAlpha'],
+      { timeoutDelay: 500 }
     );
 
-    if (!color || !material || !materialAlpha) return;
+    // get the paint tool by controller
+    const tool = tools.find(t => t.properties.Owner?.name === controller);
+    if (!tool) return;
+
+    const {
+      SelectedColor: color,
+      SelectedMaterialId: materialIndex,
+      SelectedMaterialAlpha: materialAlpha,
+    } = tool.properties;
+    if (!color || materialIndex === undefined || materialAlpha === undefined)
+      return;
 
-    const colorRaw = [+color.groups.r, +color.groups.g, +color.groups.b];
     return {
-      materialIndex: material.groups.materialIndex,
-      materialAlpha: materialAlpha.groups.materialAlpha,
-      material:
-        brickUtils.BRICK_CONSTANTS.DEFAULT_MATERIALS[
-          material.groups.materialIndex
-        ],
-      color: colorRaw,
+      // these were always strings
+      materialIndex: String(materialIndex),
+      materialAlpha: String(materialAlpha),
+      material: brickUtils.BRICK_CONSTANTS.DEFAULT_MATERIALS[materialIndex],
+      color: [color.R, color.G, color.B],
     };
   }
 
@@ -580,6 +521,14 @@ class Player {
   }
 }
 
+// every permission omegga knows the default for
+Player.PERMISSIONS = [
+  ...new Set([
+    ...Object.keys(DEFAULT_PERMISSIONS),
+    ...Object.values(DEFAULT_ROLE_PERMISSIONS).flat(),
+  ]),
+].sort();
+
 global.Player = Player;
 
 module.exports = Player;
@@ -1,9 +1,10 @@
 const fs = require('fs');
 const path = require('path');
 
-const Datastore = require('nedb-promise');
-
 const soft = require('../softconfig.js');
+const { openStore } = require('../storage/index.js');
+const { ChatMessage } = require('../util/chat.js');
+const { formatDuration } = require('../util/time.js');
 
 // Check if this plugin is disabled
 const DISABLED_FILE = 'disabled.omegga';
@@ -69,6 +70,11 @@ class Plugin {
     this.emitStatus();
   }
 
+  // run a function with its console commands counted as this plugin's (for rate limits)
+  runAs(fn) {
+    return this.omegga.commandQueue.runAs(this.getName(), fn);
+  }
+
   // emit a plugin status change
   emitStatus() {
     this.omegga.emit('plugin:status', this.shortPath, {
@@ -81,6 +87,12 @@ class Plugin {
   // emit a custom event from another plugin
   async emitPlugin(_ev, _from, _args) {}
 
+  // let the plugin save its state before the server stops
+  async willStop() {}
+
+  // run one of the plugin's registered commands
+  async runCommand(_name, _player, _args) {}
+
   // get the plugin name, usually based on documentation data
   getName() {
     const doc = this.getDocumentation();
@@ -234,10 +246,11 @@ class PluginLoader {
   constructor(pluginsPath, omegga) {
     this.path = pluginsPath;
     this.omegga = omegga;
-    this.store = new Datastore({
-      filename: path.join(omegga.dataPath, soft.PLUGIN_STORE),
-      autoload: true,
-    });
+    this.store = openStore(
+      omegga.config?.omegga?.database,
+      path.join(omegga.dataPath, soft.PLUGIN_STORE)
+    );
+    this.store.ensureIndex({ fieldName: 'plugin' });
     this.formats = [];
     this.plugins = [];
 
@@ -258,7 +271,11 @@ class PluginLoader {
 
   // determine if this command is a command on the plugin
   isCommand(cmd) {
-    return cmd === 'plugins' || this.plugins.some(p => p.isCommand(cmd));
+    return (
+      cmd === 'plugins' ||
+      this.plugins.some(p => p.isCommand(cmd)) ||
+      !!this.omegga.commands?.find('/', cmd)?.plugin.isLoaded()
+    );
   }
 
   // scan a folder and load in formats
@@ -293,7 +310,7 @@ class PluginLoader {
               p.constructor.getFormat(),
               p.getName().underline
             );
-            ok = (await p.load()) || ok;
+            ok = (await p.runAs(() => p.load())) || ok;
           }
         } else {
           Omegga.error(
@@ -317,6 +334,36 @@ class PluginLoader {
     return ok;
   }
 
+  // give loaded plugins a chance to save their state before the server stops
+  // plugins that take longer than the timeout are left behind
+  async willStop(timeout = soft.PLUGIN_WILL_STOP_TIMEOUT) {
+    Omegga.verbose('Waiting for plugins to prepare for stop');
+    await Promise.all(
+      this.plugins
+        .filter(p => p.isLoaded())
+        .map(async p => {
+          let timer;
+          try {
+            await Promise.race([
+              p.runAs(() => p.willStop()),
+              new Promise((_, reject) => {
+                timer = setTimeout(() => reject('timed out'), timeout);
+              }),
+            ]);
+          } catch (e) {
+            Omegga.error(
+              '!>'.red,
+              'Error preparing plugin for stop',
+              p.getName().brightRed.underline,
+              e
+            );
+          } finally {
+            clearTimeout(timer);
+          }
+        })
+    );
+  }
+
   // stop all plugins from running
   async unload() {
     Omegga.verbose('Unloading plugins');
@@ -429,86 +476,176 @@ class PluginLoader {
   showHelp(player, ...args) {
     // send the message to the player
     const send = msg => this.omegga.whisper(player, msg);
+    const message = () => new ChatMessage();
 
     // available commands and documentation from the plugin system
     const commands = this.commands;
     const docs = this.documentation;
 
-    const splitHelper = objs => {
-      const lines = [];
-      while (objs.length > 0) {
-        const [item] = objs.splice(0, 1);
-        if (!lines.length || lines[lines.length - 1].length + item.length > 150)
-          lines.push(item);
-        else lines[lines.length - 1] += ', ' + item;
-      }
-      return lines;
+    // loaded plugins are green, unloaded plugins are gray
+    const pluginColor = plugin => (plugin.isLoaded() ? 'aaffaa' : 'aaaaaa');
+
+    // comma separated list of items
+    const list = (msg, items) => {
+      items.forEach((item, i) => {
+        if (i > 0) msg.text(', ');
+        msg.text(item);
+      });
+      return msg;
     };
 
     // no arguments
     if (!args.length) {
       send(
-        '"Use <code>/plugins plugin</>, <code>/plugins !command</>, <code>/plugins /command</> for more information"'
+        message()
+          .text('Use ')
+          .code('/plugins plugin')
+          .text(', ')
+          .code('/plugins !command')
+          .text(', ')
+          .code('/plugins /command')
+          .text(' for more information')
       );
-      const plugins = Object.keys(docs).map(
-        d =>
-          `<color=\\"${
-            docs[d]._plugin.isLoaded() ? 'aaffaa' : 'aaaaaa'
-          }\\">${d}</>`
+      const plugins = Object.keys(docs).map(d =>
+        message().color(pluginColor(docs[d]._plugin), d)
       );
       if (!plugins.length) {
-        send('"<b>No Installed Plugins</>"');
+        send(message().bold('No Installed Plugins'));
       } else {
-        const lines = splitHelper(plugins);
-        send(`"<b>Installed Plugins</>: ${lines[0]}"`);
-        for (let i = 1; i < lines.length; i++) send(`"${lines[i]}"`);
+        send(list(message().bold('Installed Plugins').text(': '), plugins));
       }
 
       // plugin or command argument
     } else if (args.length > 0) {
       const target = args.join(' ');
+      const registered =
+        ['/', '!'].includes(target[0]) &&
+        this.omegga.commands?.find(target[0], target.slice(1));
       // argument is a plugin; render description, author, and commands
       if (docs[target]) {
         const doc = docs[target];
         const desc = doc.description || 'no description';
-        const color = doc._plugin.isLoaded() ? 'aaffaa' : 'aaaaaa';
         send(
-          `"<b>Plugin</> <code><color=\\"${color}\\">${target}</></>: ${desc}"`
+          message()
+            .bold('Plugin')
+            .text(' ')
+            .code(message().color(pluginColor(doc._plugin), target))
+            .text(': ' + desc)
         );
 
         if (doc.author)
-          send(`"<b>Author</>: <color=\\"c4d7f5\\"><b>${doc.author}</></>"`);
+          send(
+            message()
+              .bold('Author')
+              .text(': ')
+              .color('c4d7f5', message().bold(doc.author))
+          );
+
+        // documented commands and commands registered with schemas
+        const names = [
+          ...new Set([
+            ...(doc.commands ?? []).map(c => c.name),
+            ...(this.omegga.commands?.list(doc._plugin) ?? []).map(
+              c => c.prefix + c.name
+            ),
+          ]),
+        ];
+        if (names.length > 0) {
+          send(
+            list(
+              message().bold('Commands').text(': '),
+              names.map(name => message().code(name))
+            )
+          );
+        }
 
-        if (doc.commands && doc.commands.length > 0) {
-          const lines = splitHelper(
-            doc.commands.map(c => `<code>${c.name}</>`)
+        // argument is a command registered with a schema
+      } else if (registered) {
+        const name = registered.prefix + registered.name;
+        const desc =
+          registered.description ||
+          commands[name]?.description ||
+          'no description';
+        send(
+          message()
+            .bold('Command')
+            .text(' ')
+            .code(message().color(pluginColor(registered.plugin), name))
+            .text(': ' + desc)
+        );
+        send(message().bold('Usage').text(': ').code(registered.usage));
+        if (registered.aliases.length > 0)
+          send(
+            list(
+              message().bold('Aliases').text(': '),
+              registered.aliases.map(a => message().code(registered.prefix + a))
+            )
           );
-          send(`"<b>Commands</>: ${lines[0]}"`);
-          for (let i = 1; i < lines.length; i++) send(`"${lines[i]}"`);
+        if (registered.args.length > 0) {
+          send(message().bold('Arguments').text(':'));
+          for (const arg of registered.args) {
+            const type =
+              arg.type === 'enum' ? arg.options.join(', ') : arg.type;
+            send(
+              message()
+                .text('- ')
+                .code(arg.name)
+                .text(
+                  ` (${type}${arg.required ? ', required' : ''}): ${
+                    arg.description || 'no description'
+                  }`
+                )
+            );
+          }
         }
+        if (registered.permissions.length > 0 || registered.roles.length > 0)
+          send(
+            message()
+              .bold('Requires')
+              .text(
+                ': ' +
+                  [
+                    ...registered.permissions,
+                    registered.roles.length > 0 &&
+                      'one of ' + registered.roles.join(', '),
+                  ]
+                    .filter(r => r)
+                    .join(', ')
+              )
+          );
+        if (registered.cooldown > 0)
+          send(
+            message()
+              .bold('Cooldown')
+              .text(': ' + formatDuration(registered.cooldown))
+          );
 
         // argument is a command
       } else if (commands[target]) {
         const doc = commands[target];
         const desc = doc.description || 'no description';
         const example = doc.example || 'no example';
-        const color = doc._plugin.isLoaded() ? 'aaffaa' : 'aaaaaa';
         send(
-          `"<b>Command</> <code><color=\\"${color}\\">${doc.name}</></>: ${desc}"`
+          message()
+            .bold('Command')
+            .text(' ')
+            .code(message().color(pluginColor(doc._plugin), doc.name))
+            .text(': ' + desc)
         );
-        send(`"<b>Example</>: <code>${example}</>"`);
+        send(message().bold('Example').text(': ').code(example));
         if (doc.args && doc.args.length > 0) {
-          send('"<b>Arguments</>:"');
+          send(message().bold('Arguments').text(':'));
           for (const arg of doc.args) {
             const desc = arg.description || 'no description';
             send(
-              `"- <code>${arg.name}</>${
-                arg.required ? ' (required)' : ''
-              }: ${desc}"`
+              message()
+                .text('- ')
+                .code(arg.name)
+                .text(`${arg.required ? ' (required)' : ''}: ${desc}`)
             );
           }
         } else {
-          send('"<b>Arguments</>: None"');
+          send(message().bold('Arguments').text(': None'));
         }
 
         // user takes the helptext literally
@@ -518,18 +655,30 @@ class PluginLoader {
         args[0] === 'plugin'
       ) {
         send(
-          '"Use <code>/plugins [name of plugin]</> or <code>/plugins [name of !command or /command]</> for more help for the respective plugin or command"'
+          message()
+            .text('Use ')
+            .code('/plugins [name of plugin]')
+            .text(' or ')
+            .code('/plugins [name of !command or /command]')
+            .text(' for more help for the respective plugin or command')
         );
 
         // argument is not found
       } else {
-        send('"Could not find that command or plugin"');
+        send(message().text('Could not find that command or plugin'));
       }
 
       // too many arguments
     } else {
       send(
-        '"Use <code>/plugins</> to list plugins and <code>/plugins plugin</> or <code>!help !command or /command</> for more information"'
+        message()
+          .text('Use ')
+          .code('/plugins')
+          .text(' to list plugins and ')
+          .code('/plugins plugin')
+          .text(' or ')
+          .code('!help !command or /command')
+          .text(' for more information')
       );
     }
   }
@@ -157,6 +157,10 @@ class RpcPlugin extends Plugin {
                 cmds.every(i => typeof i === 'string')
               )
                 this.commands = cmds;
+
+              // commands with schemas are parsed by omegga
+              if (result.commands)
+                this.omegga.commands.register(this, result.commands);
             }
           } catch (e) {
             if (!e.message) return;
@@ -214,6 +218,21 @@ class RpcPlugin extends Plugin {
     ]);
   }
 
+  // run one of the plugin's registered commands
+  async runCommand(name, player, args) {
+    await this.emit('runCommand', [name, player, args]);
+  }
+
+  // let the plugin save its state before the server stops
+  async willStop() {
+    if (!this.#child || this.#child.exitCode) return;
+    try {
+      await this.emit('server:willStop');
+    } catch (e) {
+      // the plugin doesn't implement willStop
+    }
+  }
+
   // kill the child process after requesting it to stop
   unload() {
     if (!this.#child || this.#child.exitCode) {
@@ -241,6 +260,7 @@ class RpcPlugin extends Plugin {
           if (timed) return;
           this.emitStatus();
           this.commands = [];
+          this.omegga.commands.unregister(this);
           return true;
         } catch (e) {
           if (timed) return;
@@ -280,7 +300,8 @@ class RpcPlugin extends Plugin {
 
     this.#outInterface.on('line', line => {
       try {
-        this.#rpc.receiveAndSend(JSON.parse(line));
+        const req = JSON.parse(line);
+        this.runAs(() => this.#rpc.receiveAndSend(req));
       } catch (e) {
         Omegga.error(
           this.getName().brightRed.underline,
@@ -400,6 +421,10 @@ class RpcPlugin extends Plugin {
     rpc.addMethod('whisper', ({ target, line }) =>
       this.omegga.whisper(target, line)
     );
+    rpc.addMethod('middlePrint', ({ target, line }) =>
+      this.omegga.middlePrint(target, line)
+    );
+    rpc.addMethod('announce', line => this.omegga.announce(line));
     rpc.addMethod('getPlayers', () => this.omegga.getPlayers());
     rpc.addMethod('getPlayerPosition', name =>
       this.omegga.getPlayer(name)?.getPosition()
@@ -409,9 +434,15 @@ class RpcPlugin extends Plugin {
     );
     rpc.addMethod('getServerStatus', () => this.omegga.getServerStatus());
     rpc.addMethod('getMinigames', () => this.omegga.getMinigames());
+    rpc.addMethod('queryObjects', ({ className, properties, ...options }) =>
+      this.omegga.queryObjects(className, properties, options)
+    );
     rpc.addMethod('getHostId', () => this.omegga.getHostId());
     rpc.addMethod('getRoleSetup', () => this.omegga.getRoleSetup());
     rpc.addMethod('getBanList', () => this.omegga.getBanList());
+    rpc.addMethod('getLinkedAccounts', target =>
+      this.omegga.getLinkedAccounts(target)
+    );
     rpc.addMethod('getSaves', () => this.omegga.getSaves());
     rpc.addMethod('getSavePath', name => this.omegga.getSavePath(name));
     rpc.addMethod('clearBricks', ({ target, quiet = false }) =>
@@ -421,11 +452,17 @@ class RpcPlugin extends Plugin {
       this.omegga.clearAllBricks(quiet)
     );
     rpc.addMethod('saveBricks', name => this.omegga.saveBricks(name));
+    rpc.addMethod('saveBricksAsync', name => this.omegga.saveBricksAsync(name));
     rpc.addMethod(
       'loadBricks',
       ({ name, offX = 0, offY = 0, offZ = 0, quiet = false }) =>
         this.omegga.loadBricks(name, { offX, offY, offZ, quiet })
     );
+    rpc.addMethod(
+      'loadBricksAsync',
+      ({ name, offX = 0, offY = 0, offZ = 0, quiet = false }) =>
+        this.omegga.loadBricksAsync(name, { offX, offY, offZ, quiet })
+    );
     rpc.addMethod('readSaveData', name => this.omegga.readSaveData(name));
     rpc.addMethod('getSaveData', () => this.omegga.getSaveData());
     rpc.addMethod(
@@ -434,6 +471,37 @@ class RpcPlugin extends Plugin {
         this.omegga.loadSaveData(data, { offX, offY, offZ, quiet })
     );
     rpc.addMethod('changeMap', map => this.omegga.changeMap(map));
+
+    // moderation methods reject with strings, wrap them in errors so the message reaches the plugin
+    const withErrors = fn => async arg => {
+      try {
+        return await fn(arg);
+      } catch (err) {
+        throw err instanceof Error ? err : new Error(err);
+      }
+    };
+    rpc.addMethod(
+      'ban',
+      withErrors(({ target, duration = -1, reason }) =>
+        this.omegga.ban(target, { duration, reason })
+      )
+    );
+    rpc.addMethod(
+      'unban',
+      withErrors(target => this.omegga.unban(target))
+    );
+    rpc.addMethod(
+      'kick',
+      withErrors(({ target, reason }) => this.omegga.kick(target, reason))
+    );
+    rpc.addMethod(
+      'grantRole',
+      withErrors(({ target, role }) => this.omegga.grantRole(target, role))
+    );
+    rpc.addMethod(
+      'revokeRole',
+      withErrors(({ target, role }) => this.omegga.revokeRole(target, role))
+    );
     rpc.addMethod('unload', () => this.unload());
     rpc.addMethod('reload', async () => {
       await this.unload();
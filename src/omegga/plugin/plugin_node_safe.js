@@ -8,6 +8,7 @@ const { Worker } = require('worker_threads');
 const { Plugin } = require('../plugin.js');
 const { bootstrap } = require('./plugin_node_safe/proxyOmegga.js');
 const Omegga = require('../server.js');
+const Player = require('../player.js');
 
 // Main plugin file (like index.js)
 // this isn't named 'index.js' or 'plugin.js' because those may be filenames
@@ -80,7 +81,7 @@ class NodeVmPlugin extends Plugin {
     });
 
     // let the worker write commands to brickadia
-    this.plugin.on('exec', (_, cmd) => omegga.writeln(cmd));
+    this.plugin.on('exec', (_, cmd) => omegga.writeln(cmd, { source: name }));
 
     // storage interface
     this.plugin.on('store.get', async (resp, key) => {
@@ -179,6 +180,19 @@ class NodeVmPlugin extends Plugin {
       }
     });
 
+    this.plugin.on('getLinkedAccounts', async (resp, target) => {
+      try {
+        this.notify(resp, await this.omegga.getLinkedAccounts(target));
+      } catch (e) {
+        Omegga.error(
+          name.brightRed.underline,
+          '!>'.red,
+          'error in getLinkedAccounts'
+        );
+        this.notify(resp, []);
+      }
+    });
+
     // command registration
     this.plugin.on('command.registers', async (_, blob) => {
       if (typeof blob !== 'string') return;
@@ -193,6 +207,12 @@ class NodeVmPlugin extends Plugin {
       this.commands = registers;
     });
 
+    // commands with schemas are parsed by omegga
+    this.plugin.on('command.schemas', async (_, blob) => {
+      if (typeof blob !== 'string') return;
+      this.omegga.commands.register(this, JSON.parse(blob));
+    });
+
     // listen on every message, post them to to the worker
     this.eventPassthrough = this.eventPassthrough.bind(this);
   }
@@ -203,6 +223,19 @@ class NodeVmPlugin extends Plugin {
     return r;
   }
 
+  // run one of the plugin's registered commands in the worker
+  // players are sent as raw player info and rebuilt in the worker
+  async runCommand(name, player, args) {
+    const players = Object.keys(args).filter(k => args[k] instanceof Player);
+    for (const key of players) args[key] = args[key].raw();
+    await this.emit('runCommand', name, player.raw(), args, players);
+  }
+
+  // run the plugin's willStop func in the worker
+  async willStop() {
+    await this.emit('willStop');
+  }
+
   // documentation is based on doc.json file
   getDocumentation() {
     return this.documentation;
@@ -315,6 +348,7 @@ class NodeVmPlugin extends Plugin {
           if (timed) return;
           this.emitStatus();
           this.commands = [];
+          this.omegga.commands.unregister(this);
           return true;
         } catch (e) {
           frozen = false;
@@ -26,16 +26,27 @@ const bootstrap = omegga => ({
 
 // prototypes that can be directly stolen from omegga
 const STEAL_PROTOTYPES = [
+  '_chatCommands',
   'broadcast',
   'whisper',
+  'middlePrint',
+  'announce',
   'getPlayer',
   'getPlayers',
   'findPlayerByName',
   'getHostId',
+  'ban',
+  'unban',
+  'kick',
+  'grantRole',
+  'revokeRole',
+  '_findRoleName',
   'clearBricks',
   'clearAllBricks',
   'loadBricks',
+  'loadBricksAsync',
   'saveBricks',
+  'saveBricksAsync',
   'getSavePath',
   'getSaves',
   'writeSaveData',
@@ -7,6 +7,7 @@ const path = require('path');
 const fs = require('fs');
 const { parentPort } = require('worker_threads');
 const { ProxyOmegga } = require('./proxyOmegga.js');
+const Player = require('../../player.js');
 const { EventEmitter } = require('events');
 
 const { NodeVM } = require('vm2');
@@ -63,6 +64,10 @@ omegga.getPlugin = async name => {
   }
 };
 
+// linked accounts come from the webserver's database
+omegga.getLinkedAccounts = target =>
+  emit('getLinkedAccounts', target?.id ?? target);
+
 // interface with plugin store
 const store = {
   get: key => emit('store.get', key),
@@ -205,6 +210,11 @@ parent.on('start', async (resp, config) => {
       ) {
         emit('command.registers', JSON.stringify(cmds));
       }
+
+      // commands with schemas are parsed by omegga
+      if (Array.isArray(result.commands)) {
+        emit('command.schemas', JSON.stringify(result.commands));
+      }
     }
     emit(resp, true);
   } catch (err) {
@@ -228,6 +238,37 @@ parent.on('stop', async resp => {
   }
 });
 
+// run a registered command
+parent.on('runCommand', async (resp, name, player, args, players) => {
+  try {
+    for (const key of players) args[key] = new Player(omegga, ...args[key]);
+    if (typeof pluginInstance?.runCommand === 'function') {
+      await pluginInstance.runCommand(
+        name,
+        new Player(omegga, ...player),
+        args
+      );
+    }
+    emit(resp, true);
+  } catch (err) {
+    emit('error', 'error running command', err?.stack ?? err);
+    emit(resp, false);
+  }
+});
+
+// let the plugin save its state before the server stops
+parent.on('willStop', async resp => {
+  try {
+    if (typeof pluginInstance?.willStop === 'function') {
+      await pluginInstance.willStop();
+    }
+    emit(resp, true);
+  } catch (err) {
+    emit('error', 'error preparing plugin for stop', err?.stack ?? err);
+    emit(resp, false);
+  }
+});
+
 // handle emitPlugins
 parent.on('emitPlugin', async (resp, ev, from, args) => {
   if (pluginInstance?.pluginEvent) {
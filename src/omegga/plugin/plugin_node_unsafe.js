@@ -16,6 +16,17 @@ const MAIN_FILE = 'omegga.main.js';
 const DOC_FILE = 'doc.json';
 const PLUGIN_FILE = 'plugin.json';
 
+// omegga methods that take event listeners
+const LISTENER_METHODS = [
+  'on',
+  'once',
+  'off',
+  'addListener',
+  'removeListener',
+  'prependListener',
+  'prependOnceListener',
+];
+
 class NodePlugin extends Plugin {
   // every node plugin requires the main file and a doc file
   // may evolve this so it checks the contents of the doc file later
@@ -101,7 +112,7 @@ class NodePlugin extends Plugin {
       };
 
       // create the loaded plugin
-      this.loadedPlugin = new Plugin(this.omegga, config, store);
+      this.loadedPlugin = new Plugin(this.pluginOmegga(), config, store);
 
       // start the loaded plugin
       if (typeof this.loadedPlugin.init === 'function') {
@@ -117,6 +128,10 @@ class NodePlugin extends Plugin {
             cmds.every(i => typeof i === 'string')
           )
             this.commands = cmds;
+
+          // commands with schemas are parsed by omegga
+          if (result.commands)
+            this.omegga.commands.register(this, result.commands);
         }
       }
 
@@ -129,6 +144,54 @@ class NodePlugin extends Plugin {
     }
   }
 
+  // omegga as the plugin sees it, event listeners are run as the plugin so
+  // their console commands count towards its rate limit
+  pluginOmegga() {
+    const omegga = this.omegga;
+    const plugin = this;
+
+    // the same listener always gets the same wrapper so it can be removed
+    const listeners = new WeakMap();
+    const wrap = fn => {
+      if (typeof fn !== 'function') return fn;
+      if (!listeners.has(fn))
+        listeners.set(fn, function (...args) {
+          return plugin.runAs(() => fn.apply(this, args));
+        });
+      return listeners.get(fn);
+    };
+
+    // methods are bound to omegga so its private fields still work
+    const bound = new WeakMap();
+    const proxy = new Proxy(omegga, {
+      get(target, prop) {
+        if (LISTENER_METHODS.includes(prop))
+          return (event, fn) => {
+            target[prop](event, wrap(fn));
+            return proxy;
+          };
+
+        const value = Reflect.get(target, prop);
+        if (typeof value !== 'function') return value;
+        if (!bound.has(value)) bound.set(value, value.bind(target));
+        return bound.get(value);
+      },
+    });
+    return proxy;
+  }
+
+  // run one of the plugin's registered commands
+  async runCommand(name, player, args) {
+    if (typeof this.loadedPlugin?.runCommand === 'function')
+      await this.loadedPlugin.runCommand(name, player, args);
+  }
+
+  // run the plugin's willStop func if it has one
+  async willStop() {
+    if (typeof this.loadedPlugin?.willStop === 'function')
+      await this.loadedPlugin.willStop();
+  }
+
   // disrequire the plugin into the system, run the stop func
   async unload() {
     // can't unload the plugin if it hasn't been loaded
@@ -147,6 +210,7 @@ class NodePlugin extends Plugin {
       this.loadedPlugin = undefined;
       this.emitStatus();
       this.commands = [];
+      this.omegga.commands.unregister(this);
       return true;
     } catch (e) {
       Omegga.error('error unloading node plugin', this.getName(), e);
@@ -0,0 +1,326 @@
+const { EventEmitter } = require('events');
+
+const soft = require('../softconfig.js');
+const {
+  cron: { parseCron, nextCronTime },
+  time: { parseDuration, formatDuration, timestamp },
+  chat: { ChatMessage },
+} = require('../util/index.js');
+
+// setTimeout can't wait longer than this, longer waits are split up
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// what each kind of task does when it runs
+const ACTIONS = {
+  // restart the server after a countdown
+  async 'server.restart'(omegga, task) {
+    const restarted = await omegga.restart({
+      countdown: task.countdown,
+      message: task.message || undefined,
+      save: task.save,
+    });
+    if (!restarted) throw 'restart was cancelled';
+  },
+
+  // save bricks with a timestamped name
+  async saveBricks(omegga, task) {
+    await omegga.saveBricksAsync(
+      `${task.saveName || 'autosave'}_${timestamp()}`
+    );
+  },
+
+  // back up bricks with the backup retention policy
+  async backup(omegga, task) {
+    await omegga.backups.create(task.name);
+  },
+
+  // run a console command
+  async command(omegga, task) {
+    omegga.writeln(task.command);
+  },
+
+  // broadcast a message to chat
+  async broadcast(omegga, task) {
+    omegga.broadcast(new ChatMessage().text(task.message));
+  },
+
+  // emit an event to one plugin or every plugin
+  async event(omegga, task) {
+    const args = task.args || [];
+    if (task.plugin) {
+      const plugin = omegga.pluginLoader?.plugins.find(
+        p => p.getName() === task.plugin && p.isLoaded()
+      );
+      if (!plugin) throw `plugin "${task.plugin}" is not loaded`;
+      await plugin.emitPlugin(task.event, 'scheduler', args);
+    } else {
+      omegga.emit('schedule:' + task.event, ...args);
+    }
+  },
+};
+
+// check if a task is valid, returns a list of errors
+function validateTask(task) {
+  if (typeof task !== 'object' || !task) return ['task must be an object'];
+
+  const errors = [];
+  const name = typeof task.name === 'string' ? task.name : 'task';
+  const err = message => errors.push(`${name} ${message}`);
+  const isString = key =>
+    typeof task[key] === 'undefined' || typeof task[key] === 'string';
+  const isDuration = key =>
+    typeof task[key] === 'undefined' ||
+    (typeof task[key] === 'string' && parseDuration(task[key]) > 0);
+
+  if (typeof task.name !== 'string' || !task.name)
+    errors.push('task name must be a string');
+
+  // tasks need exactly one of cron or interval
+  if (
+    typeof task.cron !== 'undefined' &&
+    typeof task.interval !== 'undefined'
+  ) {
+    err('cannot have both a cron and an interval');
+  } else if (typeof task.cron !== 'undefined') {
+    try {
+      parseCron(task.cron);
+    } catch (e) {
+      err(e.toString());
+    }
+  } else if (typeof task.interval !== 'undefined') {
+    if (!isDuration('interval'))
+      err('interval must be a duration like "6h" or "1h 30m"');
+  } else {
+    err('needs a cron or an interval');
+  }
+
+  if (!ACTIONS[task.action])
+    err(`action must be one of ${Object.keys(ACTIONS).join(', ')}`);
+  if (task.action === 'command' && typeof task.command !== 'string')
+    err('command must be a string');
+  if (task.action === 'broadcast' && typeof task.message !== 'string')
+    err('message must be a string');
+  if (task.action === 'event' && typeof task.event !== 'string')
+    err('event must be a string');
+  if (typeof task.args !== 'undefined' && !Array.isArray(task.args))
+    err('args must be an array');
+
+  for (const key of ['message', 'saveName', 'plugin'])
+    if (!isString(key)) err(`${key} must be a string`);
+  if (task.saveName && !task.saveName.match(/^[\w -]+$/))
+    err('saveName must only contain letters, numbers, spaces, and dashes');
+  if (
+    typeof task.countdown !== 'undefined' &&
+    (typeof task.countdown !== 'string' ||
+      (parseDuration(task.countdown) === 0 && !task.countdown.match(/^0\w*$/)))
+  )
+    err('countdown must be a duration like "5m"');
+  if (!isDuration('maxDefer')) err('maxDefer must be a duration like "1h"');
+
+  for (const key of ['save', 'skipEmpty', 'deferBusy', 'enabled'])
+    if (typeof task[key] !== 'undefined' && typeof task[key] !== 'boolean')
+      err(`${key} must be a boolean`);
+  if (
+    typeof task.busyPlayers !== 'undefined' &&
+    (typeof task.busyPlayers !== 'number' || task.busyPlayers < 1)
+  )
+    err('busyPlayers must be a number greater than 0');
+
+  return errors;
+}
+
+/*
+  Scheduler runs tasks on cron expressions or intervals
+  tasks come from the omegga config (`schedule`) and the web ui
+
+  task: {
+    name: 'nightly restart',
+    cron: '0 4 * * *', (or interval: '6h')
+    action: 'server.restart' | 'saveBricks' | 'backup' | 'command' | 'broadcast' | 'event',
+    countdown, message, save, saveName, command, event, plugin, args, (action options)
+    skipEmpty: don't run when nobody is online,
+    deferBusy: wait for the server to not be busy (up to maxDefer),
+    busyPlayers: player count at which the server is busy,
+    enabled: false to turn the task off,
+  }
+
+  the 'run' event is emitted with { taskId, name, source, started, finished, status, message, manual }
+  after every run, where status is 'ok', 'skipped', or 'error'
+*/
+class Scheduler extends EventEmitter {
+  // scheduled tasks { id, source, task, timeout, nextRun, running, waiting, lastRun }
+  #entries = [];
+
+  constructor(omegga) {
+    super();
+    this.omegga = omegga;
+  }
+
+  /**
+   * replace all tasks from a source ('config' or 'web')
+   * @param {String} - where the tasks came from
+   * @param {Array<Object>} - tasks with an optional `_id`
+   */
+  setTasks(source, tasks) {
+    const old = this.#entries.filter(e => e.source === source);
+    for (const entry of old) clearTimeout(entry.timeout);
+    this.#entries = this.#entries.filter(e => e.source !== source);
+
+    tasks.forEach((task, i) => {
+      const errors = validateTask(task);
+      if (errors.length > 0) {
+        Omegga.error('!>'.red, 'Invalid scheduled task -', errors.join(', '));
+        return;
+      }
+
+      const entry = {
+        id: task._id ?? `${source}:${i}`,
+        source,
+        task,
+        running: false,
+      };
+      // keep the last run of tasks that were updated
+      entry.lastRun = old.find(e => e.id === entry.id)?.lastRun;
+      this.#entries.push(entry);
+      this.#schedule(entry);
+    });
+  }
+
+  /**
+   * list all tasks with their next and last run
+   * @return {Array<Object>}
+   */
+  getTasks() {
+    return this.#entries.map(
+      ({ id, source, task, nextRun, running, lastRun }) => ({
+        ...task,
+        id,
+        source,
+        nextRun,
+        running,
+        lastRun,
+      })
+    );
+  }
+
+  // stop every task
+  stop() {
+    for (const entry of this.#entries) clearTimeout(entry.timeout);
+    this.#entries = [];
+  }
+
+  // set the timer for the next run of a task
+  #schedule(entry) {
+    clearTimeout(entry.timeout);
+    entry.nextRun = undefined;
+    if (entry.task.enabled === false) return;
+
+    entry.nextRun = entry.task.cron
+      ? nextCronTime(entry.task.cron)
+      : Date.now() + parseDuration(entry.task.interval);
+    if (!entry.nextRun) return;
+
+    const wait = () => {
+      const delay = entry.nextRun - Date.now();
+      if (delay > MAX_TIMEOUT) {
+        entry.timeout = setTimeout(wait, MAX_TIMEOUT);
+        return;
+      }
+      entry.timeout = setTimeout(() => {
+        this.#schedule(entry);
+        this.run(entry.id).catch(e =>
+          Omegga.error('!>'.red, 'Error running scheduled task', e)
+        );
+      }, Math.max(delay, 0));
+    };
+    wait();
+  }
+
+  // determine if the server is too busy to run a task
+  #isBusy(entry) {
+    const { omegga } = this;
+    return (
+      omegga.starting ||
+      omegga.stopping ||
+      this.#entries.some(e => e !== entry && e.running) ||
+      (typeof entry.task.busyPlayers === 'number' &&
+        omegga.players.length >= entry.task.busyPlayers)
+    );
+  }
+
+  /**
+   * run a task now
+   * @param {String} - task id
+   * @param {Boolean} - manual runs ignore skipEmpty and deferBusy
+   * @return {Promise<Object>} - run info
+   */
+  async run(id, manual = false) {
+    const entry = this.#entries.find(e => e.id === id);
+    if (!entry) throw 'task not found';
+
+    const { task } = entry;
+    const { omegga } = this;
+    const started = Date.now();
+    const record = (status, message = '') => {
+      const run = {
+        taskId: entry.id,
+        name: task.name,
+        source: entry.source,
+        action: task.action,
+        started,
+        finished: Date.now(),
+        status,
+        message,
+        manual,
+      };
+      entry.lastRun = run;
+      this.emit('run', run);
+      return run;
+    };
+
+    if (entry.running || entry.waiting)
+      return record('skipped', 'task is already running');
+    if (!omegga.started) return record('skipped', 'server is not running');
+    if (!manual && task.skipEmpty && omegga.players.length === 0)
+      return record('skipped', 'server is empty');
+
+    // wait for the server to stop being busy
+    let deferred = false;
+    if (!manual && task.deferBusy) {
+      const maxDefer = parseDuration(task.maxDefer || soft.SCHEDULER_MAX_DEFER);
+      entry.waiting = true;
+      try {
+        while (this.#isBusy(entry)) {
+          if (Date.now() - started > maxDefer)
+            return record('skipped', 'server was busy');
+          deferred = true;
+          await sleep(soft.SCHEDULER_DEFER_RETRY);
+          // task was removed while waiting
+          if (!this.#entries.includes(entry))
+            return record('skipped', 'task was removed');
+        }
+      } finally {
+        entry.waiting = false;
+      }
+    }
+
+    entry.running = true;
+    try {
+      Omegga.log('>>'.green, 'Running scheduled task', task.name.yellow);
+      await ACTIONS[task.action](omegga, task);
+      return record(
+        'ok',
+        deferred ? `deferred ${formatDuration(Date.now() - started)}` : ''
+      );
+    } catch (e) {
+      Omegga.error('!>'.red, 'Scheduled task', task.name, 'failed', e);
+      return record('error', e.toString());
+    } finally {
+      entry.running = false;
+    }
+  }
+}
+
+module.exports = { Scheduler, validateTask, ACTIONS: Object.keys(ACTIONS) };
@@ -5,10 +5,22 @@ const brs = require('brs-js');
 
 const OmeggaWrapper = require('./wrapper.js');
 const { PluginLoader } = require('./plugin.js');
+const brickadiaConfig = require('../brickadia/config.js');
 const commandInjector = require('./commandInjector.js');
+const { Scheduler } = require('./scheduler.js');
+const { Backups } = require('./backups.js');
+const { Watchdog } = require('./watchdog.js');
+const { Countdown } = require('./countdown.js');
+const { AuditLog } = require('./audit.js');
+const { CommandRegistry } = require('./commands.js');
 const { Webserver } = require('../webserver/index.js');
 const soft = require('../softconfig.js');
-const { uuid, pattern, map: mapUtils } = require('../util/index.js');
+const {
+  uuid,
+  pattern,
+  map: mapUtils,
+  chat: { isChatMessage, stripUnsafe, MAX_LINE_LENGTH },
+} = require('../util/index.js');
 const file = require('../util/file.js');
 const Terminal = require('../cli/terminal.js');
 require('colors');
@@ -47,7 +59,58 @@ const MATCHERS = [
   // 'mapchange' event
 ];
 
-// TODO: safe broadcast parsing
+// how long moderation commands have to take effect before they are considered failed
+const MODERATION_TIMEOUT = 5000;
+// how often the config files are read while waiting for a moderation command
+const MODERATION_POLL_INTERVAL = 500;
+
+// find a player's id from a player object, uuid, name, or controller
+function resolvePlayerId(omegga, target) {
+  // target is a player object, just use that id
+  if (typeof target === 'object' && target && target.id) return target.id;
+
+  // if the target isn't a uuid already, find the player by name or controller and use that uuid
+  if (typeof target === 'string' && !uuid.match(target)) {
+    const player = omegga.getPlayer(target);
+    return player && player.id;
+  }
+
+  return target;
+}
+
+// remove characters that would break out of a quoted console command argument
+const cleanReason = reason =>
+  reason.toString().replace(/\n/g, ' ').replace(/"/g, "'");
+
+// run a command and wait for a watched config file to pass a check
+// resolves with the result of the check, rejects after the timeout
+function waitForConfig(configFile, check, exec, errorMessage) {
+  return new Promise((resolve, reject) => {
+    const update = json => {
+      const result = json && check(json);
+      if (!result) return;
+      remove();
+      clearInterval(poll);
+      clearTimeout(timeout);
+      resolve(result);
+    };
+    const remove = file.onWatchedJSON(configFile, update);
+
+    // the watcher can miss writes that happen right after each other (like
+    // granting roles to a few players in a row), so the file is read too
+    const poll = setInterval(() => {
+      if (fs.existsSync(configFile)) update(file.readCachedJSON(configFile, 0));
+    }, MODERATION_POLL_INTERVAL);
+
+    const timeout = setTimeout(() => {
+      remove();
+      clearInterval(poll);
+      reject(errorMessage);
+    }, MODERATION_TIMEOUT);
+
+    exec();
+  });
+}
 
 const verboseLog = (...args) => {
   if (!global.VERBOSE) return;
@@ -112,7 +175,7 @@ class Omegga extends OmeggaWrapper {
    * @constructor
    */
   constructor(serverPath, cfg, options = {}) {
-    super(serverPath, cfg);
+    super(serverPath, cfg, options);
     this.verbose = global.VERBOSE;
 
     // inject commands
@@ -139,6 +202,29 @@ class Omegga extends OmeggaWrapper {
       this.copyAuthFiles();
     }
 
+    // administrative actions, kept by the webserver
+    this.audit = new AuditLog(this);
+
+    // automatic build backups in Saved/Builds/omegga_backups
+    verboseLog('Setting up backups');
+    this.backups = new Backups(this, cfg?.backups);
+
+    // restart brickadia when it crashes (opt-in)
+    verboseLog('Setting up watchdog');
+    this.watchdog = new Watchdog(this, cfg?.watchdog);
+
+    // run scheduled tasks from the config, the webserver adds its own tasks
+    verboseLog('Creating scheduler');
+    this.scheduler = new Scheduler(this);
+    this.scheduler.setTasks('config', cfg?.schedule ?? []);
+
+    // commands with typed args registered by plugins
+    verboseLog('Creating command registry');
+    this.commands = new CommandRegistry(this);
+
+    // commands omegga handles itself, like the webserver's /warn and /note
+    this.builtinCommands = new Set();
+
     // create the webserver if it's enabled
     // the web interface provides access to server information while the server is running
     // and lets you view chat logs, disable plugins, etc
@@ -180,8 +266,8 @@ class Omegga extends OmeggaWrapper {
     // add all the matchers to the server
     verboseLog('Adding matchers');
     for (const matcher of MATCHERS) {
-      const { pattern, callback } = matcher(this);
-      this.addMatcher(pattern, callback);
+      const { pattern, callback, generators, name } = matcher(this);
+      this.addMatcher(pattern, callback, { generators, name });
     }
 
     process.on('uncaughtException', async err => {
@@ -224,6 +310,7 @@ class Omegga extends OmeggaWrapper {
       // it's okay to send the missing command message
       if (
         !DEFAULT_COMMANDS.includes(cmd) &&
+        !this.builtinCommands.has(cmd) &&
         (!this.pluginLoader || !this.pluginLoader.isCommand(cmd))
       ) {
         this.whisper(name, MISSING_CMD);
@@ -231,6 +318,18 @@ class Omegga extends OmeggaWrapper {
     });
   }
 
+  /**
+   * write a line to brickadia's console, administrative commands from plugins
+   * are audited
+   * @param {String} str - console command
+   * @param {Object} [options] - { priority, source, onWrite } (see CommandQueue.push)
+   */
+  writeln(str, options) {
+    const source = options?.source ?? this.commandQueue.currentSource();
+    if (source) this.audit?.pluginCommand(source, str);
+    super.writeln(str, options);
+  }
+
   /**
    * start webserver, load plugins, start the brickadia server
    * this should not be called by a plugin
@@ -250,6 +349,17 @@ class Omegga extends OmeggaWrapper {
       await this.pluginLoader.reload();
     }
 
+    // server settings in the omegga config take priority over ServerSettings.ini
+    if (
+      this.config?.server &&
+      brickadiaConfig.SETTINGS_FIELDS.some(
+        f => typeof this.config.server[f.key] !== 'undefined'
+      )
+    ) {
+      verboseLog('Writing server settings');
+      brickadiaConfig.write(this.dataPath, this.config);
+    }
+
     verboseLog('Starting Brickadia');
     super.start();
     this.emit('server:starting');
@@ -258,22 +368,53 @@ class Omegga extends OmeggaWrapper {
   /**
    * unload plugins and stop the server
    * this should not be called by a plugin
-   * @returns {Promise}
+   * @param {Object} [options]
+   * @param {Number|String} [options.countdown] - warn players and wait this long before stopping, like "5m"
+   * @param {String} [options.message] - broadcast with the time left
+   * @param {Array<Number|String>} [options.warnings] - time left when players are warned
+   * @param {Boolean} [options.save] - save bricks before stopping
+   * @returns {Promise<Boolean>} true if the server was stopped
    */
-  async stop() {
+  async stop({
+    countdown,
+    message = 'Server stopping',
+    warnings,
+    save = false,
+  } = {}) {
     if (!this.started && !this.starting) {
       verboseLog("Stop called while server wasn't started or was starting");
-      return;
+      return false;
     }
 
     if (this.stopping) {
       verboseLog('Stop called while server was starting');
-      return;
+      return false;
+    }
+
+    if (this._pendingStop) {
+      if (countdown) {
+        verboseLog('Stop called while another stop was counting down');
+        return false;
+      }
+      // stopping right away takes over the countdown
+      this._pendingStop.countdown.cancel(true);
+    }
+
+    if (countdown || save) {
+      const { cancelled } = await this._beforeStop({
+        countdown,
+        message,
+        warnings,
+        save,
+      });
+      return !cancelled && (await this.stop());
     }
 
     this.stopping = true;
     this.emit('server:stopping');
     if (this.pluginLoader) {
+      verboseLog('Waiting for plugins to save');
+      await this.pluginLoader.willStop();
       verboseLog('Unloading plugins');
       await this.pluginLoader.unload();
     }
@@ -284,6 +425,99 @@ class Omegga extends OmeggaWrapper {
     this.started = false;
     this.starting = false;
     this.players = [];
+    return true;
+  }
+
+  /**
+   * stop the server if it's running, then start it again
+   * bricks saved before stopping are loaded after the server starts
+   * this should not be called by a plugin
+   * @param {Object} [options] - same as stop()
+   * @returns {Promise<Boolean>} true if the server was started again
+   */
+  async restart({
+    countdown,
+    message = 'Server restarting',
+    warnings,
+    save = false,
+  } = {}) {
+    if (this.stopping || this._pendingStop) {
+      verboseLog('Restart called while server was stopping');
+      return false;
+    }
+
+    if (this.started || this.starting) {
+      const { cancelled, saved } = await this._beforeStop({
+        countdown,
+        message,
+        warnings,
+        save,
+        restart: true,
+      });
+      if (cancelled || !(await this.stop())) return false;
+
+      if (saved) {
+        // omegga marks itself as started after this listener
+        this.once('start', () =>
+          setImmediate(() => {
+            verboseLog('Loading bricks saved before restart');
+            this.loadBricks(soft.STOP_SAVE_NAME, { quiet: true });
+          })
+        );
+      }
+    }
+
+    await this.start();
+    return true;
+  }
+
+  /**
+   * cancel a stop or restart that is counting down
+   * @returns {Boolean} true if there was a countdown to cancel
+   */
+  cancelStop() {
+    if (!this._pendingStop) return false;
+    this._pendingStop.countdown.cancel();
+    return true;
+  }
+
+  /**
+   * the stop or restart that is counting down
+   * @returns {Object} { restart, message, end } or null
+   */
+  getPendingStop() {
+    if (!this._pendingStop) return null;
+    const { countdown, restart } = this._pendingStop;
+    return { restart, message: countdown.message, end: countdown.end };
+  }
+
+  // warn players and save bricks before stopping
+  async _beforeStop({ countdown, message, warnings, save, restart = false }) {
+    if (countdown && this.started) {
+      this._pendingStop = {
+        countdown: new Countdown(this, countdown, { message, warnings }),
+        restart,
+      };
+      this.emit('server:stopPending', this.getPendingStop());
+      const finished = await this._pendingStop.countdown.run();
+      this._pendingStop = undefined;
+      if (!finished) {
+        this.emit('server:stopCancelled', { restart });
+        return { cancelled: true };
+      }
+    }
+
+    let saved = false;
+    if (save && this.started) {
+      try {
+        verboseLog('Saving bricks before stopping');
+        await this.saveBricksAsync(soft.STOP_SAVE_NAME);
+        saved = true;
+      } catch (e) {
+        Omegga.error('!>'.red, 'Error saving bricks before stopping', e);
+      }
+    }
+    return { cancelled: false, saved };
   }
 
   /**
@@ -297,41 +531,102 @@ class Omegga extends OmeggaWrapper {
     file.copyFiles(homeAuthPath, authPath, soft.BRICKADIA_AUTH_FILES);
   }
 
-  // TODO: split messages that longer than 512 characters
-  // TODO: delete characters that are known to crash the game
+  /**
+   * turn chat messages into console commands that start with a prefix
+   * chat message builders are wrapped to fit in the console,
+   * strings are split by line and dropped if they are too long
+   * @param  {String} - command prefix (`Chat.Broadcast `)
+   * @param  {Array<String|ChatMessage>} - messages
+   * @return {Array<String>} - console commands
+   */
+  _chatCommands(prefix, messages) {
+    // room for the prefix, the quotes around the message, and the newline
+    const room = MAX_LINE_LENGTH - prefix.length - 3;
+    const commands = [];
+
+    for (const message of messages) {
+      if (isChatMessage(message)) {
+        for (const line of message.toLines(room))
+          commands.push(`${prefix}"${line}"`);
+        continue;
+      }
+
+      for (const line of stripUnsafe(message).split('\n')) {
+        if (prefix.length + line.length < MAX_LINE_LENGTH - 1)
+          commands.push(prefix + line);
+        else
+          Omegga.warn(
+            'W>'.yellow,
+            'Dropped chat message longer than 512 characters, use a ChatMessage builder to split it'
+          );
+      }
+    }
+
+    return commands;
+  }
+
   /**
    * broadcast messages to chat
    * messages are broken by new line
    * multiple arguments are additional lines
-   * all messages longer than 512 characters are deleted automatically, though omegga wouldn't have sent them anyway
-   * @param {...String} - unescaped chat messages to send. may need to wrap messages with quotes
+   * chat message builders are escaped and wrapped to fit,
+   * string messages longer than 512 characters are dropped with a warning
+   * @param {...String|ChatMessage} - unescaped chat messages to send (strings may need quotes) or chat message builders
    */
   //
   broadcast(...messages) {
-    messages
-      .flatMap(m => m.toString().split('\n'))
-      .filter(m => m.length < 512)
-      .forEach(m => this.writeln(`Chat.Broadcast ${m}`));
+    this._chatCommands('Chat.Broadcast ', messages).forEach(m =>
+      this.writeln(m)
+    );
   }
 
   /**
    * whisper messages to a player's chat
    * messages are broken by new line
    * multiple arguments are additional lines
-   * all messages longer than 512 characters are deleted automatically, though omegga wouldn't have sent them anyway
+   * chat message builders are escaped and wrapped to fit,
+   * string messages longer than 512 characters are dropped with a warning
    * @param {String} - player identifier or player object
-   * @param {...String} - unescaped chat messages to send. may need to wrap messages with quotes
+   * @param {...String|ChatMessage} - unescaped chat messages to send (strings may need quotes) or chat message builders
    */
   //
   whisper(target, ...messages) {
     // find the target player
     if (typeof target !== 'object') target = this.getPlayer(target);
+    if (!target) return;
 
     // whisper the messages to that player
-    messages
-      .flatMap(m => m.toString().split('\n'))
-      .filter(m => m.length < 512)
-      .forEach(m => this.writeln(`Chat.Whisper "${target.name}" ${m}`));
+    this._chatCommands(`Chat.Whisper "${target.name}" `, messages).forEach(m =>
+      this.writeln(m)
+    );
+  }
+
+  /**
+   * print a message in the middle of a player's screen
+   * only the first line of a wrapped message is shown
+   * @param {String} - player identifier or player object
+   * @param {String|ChatMessage} - unescaped message to send (strings may need quotes) or chat message builder
+   */
+  middlePrint(target, message) {
+    // find the target player
+    if (typeof target !== 'object') target = this.getPlayer(target);
+    if (!target) return;
+
+    const [command, ...extra] = this._chatCommands(
+      `Chat.StatusMessage "${target.name}" `,
+      [message]
+    );
+    if (extra.length > 0)
+      verboseLog('Middle print message was too long and has been cut off');
+    if (command) this.writeln(command);
+  }
+
+  /**
+   * print a message in the middle of every player's screen
+   * @param {String|ChatMessage} - unescaped message to send (strings may need quotes) or chat message builder
+   */
+  announce(message) {
+    for (const player of this.players) this.middlePrint(player, message);
   }
 
   /**
@@ -378,6 +673,18 @@ class Omegga extends OmeggaWrapper {
     );
   }
 
+  /**
+   * find accounts that have used the same ips as a player, from the web ui's
+   * player history. resolves to an empty list when the web ui is disabled
+   * @param  {String|Object} - player or player identifier
+   * @return {Promise<Array<Object>>} - [{ id, name, confidence, sharedIps, lastOverlap, banned }]
+   */
+  async getLinkedAccounts(target) {
+    const id = resolvePlayerId(this, target);
+    if (!id || !this.webserver?.alts) return [];
+    return await this.webserver.alts.getLinkedAccounts(id);
+  }
+
   /**
    * find a player by name, id, controller, or state
    * @param  {String} - name, id, controller, or state
@@ -416,21 +723,174 @@ class Omegga extends OmeggaWrapper {
     return this.host ? this.host.id : '';
   }
 
+  /**
+   * ban a player (by uuid, name, controller, or player object)
+   * resolves when the ban shows up in the ban list
+   * @param  {String|Object} - player or player identifier
+   * @param  {Object} [options]
+   * @param  {Number} [options.duration] - ban duration in minutes, -1 for permanent
+   * @param  {String} [options.reason] - ban reason
+   * @return {Promise<Object>} - the player's ban list entry
+   */
+  async ban(target, { duration = -1, reason = 'No Reason' } = {}) {
+    const id = resolvePlayerId(this, target);
+    if (!id) throw 'could not find player to ban';
+    if (typeof duration !== 'number') throw 'ban duration must be a number';
+
+    // the ban is new when the entry didn't exist or has changed
+    const configFile = path.join(this.configPath, 'BanList.json');
+    const before = JSON.stringify(this.getBanList()?.banList?.[id]);
+
+    return await waitForConfig(
+      configFile,
+      ({ banList }) =>
+        banList &&
+        banList[id] &&
+        JSON.stringify(banList[id]) !== before &&
+        banList[id],
+      () =>
+        this.writeln(
+          `Chat.Command /Ban "${id}" ${Math.round(duration)} "${cleanReason(
+            reason
+          )}"`
+        ),
+      'timed out waiting for ban'
+    );
+  }
+
+  /**
+   * unban a player (by uuid, name, controller, or player object)
+   * resolves when the player is removed from the ban list
+   * @param  {String|Object} - player or player identifier
+   * @return {Promise}
+   */
+  async unban(target) {
+    const id = resolvePlayerId(this, target);
+    if (!id) throw 'could not find player to unban';
+    if (!this.getBanList()?.banList?.[id]) throw 'player is not banned';
+
+    await waitForConfig(
+      path.join(this.configPath, 'BanList.json'),
+      ({ banList }) => !banList || !banList[id],
+      () => this.writeln(`Chat.Command /Unban "${id}"`),
+      'timed out waiting for unban'
+    );
+  }
+
+  /**
+   * kick an online player (by uuid, name, controller, or player object)
+   * resolves when the player's connection is closed
+   * @param  {String|Object} - player or player identifier
+   * @param  {String} - kick reason
+   * @return {Promise}
+   */
+  async kick(target, reason = 'No Reason') {
+    const player = this.getPlayer(resolvePlayerId(this, target));
+    if (!player) throw 'could not find player to kick';
+
+    // wait for the player's controller to disconnect
+    const ownerRegExp = new RegExp(`Owner: ${player.controller}(\\D|$)`);
+    try {
+      await this.addWatcher(
+        (_line, logMatch) =>
+          logMatch &&
+          logMatch.groups.generator === 'LogNet' &&
+          logMatch.groups.data.startsWith('UChannel::Close:') &&
+          logMatch.groups.data.match(ownerRegExp),
+        {
+          timeoutDelay: MODERATION_TIMEOUT,
+          generators: ['LogNet'],
+          exec: onWrite =>
+            this.writeln(
+              `Chat.Command /Kick "${player.id}" "${cleanReason(reason)}"`,
+              { onWrite }
+            ),
+          waitForWrite: true,
+        }
+      );
+    } catch (e) {
+      throw 'timed out waiting for kick';
+    }
+  }
+
+  /**
+   * grant a role to a player (by uuid, name, controller, or player object)
+   * resolves when the role shows up in the role assignments
+   * @param  {String|Object} - player or player identifier
+   * @param  {String} - role name
+   * @return {Promise}
+   */
+  async grantRole(target, role) {
+    const id = resolvePlayerId(this, target);
+    if (!id) throw 'could not find player to grant role';
+    role = this._findRoleName(role);
+    if (!role) throw 'role does not exist';
+
+    const hasRole = ({ savedPlayerRoles }) =>
+      (savedPlayerRoles?.[id]?.roles || []).some(
+        r => r.toLowerCase() === role.toLowerCase()
+      );
+
+    // nothing to do if the player already has the role
+    if (hasRole(this.getRoleAssignments() || {})) return;
+
+    await waitForConfig(
+      path.join(this.configPath, 'RoleAssignments.json'),
+      hasRole,
+      () => this.writeln(`Chat.Command /GrantRole "${role}" "${id}"`),
+      'timed out waiting for role grant'
+    );
+  }
+
+  /**
+   * revoke a role from a player (by uuid, name, controller, or player object)
+   * resolves when the role is removed from the role assignments
+   * @param  {String|Object} - player or player identifier
+   * @param  {String} - role name
+   * @return {Promise}
+   */
+  async revokeRole(target, role) {
+    const id = resolvePlayerId(this, target);
+    if (!id) throw 'could not find player to revoke role';
+    role = this._findRoleName(role);
+    if (!role) throw 'role does not exist';
+
+    const missingRole = ({ savedPlayerRoles }) =>
+      !(savedPlayerRoles?.[id]?.roles || []).some(
+        r => r.toLowerCase() === role.toLowerCase()
+      );
+
+    // nothing to do if the player doesn't have the role
+    if (missingRole(this.getRoleAssignments() || {})) return;
+
+    await waitForConfig(
+      path.join(this.configPath, 'RoleAssignments.json'),
+      missingRole,
+      () => this.writeln(`Chat.Command /RevokeRole "${role}" "${id}"`),
+      'timed out waiting for role revoke'
+    );
+  }
+
+  /**
+   * get the properly capitalized name of a role in the role setup
+   * @param  {String} - role name (case insensitive)
+   * @return {String} - role name or undefined if the role doesn't exist
+   */
+  _findRoleName(name) {
+    if (typeof name !== 'string') return undefined;
+    const role = (this.getRoleSetup()?.roles || []).find(
+      r => r.name.toLowerCase() === name.toLowerCase()
+    );
+    return role && role.name;
+  }
+
   /**
    * clear a user's bricks (by uuid, name, controller, or player object)
    * @param  {String|Object} - player or player identifier
    * @param  {Boolean} - quietly clear bricks
    */
   clearBricks(target, quiet = false) {
-    // target is a player object, just use that id
-    if (typeof target === 'object' && target.id) target = target.id;
-    // if the target isn't a uuid already, find the player by name or controller and use that uuid
-    else if (typeof target === 'string' && !uuid.match(target)) {
-      // only set the target if the player exists
-      const player = this.getPlayer(target);
-      target = player && player.id;
-    }
-
+    target = resolvePlayerId(this, target);
     if (!target) return;
 
     this.writeln(`Bricks.Clear ${target} ${quiet ? 1 : ''}`);
@@ -471,6 +931,35 @@ class Omegga extends OmeggaWrapper {
     );
   }
 
+  /**
+   * load bricks on the server and resolve when the game finishes loading them
+   * @param  {String} - save name
+   * @param  {Number} - world X offset
+   * @param  {Number} - world Y offset
+   * @param  {Number} - world Z offset
+   * @param  {Boolean} - quiet mode
+   * @return {Promise}
+   */
+  async loadBricksAsync(
+    name,
+    { offX = 0, offY = 0, offZ = 0, quiet = false } = {}
+  ) {
+    // strip quotes (loadBricks adds them for backwards compat)
+    if (name.startsWith('"') && name.endsWith('"')) name = name.slice(1, -1);
+
+    await this.watchLogChunk(
+      `Bricks.Load "${name}" ${offX} ${offY} ${offZ} ${quiet ? 1 : ''}`,
+      /^LogBrickSerializer: (.+)$/,
+      {
+        first: match => match[0].endsWith(name + '.brs...'),
+        last: match => match[1].match(/Read .+ bricks/),
+        afterMatchDelay: 0,
+        timeoutDelay: 30000,
+        generators: ['LogBrickSerializer'],
+      }
+    );
+  }
+
   /**
    * get all saves in the save folder and child folders
    * @return {Array<String>}
@@ -547,50 +1036,56 @@ class Omegga extends OmeggaWrapper {
     // write savedata to file
     this.writeSaveData(saveFile, data);
 
-    // wait for the server to finish reading the save
-    await this.watchLogChunk(
-      `Bricks.Load "${saveFile}" ${offX} ${offY} ${offZ} ${quiet ? 1 : ''}`,
-      /^LogBrickSerializer: (.+)$/,
-      {
-        first: match => match[0].endsWith(saveFile + '.brs...'),
-        last: match => match[1].match(/Read .+ bricks/),
-        afterMatchDelay: 0,
-        timeoutDelay: 30000,
+    try {
+      // wait for the server to finish reading the save
+      await this.loadBricksAsync(saveFile, { offX, offY, offZ, quiet });
+    } finally {
+      // delete the save file after we're done
+      const savePath = this.getSavePath(saveFile);
+      if (savePath) {
+        fs.unlinkSync(savePath);
       }
-    );
-
-    // delete the save file after we're done
-    const savePath = this.getSavePath(saveFile);
-    if (savePath) {
-      fs.unlinkSync(savePath);
     }
   }
 
   /**
-   * get current bricks as save data
-   * @return {Promise<SaveData>} - BRS JS Save Data
+   * save bricks under a name and resolve when the game finishes writing the save
+   * @param  {String} - save file name
+   * @return {Promise<String>} - path to the save, undefined if there were no bricks to save
    */
-  async getSaveData() {
-    const saveFile =
-      this._tempSavePrefix + Date.now() + '_' + this._tempSaveCounter++;
+  async saveBricksAsync(name) {
+    // strip quotes (saveBricks adds them for backwards compat)
+    if (name.startsWith('"') && name.endsWith('"')) name = name.slice(1, -1);
 
     // wait for the server to save the file
     await this.watchLogChunk(
-      `Bricks.Save "${saveFile}"`,
+      `Bricks.Save "${name}"`,
       /^(LogBrickSerializer|LogTemp): (.+)$/,
       {
-        first: match => match[0].endsWith(saveFile + '.brs...'),
+        first: match => match[0].endsWith(name + '.brs...'),
         last: match =>
           match[2].match(
             /Saved .+ bricks and .+ components from .+ owners|Error: No bricks in grid!/
           ),
         afterMatchDelay: 0,
         timeoutDelay: 30000,
+        generators: ['LogBrickSerializer', 'LogTemp'],
       }
     );
 
+    return this.getSavePath(name);
+  }
+
+  /**
+   * get current bricks as save data
+   * @return {Promise<SaveData>} - BRS JS Save Data
+   */
+  async getSaveData() {
+    const saveFile =
+      this._tempSavePrefix + Date.now() + '_' + this._tempSaveCounter++;
+
     // read the save file
-    const savePath = this.getSavePath(saveFile);
+    const savePath = await this.saveBricksAsync(saveFile);
     if (savePath) {
       // read and parse the save file
       const saveData = brs.read(fs.readFileSync(savePath));
@@ -621,7 +1116,8 @@ class Omegga extends OmeggaWrapper {
       /^.*(LogLoad: Took .+ seconds to LoadMap\((?<map>.+)\))|(ERROR: The map .+)$/,
       {
         timeoutDelay: 30000,
-        exec: () => this.writeln(`ServerTravel ${brName}`),
+        exec: onWrite => this.writeln(`ServerTravel ${brName}`, { onWrite }),
+        waitForWrite: true,
       }
     );
     const success = !!(
@@ -652,6 +1148,15 @@ class Omegga extends OmeggaWrapper {
    * @return {Promise<Array<Object>>}
    */
   async getMinigames() {}
+
+  /**
+   * read properties of every object of a class with GetAll, parsed into js values
+   * @param {String} className - class to search, like BP_FigureV2_C
+   * @param {String|Array<String>} properties - properties to read, like bIsDead
+   * @param {Object} [options] - { filter: GetAll filters like { Name }, raw: leave values as text }
+   * @return {Promise<Array<Object>>} - [{ class, path, name, outer, properties }]
+   */
+  async queryObjects() {}
 }
 
 global.Omegga = Omegga;
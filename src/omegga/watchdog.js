@@ -0,0 +1,263 @@
+const soft = require('../softconfig.js');
+const {
+  time: { parseDuration, formatDuration },
+} = require('../util/index.js');
+
+// default watchdog settings, overridden by the `watchdog` config
+const DEFAULTS = {
+  enabled: false,
+  // restart attempts in a row before giving up
+  maxRestarts: 5,
+  // wait before the first restart, doubled after each crash in a row
+  backoff: '5s',
+  maxBackoff: '5m',
+  // failed status checks in a row before the server is considered hung
+  hangChecks: 3,
+  // load the latest backup of the map after restarting
+  reloadBackup: true,
+};
+
+// check if the watchdog config is valid, returns a list of errors
+function validateConfig(config) {
+  if (typeof config !== 'object' || !config)
+    return ['watchdog must be an object'];
+
+  const errors = [];
+  for (const key in config) {
+    if (!(key in DEFAULTS)) {
+      errors.push(`${key} is not a watchdog option`);
+    } else if (typeof DEFAULTS[key] === 'string') {
+      if (typeof config[key] !== 'string' || !parseDuration(config[key]))
+        errors.push(`${key} must be a duration like "30s"`);
+    } else if (typeof config[key] !== typeof DEFAULTS[key]) {
+      errors.push(`${key} must be a ${typeof DEFAULTS[key]}`);
+    } else if (
+      typeof config[key] === 'number' &&
+      (config[key] < 1 || Math.round(config[key]) !== config[key])
+    ) {
+      errors.push(`${key} must be a whole number greater than 0`);
+    }
+  }
+  return errors;
+}
+
+/*
+  Watchdog restarts brickadia when it exits unexpectedly or stops responding
+
+  events (emitted on omegga):
+    'server:crashed' ({ reason, code, signal, time, crashes, lines, restartIn })
+      - reason is 'exit' or 'hang', restartIn is undefined when the watchdog gave up
+    'server:recovered' ({ time, crashes, downtime, backup })
+*/
+class Watchdog {
+  // last lines of brickadia output, included in crash reports
+  #lines = [];
+  // crashes in a row, reset after the server stays up for a while
+  #crashes = 0;
+  // time of the first crash in a row
+  #crashedAt = null;
+  #restartTimeout;
+  #stableTimeout;
+  #checkInterval;
+  #failedChecks = 0;
+  #lastHeartbeat = 0;
+
+  constructor(omegga, config) {
+    this.omegga = omegga;
+    this.config = { ...DEFAULTS, ...(config ?? {}) };
+
+    /** @type {Number} total crashes since omegga started */
+    this.totalCrashes = 0;
+    /** @type {Number} time of the next restart attempt */
+    this.nextRestart = undefined;
+
+    if (!this.config.enabled) return;
+
+    omegga.on('line', line => {
+      this.#lines.push(line);
+      if (this.#lines.length > soft.WATCHDOG_LOG_LINES) this.#lines.shift();
+    });
+
+    // this needs to run before omegga's own closed handler stops the server
+    omegga.prependListener('closed', (code, signal) => {
+      const crashed = (omegga.started || omegga.starting) && !omegga.stopping;
+      if (crashed) this.#crash('exit', { code, signal });
+    });
+
+    // omegga marks itself as started after this listener
+    omegga.on('start', () => setImmediate(() => this.#started()));
+    omegga.on('server:stopped', () => clearInterval(this.#checkInterval));
+
+    // successful heartbeats from the web ui's metrics count as status checks
+    omegga.on('metrics:heartbeat', () => {
+      this.#lastHeartbeat = Date.now();
+      this.#failedChecks = 0;
+    });
+  }
+
+  /**
+   * watchdog status for the web ui
+   * @return {Object}
+   */
+  getStatus() {
+    return {
+      enabled: this.config.enabled,
+      crashes: this.#crashes,
+      totalCrashes: this.totalCrashes,
+      nextRestart: this.nextRestart,
+      gaveUp: this.#crashes > this.config.maxRestarts,
+    };
+  }
+
+  // cancel a pending restart
+  cancel() {
+    clearTimeout(this.#restartTimeout);
+    this.nextRestart = undefined;
+  }
+
+  // the server started, recover from a crash if there was one
+  async #started() {
+    this.#failedChecks = 0;
+    clearInterval(this.#checkInterval);
+    this.#checkInterval = setInterval(
+      () => this.#checkHang(),
+      soft.WATCHDOG_CHECK_INTERVAL
+    );
+
+    if (!this.#crashedAt) return;
+
+    // the crash counter resets after the server stays up
+    clearTimeout(this.#stableTimeout);
+    this.#stableTimeout = setTimeout(() => {
+      this.#crashes = 0;
+    }, soft.WATCHDOG_STABLE_TIME);
+
+    let backup;
+    if (this.config.reloadBackup && this.omegga.backups) {
+      backup = this.omegga.backups
+        .list()
+        .find(
+          b =>
+            b.map === this.omegga.currentMap &&
+            this.omegga.backups.getPath(b.name)
+        );
+      if (backup) {
+        try {
+          Omegga.log('>>'.green, 'Reloading backup', backup.name.yellow);
+          await this.omegga.backups.restore(backup.name);
+        } catch (e) {
+          Omegga.error('!>'.red, 'Error reloading backup after crash', e);
+          backup = undefined;
+        }
+      }
+    }
+
+    const time = Date.now();
+    this.omegga.emit('server:recovered', {
+      time,
+      crashes: this.#crashes,
+      downtime: time - this.#crashedAt,
+      backup: backup?.name,
+    });
+    this.#crashedAt = null;
+  }
+
+  // check if the server is still responding
+  async #checkHang() {
+    const { omegga } = this;
+    if (!omegga.started || omegga.stopping) return;
+
+    // the web ui already checked recently
+    if (Date.now() - this.#lastHeartbeat < soft.WATCHDOG_CHECK_INTERVAL) return;
+
+    let status;
+    try {
+      status = await omegga.getServerStatus();
+    } catch (e) {
+      // treated as a failed check
+    }
+
+    if (status) {
+      this.#failedChecks = 0;
+      return;
+    }
+
+    this.#failedChecks++;
+    Omegga.warn(
+      'W>'.yellow,
+      `Server not responding (${this.#failedChecks}/${this.config.hangChecks})`
+    );
+    if (this.#failedChecks < this.config.hangChecks) return;
+
+    // kill the hung server, the expected stop won't count as another crash
+    this.#failedChecks = 0;
+    this.#crash('hang', {});
+    await omegga.stop();
+  }
+
+  // record a crash and schedule a restart
+  #crash(reason, { code, signal }) {
+    const { omegga } = this;
+    const time = Date.now();
+    this.#crashes++;
+    this.totalCrashes++;
+    this.#crashedAt ??= time;
+    clearTimeout(this.#stableTimeout);
+    clearInterval(this.#checkInterval);
+
+    const gaveUp = this.#crashes > this.config.maxRestarts;
+    const delay = Math.min(
+      parseDuration(this.config.backoff) * 2 ** (this.#crashes - 1),
+      parseDuration(this.config.maxBackoff)
+    );
+
+    omegga.emit('server:crashed', {
+      reason,
+      code,
+      signal,
+      time,
+      crashes: this.#crashes,
+      lines: this.#lines.slice(),
+      restartIn: gaveUp ? undefined : delay,
+    });
+    this.#lines = [];
+
+    if (gaveUp) {
+      Omegga.error(
+        '!>'.red,
+        `Server crashed ${this.#crashes} times in a row, not restarting`
+      );
+      this.nextRestart = undefined;
+      return;
+    }
+
+    Omegga.error(
+      '!>'.red,
+      reason === 'hang' ? 'Server stopped responding,' : 'Server crashed,',
+      'restarting in',
+      formatDuration(delay).yellow
+    );
+
+    clearTimeout(this.#restartTimeout);
+    this.nextRestart = time + delay;
+    this.#restartTimeout = setTimeout(async () => {
+      this.nextRestart = undefined;
+
+      // the server was started some other way while waiting
+      if (omegga.started || omegga.starting) return;
+
+      // wait for omegga to finish stopping after the crash
+      if (omegga.stopping)
+        await new Promise(resolve => omegga.once('server:stopped', resolve));
+
+      Omegga.log('>>'.green, 'Restarting server after crash');
+      try {
+        await omegga.start();
+      } catch (e) {
+        Omegga.error('!>'.red, 'Error restarting server', e);
+      }
+    }, delay);
+  }
+}
+
+module.exports = { Watchdog, validateConfig };
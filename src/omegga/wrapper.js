@@ -5,13 +5,15 @@ const { EventEmitter } = require('events');
 const path = require('path');
 
 const BrickadiaServer = require('../brickadia/server.js');
+const FakeBrickadiaServer = require('../brickadia/simulator.js');
 const soft = require('../softconfig.js');
+const { CommandQueue } = require('./commandQueue.js');
 const LogWrangler = require('./logWrangler.js');
 
 class OmeggaWrapper extends EventEmitter {
   #server = undefined;
 
-  constructor(serverPath, cfg) {
+  constructor(serverPath, cfg, options = {}) {
     super();
     this.setMaxListeners(Infinity);
 
@@ -21,13 +23,27 @@ class OmeggaWrapper extends EventEmitter {
         ? serverPath
         : path.join(process.cwd(), serverPath);
     this.dataPath = path.join(this.path, soft.DATA_PATH);
-    this.#server = new BrickadiaServer(this.dataPath, cfg);
+
+    // the simulator answers console commands without running the game
+    if (options.simulate) {
+      this.#server = new FakeBrickadiaServer(this.dataPath, cfg);
+      this.simulator = this.#server;
+    } else {
+      this.#server = new BrickadiaServer(this.dataPath, cfg);
+    }
+
+    // console commands are rate limited so plugins can't flood brickadia
+    this.commandQueue = new CommandQueue(line => this.#server.writeln(line));
 
     // log wrangler wrangles logs... it reads brickadia logs and clumps them together
     this.logWrangler = new LogWrangler(this);
     this.#server.on('line', this.logWrangler.callback);
     this.#server.on('line', line => this.emit('line', line));
-    this.#server.on('closed', () => this.emit('closed'));
+    this.#server.on('closed', (...args) => {
+      // commands for the old process shouldn't reach the next one
+      this.commandQueue.clear();
+      this.emit('closed', ...args);
+    });
     this.addMatcher = this.logWrangler.addMatcher;
     this.addWatcher = this.logWrangler.addWatcher;
     this.watchLogArray = this.logWrangler.watchLogArray;
@@ -38,8 +54,9 @@ class OmeggaWrapper extends EventEmitter {
   write(str) {
     this.#server.write(str);
   }
-  writeln(str) {
-    this.#server.writeln(str);
+  // options are { priority, source, onWrite } (see CommandQueue.push)
+  writeln(str, options) {
+    this.commandQueue.push(str, options);
   }
   start() {
     return this.#server.start();
@@ -52,6 +52,9 @@ module.exports = {
   USER_STORE: 'users.db',
   SERVER_STORE: 'store.db',
   SESSION_STORE: 'session.db',
+  AUDIT_STORE: 'audit.db',
+  // folder in the data folder for monthly chat archives
+  CHAT_ARCHIVE_PATH: 'chat_archive',
 
   // website config
   WEB_CERTS_DATA: 'web_certs.json',
@@ -61,4 +64,61 @@ module.exports = {
   METRIC_HEARTBEAT_INTERVAL: 60 * 1000,
   // the number of empty server statuses before metric logging is paused
   METRIC_EMPTIES_BEFORE_PAUSE: 3,
+  // how long after startup old data is first cleaned up
+  RETENTION_FIRST_RUN_DELAY: 60 * 1000,
+
+  // how often a deferred scheduled task checks if the server is still busy
+  SCHEDULER_DEFER_RETRY: 60 * 1000,
+  // how long a scheduled task can be deferred before it is skipped
+  SCHEDULER_MAX_DEFER: '1h',
+
+  // folder in Saved/Builds that backups are saved to
+  BACKUP_FOLDER: 'omegga_backups',
+  // how often the brick count is checked for mass clears
+  BACKUP_CHECK_INTERVAL: 60 * 1000,
+  // a mass clear is when at least this ratio of bricks disappears between checks
+  BACKUP_MASS_CLEAR_RATIO: 0.5,
+  // mass clears are ignored below this many bricks
+  BACKUP_MASS_CLEAR_MIN: 1000,
+
+  // how often the watchdog checks if the server is responding
+  WATCHDOG_CHECK_INTERVAL: 60 * 1000,
+  // how long the server has to stay up before crashes stop counting as in a row
+  WATCHDOG_STABLE_TIME: 10 * 60 * 1000,
+  // number of brickadia log lines kept for crash reports
+  WATCHDOG_LOG_LINES: 50,
+
+  // how long before a stop or restart players are warned
+  STOP_COUNTDOWN_WARNINGS: [
+    '1h',
+    '30m',
+    '15m',
+    '10m',
+    '5m',
+    '2m',
+    '1m',
+    '30s',
+    '10s',
+    '5s',
+  ],
+  // save in Saved/Builds for the bricks saved before stopping
+  STOP_SAVE_NAME: 'omegga_shutdown',
+  // how long plugins get to save their state before the server stops
+  PLUGIN_WILL_STOP_TIMEOUT: 10 * 1000,
+
+  // console commands written to brickadia per second (and how many can be written at once)
+  COMMAND_QUEUE_RATE: 200,
+  COMMAND_QUEUE_BURST: 200,
+  // console commands each plugin can write per second (and at once)
+  COMMAND_QUEUE_PLUGIN_RATE: 40,
+  COMMAND_QUEUE_PLUGIN_BURST: 80,
+  // commands a plugin can have waiting before new ones are dropped
+  COMMAND_QUEUE_PLUGIN_MAX: 2000,
+  // how often a plugin can be warned about flooding the console
+  COMMAND_QUEUE_WARNING_INTERVAL: 30 * 1000,
+
+  // brickadia and terminal lines kept for the web ui console
+  CONSOLE_SCROLLBACK: 1000,
+  // how often new console lines are sent to the web ui
+  CONSOLE_BATCH_INTERVAL: 100,
 };
@@ -0,0 +1,35 @@
+const NedbStore = require('./nedb.js');
+const SqliteStore = require('./sqlite.js');
+
+// document stores omegga can keep its data in, picked by the omegga.database config
+const BACKENDS = {
+  nedb: { Store: NedbStore, extension: '.db' },
+  sqlite: { Store: SqliteStore, extension: '.sqlite' },
+};
+
+const DEFAULT_BACKEND = 'nedb';
+
+// a store's file for a backend, store names in the softconfig end in .db
+const storeFile = (backend, filename) =>
+  filename.replace(/\.db$/, BACKENDS[backend].extension);
+
+/**
+ * open a document store, which takes the same queries and updates as nedb
+ * @param {String} backend - nedb or sqlite
+ * @param {String} filename - path to the store's .db file
+ * @param {Object} [options]
+ * @param {Function} [options.compareStrings] - how strings are sorted
+ * @return {NedbStore|SqliteStore}
+ */
+function openStore(backend = DEFAULT_BACKEND, filename, options = {}) {
+  if (!BACKENDS[backend]) throw `unknown database ${backend}`;
+  const { Store } = BACKENDS[backend];
+  return new Store({ ...options, filename: storeFile(backend, filename) });
+}
+
+module.exports = {
+  openStore,
+  storeFile,
+  BACKENDS: Object.keys(BACKENDS),
+  DEFAULT_BACKEND,
+};
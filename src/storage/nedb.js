@@ -0,0 +1,78 @@
+const fs = require('fs');
+const Datastore = require('nedb-promise');
+
+/*
+  nedb keeps every document in memory and appends changes to a json lines
+  file, which is only rewritten when it is compacted
+
+  nedb checks how many arguments it was given, so options left out are
+  passed as empty objects instead of undefined
+*/
+class NedbStore {
+  constructor({ filename, compareStrings }) {
+    this.filename = filename;
+    this.db = Datastore({ filename, autoload: true, compareStrings });
+  }
+
+  insert(docs) {
+    return this.db.insert(docs);
+  }
+
+  find(query, projection = {}) {
+    return this.db.find(query, projection);
+  }
+
+  findOne(query, projection = {}) {
+    return this.db.findOne(query, projection);
+  }
+
+  count(query) {
+    return this.db.count(query);
+  }
+
+  // nedb also resolves the upserted document, only the count is kept
+  async update(query, update, options = {}) {
+    const result = await this.db.update(query, update, options);
+    return Array.isArray(result) ? result[0] : result;
+  }
+
+  remove(query, options = {}) {
+    return this.db.remove(query, options);
+  }
+
+  cfind(query, projection = {}) {
+    return this.db.cfind(query, projection);
+  }
+
+  // full text indexes are skipped, nedb's indexes only help exact matches
+  async ensureIndex({ fieldName, fullText }) {
+    if (!fullText) await this.db.ensureIndex({ fieldName });
+  }
+
+  // rewrite the data file with only the current documents
+  compact() {
+    return new Promise(resolve => {
+      this.db.nedb.once('compaction.done', resolve);
+      this.db.nedb.persistence.compactDatafile();
+    });
+  }
+
+  // size of the data file in bytes
+  async size() {
+    try {
+      return (await fs.promises.stat(this.filename)).size;
+    } catch (e) {
+      // the file hasn't been written yet
+      return 0;
+    }
+  }
+
+  // every document in the store, used for moving it to another backend
+  async all() {
+    // wait for the file to finish loading
+    await this.count({});
+    return this.db.nedb.getAllData();
+  }
+}
+
+module.exports = NedbStore;
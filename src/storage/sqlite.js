@@ -0,0 +1,512 @@
+const fs = require('fs');
+const path = require('path');
+const model = require('nedb/lib/model.js');
+const Cursor = require('nedb/lib/cursor.js');
+const { uid } = require('nedb/lib/customUtils.js');
+
+// better-sqlite3 is an optional dependency, only this backend needs it
+let Sqlite;
+const loadSqlite = () => {
+  try {
+    return (Sqlite ??= require('better-sqlite3'));
+  } catch (e) {
+    throw 'better-sqlite3 is not installed, it is needed for the sqlite database';
+  }
+};
+
+// indexed fields are plain paths into the document, like user.id
+const FIELD_PATTERN = /^\w+(\.\w+)*$/;
+
+// value of a document field in sql
+const field = name => `json_extract(doc, '$.${name}')`;
+
+const RANGES = { $lt: '<', $lte: '<=', $gt: '>', $gte: '>=' };
+
+// documents are read this many at a time, async reads let other work run between them
+const BATCH_SIZE = 1000;
+
+// values sqlite compares the same way nedb does
+const isScalar = value =>
+  typeof value === 'string' ||
+  (typeof value === 'number' && Number.isFinite(value));
+
+const isOperators = value =>
+  typeof value === 'object' &&
+  value !== null &&
+  !Array.isArray(value) &&
+  !(value instanceof RegExp) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every(k => k.startsWith('$'));
+
+// the text a regex matches when it is only escaped text, like a plain chat search
+const literalOf = ({ source }) => {
+  let text = '';
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\\') {
+      const next = source[++i];
+      // \w, \d, and friends are classes, not characters
+      if (!next || /\w/.test(next)) return null;
+      text += next;
+    } else if ('.*+?^$()[]{}|'.includes(source[i])) {
+      return null;
+    } else {
+      text += source[i];
+    }
+  }
+  return text;
+};
+
+// sort documents like a nedb cursor
+const sortDocs = (docs, sort, compareStrings) => {
+  const keys = Object.keys(sort ?? {});
+  if (keys.length === 0) return docs;
+  return docs.sort((a, b) => {
+    for (const key of keys) {
+      const compare =
+        sort[key] *
+        model.compareThings(
+          model.getDotValue(a, key),
+          model.getDotValue(b, key),
+          compareStrings
+        );
+      if (compare !== 0) return compare;
+    }
+    return 0;
+  });
+};
+
+// cursor with the same chaining as a nedb-promise cursor
+class SqliteCursor {
+  constructor(store, query, projection) {
+    this.store = store;
+    this.query = query ?? {};
+    this.projection = projection;
+    this.options = {};
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  skip(skip) {
+    this.options.skip = skip;
+    return this;
+  }
+
+  limit(limit) {
+    this.options.limit = limit;
+    return this;
+  }
+
+  async exec() {
+    return this.store.project(
+      await this.store.selectAsync(this.query, this.options),
+      this.projection
+    );
+  }
+}
+
+/*
+  sqlite keeps documents on disk as json, one table per file
+
+  the parts of a query on indexed fields are run by sqlite, and nedb checks
+  the rest on the documents sqlite finds, so queries, updates, and sorting
+  behave like nedb. indexed fields must hold a string or number, not a list
+
+  one field can have a trigram full text index, which finds regex searches
+  that are only text (at least 3 characters) without reading every document
+*/
+class SqliteStore {
+  constructor({ filename, compareStrings }) {
+    const Database = loadSqlite();
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+
+    this.filename = filename;
+    this.compareStrings = compareStrings;
+    this.indexed = new Set(['type']);
+    this.fullText = null;
+
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    // seq keeps documents in the order they were inserted, even after a vacuum
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS docs (
+        seq INTEGER PRIMARY KEY,
+        _id TEXT NOT NULL UNIQUE,
+        doc TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS docs_type ON docs (${field('type')});
+    `);
+
+    this.statements = {
+      insert: this.db.prepare('INSERT INTO docs (_id, doc) VALUES (?, ?)'),
+      update: this.db.prepare('UPDATE docs SET doc = ? WHERE _id = ?'),
+      remove: this.db.prepare('DELETE FROM docs WHERE _id = ?'),
+      // [seq, doc] rows for a json list of seqs
+      read: this.db
+        .prepare(
+          'SELECT seq, doc FROM docs WHERE seq IN (SELECT value FROM json_each(?))'
+        )
+        .raw(),
+    };
+    this.insertDocs = this.db.transaction(docs => {
+      for (const doc of docs)
+        this.statements.insert.run(String(doc._id), model.serialize(doc));
+    });
+  }
+
+  // sql for one field of a query, or null when only nedb can check it
+  condition(key, value) {
+    // regexes on the full text field are narrowed down by the text they need
+    const regex = value instanceof RegExp ? value : value?.$regex;
+    if (key === this.fullText && regex instanceof RegExp) {
+      const text = literalOf(regex);
+      if (!text || [...text].length < 3) return null;
+      return {
+        sql: 'seq IN (SELECT rowid FROM docs_text WHERE docs_text MATCH ?)',
+        params: [`"${text.replace(/"/g, '""')}"`],
+        exact: false,
+      };
+    }
+
+    const column =
+      key === '_id' ? '_id' : this.indexed.has(key) ? field(key) : null;
+    if (!column) return null;
+    if (isScalar(value))
+      return { sql: `${column} = ?`, params: [value], exact: true };
+    if (!isOperators(value)) return null;
+
+    const sql = [];
+    const params = [];
+    let exact = true;
+    for (const [op, arg] of Object.entries(value)) {
+      if (RANGES[op] && typeof arg === 'number' && Number.isFinite(arg)) {
+        sql.push(`${column} ${RANGES[op]} ?`);
+        params.push(arg);
+      } else if (op === '$in' && Array.isArray(arg) && arg.every(isScalar)) {
+        sql.push(`${column} IN (${arg.map(() => '?').join(', ')})`);
+        params.push(...arg);
+      } else {
+        exact = false;
+      }
+    }
+    return sql.length > 0 ? { sql: sql.join(' AND '), params, exact } : null;
+  }
+
+  /**
+   * turn the parts of a nedb query sqlite can check into a where clause
+   * @param {Object} query
+   * @return {Object} { where, params, exact } - exact when sqlite checks the whole query
+   */
+  translate(query) {
+    const where = [];
+    const params = [];
+    let exact = true;
+
+    for (const [key, value] of Object.entries(query)) {
+      let part;
+      if ((key === '$and' || key === '$or') && Array.isArray(value)) {
+        const parts = value.map(q => this.translate(q));
+        // an $or can only be narrowed down when sqlite can check every branch
+        const usable =
+          key === '$and'
+            ? parts.filter(p => p.where)
+            : parts.every(p => p.where)
+            ? parts
+            : [];
+        part = usable.length > 0 && {
+          sql: `(${usable
+            .map(p => p.where)
+            .join(key === '$and' ? ' AND ' : ' OR ')})`,
+          params: usable.flatMap(p => p.params),
+          exact: usable.length === parts.length && parts.every(p => p.exact),
+        };
+      } else if (!key.startsWith('$')) {
+        part = this.condition(key, value);
+      }
+
+      if (!part) {
+        exact = false;
+        continue;
+      }
+      where.push(part.sql);
+      params.push(...part.params);
+      exact &&= part.exact;
+    }
+
+    return {
+      where: where.length > 0 ? where.join(' AND ') : null,
+      params,
+      exact,
+    };
+  }
+
+  /**
+   * documents matching a query, like a nedb cursor without a projection.
+   * everything is read at once for updates and removes, which run in a
+   * transaction. the rest use selectAsync so big scans don't hold up the server
+   * @param {Object} query
+   * @param {Object} [options]
+   * @param {Object} [options.sort] - { field: 1 or -1 }
+   * @param {Number} [options.skip]
+   * @param {Number} [options.limit]
+   * @return {Array<Object>}
+   */
+  select(query, options) {
+    const scan = this.#scan(query, options);
+    let step;
+    while (!(step = scan.next()).done);
+    return step.value;
+  }
+
+  /**
+   * documents matching a query, read in batches with a break between each
+   * @param {Object} query
+   * @param {Object} [options] - same as select
+   * @return {Promise<Array<Object>>}
+   */
+  async selectAsync(query, options) {
+    const scan = this.#scan(query, options);
+    let step;
+    while (!(step = scan.next()).done)
+      await new Promise(resolve => setImmediate(resolve));
+    return step.value;
+  }
+
+  // finds the documents for select, yields between batches of documents
+  *#scan(query, { sort, skip = 0, limit = 0 } = {}) {
+    const { where, params, exact } = this.translate(query);
+    const keys = Object.keys(sort ?? {});
+    // strings sort differently in sqlite, so only indexed fields are sorted by it
+    const sorted = keys.every(k => k === '_id' || this.indexed.has(k));
+
+    // only the order of the documents is read up front, a statement can't be
+    // left open between batches
+    let sql = 'SELECT seq FROM docs' + (where ? ` WHERE ${where}` : '');
+    if (sorted)
+      sql +=
+        ' ORDER BY ' +
+        [
+          ...keys.map(
+            k =>
+              `${k === '_id' ? '_id' : field(k)} ${
+                sort[k] < 0 ? 'DESC' : 'ASC'
+              }`
+          ),
+          'seq',
+        ].join(', ');
+
+    // sqlite can skip and limit when it checks the whole query
+    const paged = sorted && exact;
+    if (paged && (skip || limit)) {
+      sql += ' LIMIT ? OFFSET ?';
+      params.push(limit || -1, skip);
+    }
+    const seqs = this.db
+      .prepare(sql)
+      .pluck()
+      .all(...params);
+
+    const docs = [];
+    let skipped = 0;
+    for (let i = 0; i < seqs.length; i += BATCH_SIZE) {
+      if (i > 0) yield;
+      const batch = seqs.slice(i, i + BATCH_SIZE);
+      const rows = new Map(this.statements.read.all(JSON.stringify(batch)));
+
+      for (const seq of batch) {
+        // documents can be removed or changed between batches
+        if (!rows.has(seq)) continue;
+        const doc = model.deserialize(rows.get(seq));
+        if (!model.match(doc, query)) continue;
+        if (paged || !sorted) {
+          docs.push(doc);
+        } else if (skipped < skip) {
+          skipped++;
+        } else {
+          docs.push(doc);
+          // documents are already in order, so the rest don't need to be read
+          if (limit && docs.length >= limit) return docs;
+        }
+      }
+    }
+    if (sorted) return docs;
+
+    return sortDocs(docs, sort, this.compareStrings).slice(
+      skip,
+      limit ? skip + limit : undefined
+    );
+  }
+
+  // apply a nedb projection
+  project(docs, projection) {
+    return Cursor.prototype.project.call({ _projection: projection }, docs);
+  }
+
+  async insert(docs) {
+    const prepared = (Array.isArray(docs) ? docs : [docs]).map(d => {
+      const doc = model.deepCopy(d);
+      if (typeof doc._id === 'undefined') doc._id = uid(16);
+      model.checkObject(doc);
+      return doc;
+    });
+    this.insertDocs(prepared);
+    return Array.isArray(docs) ? prepared : prepared[0];
+  }
+
+  async find(query, projection) {
+    return this.project(await this.selectAsync(query), projection);
+  }
+
+  async findOne(query, projection) {
+    const [doc] = this.project(
+      await this.selectAsync(query, { limit: 1 }),
+      projection
+    );
+    return doc ?? null;
+  }
+
+  async count(query) {
+    const { where, params, exact } = this.translate(query);
+    if (!exact) return (await this.selectAsync(query)).length;
+    return this.db
+      .prepare(
+        'SELECT COUNT(*) AS count FROM docs' + (where ? ` WHERE ${where}` : '')
+      )
+      .get(...params).count;
+  }
+
+  /**
+   * update documents like nedb, resolves the number of documents updated or inserted
+   * @param {Object} query
+   * @param {Object} update - replacement document or modifiers like $set
+   * @param {Object} [options]
+   * @param {Boolean} [options.multi] - update every match instead of the first
+   * @param {Boolean} [options.upsert] - insert a document when nothing matches
+   * @return {Promise<Number>}
+   */
+  async update(query, update, { multi = false, upsert = false } = {}) {
+    return this.db.transaction(() => {
+      const docs = this.select(query, { limit: multi ? 0 : 1 });
+
+      if (docs.length === 0 && upsert) {
+        // same as nedb: a replacement is inserted as is, modifiers apply to the query
+        let doc;
+        try {
+          model.checkObject(update);
+          doc = update;
+        } catch (e) {
+          doc = model.modify(model.deepCopy(query, true), update);
+        }
+        doc = model.deepCopy(doc);
+        if (typeof doc._id === 'undefined') doc._id = uid(16);
+        this.insertDocs([doc]);
+        return 1;
+      }
+
+      for (const doc of docs)
+        this.statements.update.run(
+          model.serialize(model.modify(doc, update)),
+          String(doc._id)
+        );
+      return docs.length;
+    })();
+  }
+
+  async remove(query, { multi = false } = {}) {
+    const { where, params, exact } = this.translate(query);
+    if (multi && exact)
+      return this.db
+        .prepare('DELETE FROM docs' + (where ? ` WHERE ${where}` : ''))
+        .run(...params).changes;
+
+    return this.db.transaction(() => {
+      const docs = this.select(query, { limit: multi ? 0 : 1 });
+      for (const doc of docs) this.statements.remove.run(String(doc._id));
+      return docs.length;
+    })();
+  }
+
+  cfind(query, projection) {
+    return new SqliteCursor(this, query, projection);
+  }
+
+  /**
+   * index a field, the index is kept in the file so this is quick after the first time
+   * @param {Object} options
+   * @param {String} options.fieldName - like created or user.id
+   * @param {Boolean} [options.fullText] - index the text in the field for searches
+   */
+  async ensureIndex({ fieldName, fullText = false }) {
+    if (!FIELD_PATTERN.test(fieldName))
+      throw `invalid index field ${fieldName}`;
+
+    if (!fullText) {
+      // every query in omegga has a type, so indexes start with it
+      this.db.exec(
+        `CREATE INDEX IF NOT EXISTS "docs_${fieldName.replace(/\./g, '_')}"
+          ON docs (${field('type')}, ${field(fieldName)})`
+      );
+      this.indexed.add(fieldName);
+      return;
+    }
+
+    if (this.fullText && this.fullText !== fieldName)
+      throw `${this.fullText} already has the full text index`;
+    this.fullText = fieldName;
+
+    const exists = this.db
+      .prepare("SELECT 1 FROM sqlite_master WHERE name = 'docs_text'")
+      .get();
+    if (exists) return;
+
+    this.db.transaction(() => {
+      this.db.exec(`
+        CREATE VIRTUAL TABLE docs_text USING fts5(
+          text, content='', contentless_delete=1, tokenize='trigram'
+        );
+        CREATE TRIGGER docs_text_insert AFTER INSERT ON docs BEGIN
+          INSERT INTO docs_text (rowid, text)
+            VALUES (new.seq, json_extract(new.doc, '$.${fieldName}'));
+        END;
+        CREATE TRIGGER docs_text_delete AFTER DELETE ON docs BEGIN
+          DELETE FROM docs_text WHERE rowid = old.seq;
+        END;
+        CREATE TRIGGER docs_text_update AFTER UPDATE ON docs BEGIN
+          DELETE FROM docs_text WHERE rowid = old.seq;
+          INSERT INTO docs_text (rowid, text)
+            VALUES (new.seq, json_extract(new.doc, '$.${fieldName}'));
+        END;
+        INSERT INTO docs_text (rowid, text)
+          SELECT seq, json_extract(doc, '$.${fieldName}') FROM docs;
+      `);
+    })();
+  }
+
+  // rebuild the file without the space left by removed documents
+  async compact() {
+    this.db.exec('VACUUM');
+    this.db.pragma('wal_checkpoint(TRUNCATE)');
+  }
+
+  // size of the database and its write-ahead log in bytes
+  async size() {
+    let size = 0;
+    for (const file of [this.filename, this.filename + '-wal']) {
+      try {
+        size += (await fs.promises.stat(file)).size;
+      } catch (e) {
+        // no log until something is written
+      }
+    }
+    return size;
+  }
+
+  async all() {
+    return this.selectAsync({});
+  }
+}
+
+module.exports = SqliteStore;
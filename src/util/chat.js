@@ -25,4 +25,273 @@ const parseLinks = message => {
   return message.replace(regex, '<link="$1">$1</>');
 };
 
-module.exports = { sanitize, parseLinks, EMOTES };
+// brickadia ignores console lines this long (including the newline)
+const MAX_LINE_LENGTH = 512;
+
+// control characters (other than newlines), unpaired surrogates, and line separators are known to crash the game
+// with the u flag, surrogates only match when they aren't part of a pair
+const UNSAFE_CHARS = /(?!\n)\p{Cc}|[\u2028\u2029\ufeff\ud800-\udfff]/gu;
+
+// remove characters that crash the game
+const stripUnsafe = str => str.toString().replace(UNSAFE_CHARS, '');
+
+// pieces of sanitized text that can't be split across lines
+const ESCAPED_TOKEN_REGEX =
+  /<emoji>\w+<\/>|&\w+;|\\.|[^\S\n]+|\n|[^\s\\&<]{1,16}|[\s\S]/g;
+
+// escape a value for use inside a quoted tag attribute
+const escapeAttr = str =>
+  stripUnsafe(str).replace(/[\s"\\<>]/g, c =>
+    c === ' ' ? '%20' : encodeURIComponent(c)
+  );
+
+// render tokens into markup, grouping tokens that share the same tags
+function renderTokens(tokens) {
+  let out = '';
+  for (let i = 0; i < tokens.length; ) {
+    const { tags, tagKey } = tokens[i];
+    let text = '';
+    while (i < tokens.length && tokens[i].tagKey === tagKey)
+      text += tokens[i++].text;
+    out += tagKey + text + '</>'.repeat(tags.length);
+  }
+  return out;
+}
+
+/*
+  Chat message builder
+    Builds escaped chat markup that is split into lines that fit in the console
+
+    new ChatMessage()
+      .bold('[Server]')
+      .text(': hello ' + playerName)
+      .color('ff0000', new ChatMessage().italic('red'))
+      .toLines();
+*/
+class ChatMessage {
+  // list of { text, tags, tagKey, space, newline } tokens
+  #tokens = [];
+
+  constructor(...content) {
+    for (const c of content) this.text(c);
+  }
+
+  // add content (string or another message) wrapped in tags
+  #add(content, tags = []) {
+    if (content instanceof ChatMessage) {
+      for (const token of content.#tokens) {
+        const tokenTags = [...tags, ...token.tags];
+        this.#tokens.push({
+          ...token,
+          tags: tokenTags,
+          tagKey: tokenTags.join(''),
+        });
+      }
+    } else if (typeof content !== 'undefined' && content !== null) {
+      const tagKey = tags.join('');
+      for (const text of sanitize(stripUnsafe(content)).match(
+        ESCAPED_TOKEN_REGEX
+      ) || []) {
+        if (text === '\n') this.#tokens.push({ newline: true });
+        else
+          this.#tokens.push({
+            text,
+            tags,
+            tagKey,
+            space: /^\s+$/.test(text),
+          });
+      }
+    }
+    return this;
+  }
+
+  // add a piece of markup that is not escaped or split
+  #addAtom(text, tags = []) {
+    this.#tokens.push({ text, tags, tagKey: tags.join('') });
+    return this;
+  }
+
+  /**
+   * add escaped text
+   * @param {String|ChatMessage} - content
+   */
+  text(content) {
+    return this.#add(content);
+  }
+
+  /**
+   * add bold text
+   * @param {String|ChatMessage} - content
+   */
+  bold(content) {
+    return this.#add(content, ['<b>']);
+  }
+
+  /**
+   * add italic text
+   * @param {String|ChatMessage} - content
+   */
+  italic(content) {
+    return this.#add(content, ['<i>']);
+  }
+
+  /**
+   * add monospace text
+   * @param {String|ChatMessage} - content
+   */
+  code(content) {
+    return this.#add(content, ['<code>']);
+  }
+
+  /**
+   * add colored text
+   * @param {String} - hex color (`ff00ff` or `#ff00ff`)
+   * @param {String|ChatMessage} - content
+   */
+  color(hex, content) {
+    hex = hex.toString().replace(/^#/, '');
+    if (!hex.match(/^([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i))
+      throw 'invalid chat color ' + hex;
+    return this.#add(content, [`<color=\\"${hex}\\">`]);
+  }
+
+  /**
+   * add resized text
+   * @param {Number} - font size
+   * @param {String|ChatMessage} - content
+   */
+  size(size, content) {
+    if (typeof size !== 'number' || !(size > 0)) throw 'invalid chat size';
+    return this.#add(content, [`<size=\\"${Math.round(size)}\\">`]);
+  }
+
+  /**
+   * add a clickable link
+   * @param {String} - url
+   * @param {String|ChatMessage} - content, defaults to the url
+   */
+  link(url, content = url) {
+    return this.#add(content, [`<link=\\"${escapeAttr(url)}\\">`]);
+  }
+
+  /**
+   * add an emoji
+   * @param {String} - emoji name (from EMOTES)
+   */
+  emoji(name) {
+    if (!/^\w+$/.test(name)) throw 'invalid emoji ' + name;
+    return this.#addAtom(`<emoji>${name}</>`);
+  }
+
+  /**
+   * add trusted markup that is not escaped
+   * @param {String} - markup
+   */
+  raw(markup) {
+    return this.#addAtom(stripUnsafe(markup).replace(/\n/g, ' '));
+  }
+
+  /**
+   * start a new line
+   */
+  line() {
+    this.#tokens.push({ newline: true });
+    return this;
+  }
+
+  /**
+   * render the message into lines, word wrapped to fit a max length
+   * lines do not include surrounding quotes
+   * @param {Number} - max length of each line
+   * @return {Array<String>}
+   */
+  toLines(maxLength = MAX_LINE_LENGTH - 3) {
+    const lines = [];
+    let current = [];
+
+    const fits = tokens => renderTokens(tokens).length <= maxLength;
+
+    // push the current line without trailing spaces
+    const flush = () => {
+      while (current.length && current[current.length - 1].space) current.pop();
+      if (current.length) lines.push(renderTokens(current));
+      current = [];
+    };
+
+    // group tokens into words, spaces, and line breaks
+    const groups = [];
+    for (const token of this.#tokens) {
+      const last = groups[groups.length - 1];
+      if (
+        last &&
+        !token.newline &&
+        !last[0].newline &&
+        !!last[0].space === !!token.space
+      )
+        last.push(token);
+      else groups.push([token]);
+    }
+
+    for (const group of groups) {
+      if (group[0].newline) {
+        flush();
+        continue;
+      }
+
+      // spaces at the start of a line are dropped
+      if (group[0].space) {
+        if (current.length) current.push(...group);
+        continue;
+      }
+
+      // the word fits on this line
+      if (fits([...current, ...group])) {
+        current.push(...group);
+        continue;
+      }
+
+      // the word fits on the next line
+      flush();
+      if (fits(group)) {
+        current.push(...group);
+        continue;
+      }
+
+      // the word is too long for any line, break it up
+      for (const token of group) {
+        if (fits([...current, token])) {
+          current.push(token);
+        } else {
+          flush();
+          // a single piece that can't fit anywhere is dropped
+          if (fits([token])) current.push(token);
+        }
+      }
+    }
+    flush();
+
+    return lines;
+  }
+
+  // render the message without wrapping
+  toString() {
+    return this.toLines(Infinity).join('\n');
+  }
+}
+
+// check if something is a chat message builder
+const isChatMessage = obj =>
+  obj instanceof ChatMessage ||
+  (typeof obj === 'object' &&
+    obj !== null &&
+    typeof obj.toLines === 'function');
+
+module.exports = {
+  sanitize,
+  parseLinks,
+  stripUnsafe,
+  isChatMessage,
+  ChatMessage,
+  EMOTES,
+  MAX_LINE_LENGTH,
+};
@@ -0,0 +1,117 @@
+// cron expression fields and their ranges
+const FIELDS = [
+  { name: 'minutes', min: 0, max: 59 },
+  { name: 'hours', min: 0, max: 23 },
+  { name: 'days', min: 1, max: 31 },
+  { name: 'months', min: 1, max: 12 },
+  { name: 'weekdays', min: 0, max: 7 },
+];
+
+// shorthand expressions
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+// parse one field of a cron expression (`*/5`, `1-5`, `1,2,3`) into a set of numbers
+function parseField(str, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of str.split(',')) {
+    const [, range, step] = part.match(/^([^/]+)(?:\/(\d+))?$/) || [];
+    if (!range) throw `invalid cron ${name} "${str}"`;
+
+    // determine the start and end of the range
+    let start, end;
+    if (range === '*') {
+      [start, end] = [min, max];
+    } else {
+      const [, a, b] = range.match(/^(\d+)(?:-(\d+))?$/) || [];
+      if (!a) throw `invalid cron ${name} "${str}"`;
+      start = Number(a);
+      // steps without an end (5/15) go to the max
+      end = b ? Number(b) : step ? max : start;
+    }
+
+    if (start < min || end > max || start > end)
+      throw `cron ${name} "${str}" out of range (${min}-${max})`;
+
+    const increment = step ? Number(step) : 1;
+    if (increment < 1) throw `invalid cron ${name} step "${str}"`;
+
+    for (let i = start; i <= end; i += increment) values.add(i);
+  }
+
+  return values;
+}
+
+// parse a cron expression (`minute hour day month weekday`)
+function parseCron(expr) {
+  if (typeof expr !== 'string') throw 'cron expression must be a string';
+  expr = MACROS[expr.trim()] || expr;
+
+  const parts = expr.trim().split(/\s+/);
+  if (parts.length !== 5) throw `cron expression "${expr}" must have 5 fields`;
+
+  const cron = {};
+  FIELDS.forEach(
+    (field, i) => (cron[field.name] = parseField(parts[i], field))
+  );
+
+  // sunday can be 0 or 7
+  if (cron.weekdays.has(7)) cron.weekdays.add(0);
+
+  // when both day fields are restricted, either can match (standard cron behavior)
+  cron.anyDay = parts[2] !== '*' && parts[4] !== '*';
+  cron.restrictDays = parts[2] !== '*';
+  cron.restrictWeekdays = parts[4] !== '*';
+
+  return cron;
+}
+
+// check if a date's day matches the cron's day and weekday fields
+function dayMatches(cron, date) {
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+  if (cron.anyDay) return day || weekday;
+  return (!cron.restrictDays || day) && (!cron.restrictWeekdays || weekday);
+}
+
+// get the next time (in ms) after `from` that a parsed cron expression matches
+function nextCronTime(cron, from = Date.now()) {
+  if (typeof cron === 'string') cron = parseCron(cron);
+
+  // start at the next whole minute
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // skip ahead by the largest unit that doesn't match, give up after a few years
+  for (let i = 0; i < 10000; i++) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+
+  return undefined;
+}
+
+module.exports = {
+  parseCron,
+  nextCronTime,
+};
@@ -42,18 +42,19 @@ function readCachedJSON(file, expire = 5000) {
 // object state to store watched json data
 const watchers = {};
 
-function readWatchedJSON(file) {
-  // if the file is already being watched, return the watched json
-  if (watchers[file]) return cachedJSON[file];
-
-  // check if the file exists
-  if (!fs.existsSync(file)) return undefined;
+// callbacks waiting for watched json files to change
+const listeners = {};
 
+// create a watcher for a json file, the file doesn't need to exist yet
+function createWatcher(file) {
   // create a watcher (no persistence means the process dies even if there's still a watcher)
   const watcher = chokidar.watch(file, { persistent: false });
   watchers[file] = watcher;
 
-  const read = () => updateJSONCache(file);
+  const read = () => {
+    const json = updateJSONCache(file);
+    for (const fn of listeners[file] || []) fn(json);
+  };
 
   // add listeners to the watcher
   watcher
@@ -63,9 +64,37 @@ function readWatchedJSON(file) {
       // on unlink (delete), destroy value in cache
       cachedJSON[file] = undefined;
       cachedTimes[file] = Date.now();
+      for (const fn of listeners[file] || []) fn(undefined);
     });
+}
+
+function readWatchedJSON(file) {
+  // if the file is already being watched, return the watched json
+  if (watchers[file]) return cachedJSON[file];
+
+  // check if the file exists
+  if (!fs.existsSync(file)) return undefined;
+
+  createWatcher(file);
+  return updateJSONCache(file);
+}
+
+// run a callback with the parsed json every time a watched file changes
+// returns a function that removes the callback
+function onWatchedJSON(file, callback) {
+  if (!watchers[file]) {
+    // prime the cache so readWatchedJSON works with the watcher
+    if (fs.existsSync(file)) updateJSONCache(file);
+    createWatcher(file);
+  }
+
+  listeners[file] = listeners[file] || [];
+  listeners[file].push(callback);
 
-  return read();
+  return () => {
+    const index = listeners[file].indexOf(callback);
+    if (index > -1) listeners[file].splice(index, 1);
+  };
 }
 
 // recursively mkdir (mkdir -p )
@@ -112,6 +141,7 @@ function copyFiles(srcDir, dstDir, files) {
 module.exports = {
   readCachedJSON,
   readWatchedJSON,
+  onWatchedJSON,
   rmdir,
   mkdir,
   copyFiles,
@@ -14,12 +14,18 @@ module.exports = {
   // time parsing utils
   time: require('./time'),
 
+  // cron expression utils
+  cron: require('./cron'),
+
   // map parsing utils
   map: require('./map'),
 
   // brick utils
   brick: require('./brick'),
 
+  // unreal property text (GetAll output) parsing
+  unreal: require('./unreal'),
+
   // wsl
   wsl: () => require('./wsl'),
 
@@ -31,6 +31,26 @@ function parseDuration(str) {
   return total;
 }
 
+// human readable duration like '5 minutes' or '1 hour 30 minutes'
+function formatDuration(ms) {
+  const units = [
+    ['day', UNIT_CONVERSION.d],
+    ['hour', UNIT_CONVERSION.h],
+    ['minute', UNIT_CONVERSION.m],
+    ['second', UNIT_CONVERSION.s],
+  ];
+
+  const parts = [];
+  for (const [name, size] of units) {
+    const count = Math.floor(ms / size);
+    ms -= count * size;
+    if (count > 0) parts.push(`${count} ${name}${count === 1 ? '' : 's'}`);
+  }
+
+  // only show the two largest units
+  return parts.slice(0, 2).join(' ') || '0 seconds';
+}
+
 // parse brickadia's time format (YYYY.MM.DD-HH-MM-SS) into a time object
 function parseBrickadiaTime(str) {
   const [date, time] = str.split('-');
@@ -39,8 +59,21 @@ function parseBrickadiaTime(str) {
   ).getTime();
 }
 
+// zero padded local timestamp for save names (YYYY-MM-DD_HH-mm-ss)
+function timestamp(date = new Date()) {
+  const pad = n => n.toString().padStart(2, '0');
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `_${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(
+      date.getSeconds()
+    )}`
+  );
+}
+
 module.exports = {
   parseDuration,
+  formatDuration,
   parseBrickadiaTime,
+  timestamp,
   debounce,
 };
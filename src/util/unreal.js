@@ -0,0 +1,177 @@
+// parses unreal's exported property text (what GetAll prints) into js values
+
+// a line of GetAll output, ends in ' =' when the property is an array
+const GETALL_LINE_REGEX =
+  /^(?<index>\d+)\) (?<class>\S+) (?<path>\S+)\.(?<property>\w+) =(?: (?<value>.*))?$/;
+
+// an array item printed on the lines after the property
+const GETALL_ITEM_REGEX = /^\t(?<index>\d+): (?<value>.*)$/;
+
+// Class'/Game/Path.Path:PersistentLevel.Outer.Name'
+const OBJECT_REF_REGEX = /^(?<class>\w+)'(?<path>[^']*)'$/;
+
+const NUMBER_REGEX = /^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+/**
+ * split an object path into its name and outer object
+ * @param {String} path - /Game/Maps/Plate/Plate.Plate:PersistentLevel.BP_Ruleset_C_1.BP_Team_C_0
+ * @return {Object} { name, outer } - outer is null for objects at the top of the level
+ */
+function splitPath(path) {
+  const subpath = path.slice(path.indexOf(':') + 1).split('.');
+  const name = subpath.pop();
+  // the persistent level isn't a useful outer
+  const outer =
+    subpath.length > 0 && subpath[subpath.length - 1] !== 'PersistentLevel'
+      ? subpath[subpath.length - 1]
+      : null;
+  return { name, outer };
+}
+
+/**
+ * parse a reference to another object
+ * @param {String} str - BP_PlayerController_C'/Game/...:PersistentLevel.BP_PlayerController_C_1'
+ * @return {Object} { class, path, name, outer } or undefined if it's not an object reference
+ */
+function parseObjectRef(str) {
+  const match = str.match(OBJECT_REF_REGEX);
+  if (!match) return;
+  return {
+    class: match.groups.class,
+    path: match.groups.path,
+    ...splitPath(match.groups.path),
+  };
+}
+
+// convert a token that isn't a struct, string, or reference
+function parseBare(str) {
+  if (str === 'True') return true;
+  if (str === 'False') return false;
+  if (str === 'None') return null;
+  if (NUMBER_REGEX.test(str)) return Number(str);
+  return str;
+}
+
+// recursive descent over the value text, structs and inline arrays are (...)
+class Parser {
+  constructor(text) {
+    this.text = text;
+    this.i = 0;
+  }
+
+  peek() {
+    return this.text[this.i];
+  }
+
+  done() {
+    return this.i >= this.text.length;
+  }
+
+  // read a value, top level values can contain spaces and commas
+  value(topLevel) {
+    const c = this.peek();
+    if (c === '(') return this.struct();
+    if (c === '"') return this.string();
+
+    // read until the end of this value
+    const start = this.i;
+    let quoted = false;
+    while (!this.done()) {
+      const c = this.peek();
+      // object references are quoted with '
+      if (c === "'") quoted = !quoted;
+      else if (!quoted && !topLevel && (c === ',' || c === ')')) break;
+      this.i++;
+    }
+    const token = this.text.slice(start, this.i);
+    return parseObjectRef(token) ?? parseBare(token);
+  }
+
+  // "quoted \"string\""
+  string() {
+    let str = '';
+    this.i++;
+    while (!this.done()) {
+      const c = this.text[this.i++];
+      if (c === '"') return str;
+      str += c === '\\' && !this.done() ? this.text[this.i++] : c;
+    }
+    throw 'unterminated string';
+  }
+
+  // (X=1,Y=2,Z=3) is an object, (1,2,3) is an array
+  struct() {
+    const fields = {};
+    const items = [];
+    this.i++;
+    while (!this.done() && this.peek() !== ')') {
+      const key = this.text.slice(this.i).match(/^(\w+)=/);
+      if (key) {
+        this.i += key[0].length;
+        fields[key[1]] = this.value();
+      } else {
+        items.push(this.value());
+      }
+      if (this.peek() === ',') this.i++;
+    }
+    if (this.done()) throw 'unterminated struct';
+    this.i++;
+    return items.length > 0 ? items : fields;
+  }
+}
+
+/**
+ * parse a property value from GetAll
+ * @param {String} text - (X=1.000000,Y=2.000000,Z=3.000000)
+ * @return {any} js value, or the text when it can't be parsed
+ */
+function parseValue(text) {
+  try {
+    const parser = new Parser(text);
+    const value = parser.value(true);
+    if (parser.done()) return value;
+  } catch (e) {
+    // fall back to the text
+  }
+  return text;
+}
+
+/**
+ * parse a line of GetAll output
+ * @param {String} line - 0) BP_FigureV2_C /Game/...:PersistentLevel.BP_FigureV2_C_1.bIsDead = False
+ * @return {Object} { index, class, path, name, outer, property, value, isArray } or undefined if it doesn't match
+ */
+function parseGetAllLine(line) {
+  const match = line.match(GETALL_LINE_REGEX);
+  if (!match) return;
+  const { index, class: className, path, property, value } = match.groups;
+  return {
+    index: Number(index),
+    class: className,
+    path,
+    ...splitPath(path),
+    property,
+    // array items are printed on the lines that follow
+    isArray: value === undefined,
+    value: value ?? '',
+  };
+}
+
+/**
+ * parse an array item that follows a line of GetAll output
+ * @param {String} line - \t0: BP_PlayerState_C'/Game/...:PersistentLevel.BP_PlayerState_C_1'
+ * @return {Object} { index, value } or undefined if it doesn't match
+ */
+function parseGetAllItem(line) {
+  const match = line.match(GETALL_ITEM_REGEX);
+  if (!match) return;
+  return { index: Number(match.groups.index), value: match.groups.value };
+}
+
+module.exports = {
+  parseValue,
+  parseObjectRef,
+  parseGetAllLine,
+  parseGetAllItem,
+  splitPath,
+};
@@ -0,0 +1,214 @@
+const _ = require('lodash');
+
+const {
+  time: { parseBrickadiaTime, parseDuration },
+} = require('../../util/index.js');
+const uuid = require('../../util/uuid.js');
+
+// actions shared by the web ui's rpc and the rest api
+module.exports = server => {
+  const { database, omegga } = server;
+
+  // look up the name of a player in the name cache
+  const getName = id =>
+    _.get(omegga.getNameCache(), ['savedPlayerNames', id], '');
+
+  // make a ban list entry readable, returns null if the ban is expired
+  const parseBan = (ban, now = Date.now()) => {
+    // create a clone of the object
+    ban = { ...ban };
+
+    // parse the times in the ban
+    ban.created = parseBrickadiaTime(ban.created);
+    ban.expires = parseBrickadiaTime(ban.expires);
+    ban.duration = ban.expires - ban.created;
+    ban.remainingTime = ban.expires - now;
+
+    // lookup banner name
+    ban.bannerName = getName(ban.bannerId);
+
+    // if the ban is expired, it should not be listed
+    if (ban.expires < now && ban.duration > 0) return null;
+    return ban;
+  };
+
+  // brickadia's ban list by player id
+  const getBanList = () => (omegga.getBanList() || { banList: {} }).banList;
+
+  // get a player's current ban, or null if they are not banned
+  const getCurrentBan = (id, now = Date.now()) => {
+    const ban = getBanList()[id];
+    return ban ? parseBan(ban, now) : null;
+  };
+
+  // get every active ban
+  const getBans = () => {
+    const now = Date.now();
+    return Object.entries(getBanList())
+      .map(([id, ban]) => {
+        ban = parseBan(ban, now);
+        return ban && { id, name: getName(id), ...ban };
+      })
+      .filter(Boolean);
+  };
+
+  // clean up a moderation reason so it fits in a console command
+  const cleanReason = reason =>
+    typeof reason === 'string' && reason.length <= 128
+      ? reason.replace(/\n/g, ' ').replace(/"/g, "'")
+      : null;
+
+  // name of a player for logs
+  const logName = id =>
+    getName(id) ? getName(id).yellow : 'with id ' + id.yellow;
+
+  // ban a player by id, returns true if the ban was added
+  // log and audit record who did it
+  const ban = async (id, duration = -1, reason = 'No Reason', log, audit) => {
+    // validate inputs
+    if (typeof duration !== 'number') return false;
+    if (typeof id !== 'string' || !uuid.match(id)) return false;
+    reason = cleanReason(reason);
+    if (reason === null) return false;
+    log('Banning player', logName(id));
+
+    // ban the user and wait for the ban list to update
+    let entry;
+    try {
+      entry = await omegga.ban(id, { duration, reason });
+    } catch (e) {
+      return false;
+    }
+
+    const history = {
+      type: 'banHistory',
+      banned: id,
+      bannerId: null,
+      created: parseBrickadiaTime(entry.created),
+      expires: parseBrickadiaTime(entry.expires),
+      reason: entry.reason,
+    };
+
+    await database.stores.players.update(
+      history,
+      { $set: history },
+      { upsert: true }
+    );
+    audit('player.ban', omegga.audit.player(id), { duration, reason });
+
+    return true;
+  };
+
+  // kick an online player by id, returns true if they disconnected
+  const kick = async (id, reason = 'No Reason', log, audit) => {
+    // validate inputs
+    if (typeof id !== 'string' || !uuid.match(id)) return false;
+    reason = cleanReason(reason);
+    if (reason === null) return false;
+
+    // ensure player exists
+    const player = omegga.players.find(p => p.id === id);
+    if (!player) return false;
+
+    log('Kicking player', player.name.yellow);
+
+    // kick the user and wait for the player to disconnect
+    try {
+      await omegga.kick(player, reason);
+    } catch (e) {
+      return false;
+    }
+
+    // add kick to database
+    const entry = {
+      type: 'kickHistory',
+      kicked: id,
+      kickerId: null,
+      created: Date.now(),
+      reason,
+    };
+
+    await database.stores.players.update(
+      entry,
+      { $set: entry },
+      { upsert: true }
+    );
+    audit('player.kick', { id, name: player.name }, { reason });
+
+    return true;
+  };
+
+  // unban a player by id, returns true if they were banned
+  const unban = async (id, log, audit) => {
+    // validate inputs
+    if (typeof id !== 'string' || !uuid.match(id)) return false;
+
+    // check if user is banned
+    const banList = getBanList();
+    if (!banList[id] || parseBrickadiaTime(banList[id].expires) < Date.now())
+      return false;
+
+    log('Unbanning player', logName(id));
+
+    // unban the user and wait for the ban list to update
+    try {
+      await omegga.unban(id);
+      audit('player.unban', omegga.audit.player(id));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  };
+
+  // countdown, message, and save options for stopping and restarting
+  const stopOptions = (options = {}) => {
+    options = _.pick(options ?? {}, ['countdown', 'message', 'save']);
+    if (typeof options.countdown === 'string')
+      options.countdown = parseDuration(options.countdown);
+    if (typeof options.countdown !== 'number' || options.countdown < 0)
+      delete options.countdown;
+    if (typeof options.message !== 'string' || !options.message.trim())
+      delete options.message;
+    options.save = options.save === true;
+    return options;
+  };
+
+  // audit log target for a plugin
+  const pluginTarget = plugin => ({
+    id: plugin.shortPath,
+    name: plugin.getName(),
+  });
+
+  // server status without players' addresses, for users who can't see ips
+  const hideAddresses = status =>
+    status && {
+      ...status,
+      players: status.players.map(p => _.omit(p, 'address')),
+    };
+
+  // list plugins by name
+  const listPlugins = () =>
+    _.sortBy(
+      omegga.pluginLoader.plugins.map(p => ({
+        name: p.getName(),
+        documentation: p.getDocumentation(),
+        path: p.shortPath,
+        isLoaded: p.isLoaded(),
+        isEnabled: p.isEnabled(),
+      })),
+      p => p.name.toLowerCase()
+    );
+
+  return {
+    getName,
+    getCurrentBan,
+    getBans,
+    ban,
+    kick,
+    unban,
+    stopOptions,
+    pluginTarget,
+    listPlugins,
+    hideAddresses,
+  };
+};
@@ -0,0 +1,143 @@
+const Player = require('../../omegga/player.js');
+const {
+  time: { parseDuration },
+  chat: { ChatMessage },
+} = require('../../util/index.js');
+const setupActions = require('./actions.js');
+
+// addresses every local player shares
+const IGNORED_IPS = ['127.0.0.1', '::1', ''];
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const CONFIDENCES = ['high', 'medium', 'low'];
+
+// accounts sharing more than one ip, or switching on an ip within an hour,
+// are more likely to be the same person
+const confidenceOf = ({ sharedIps, gap }) =>
+  sharedIps > 1 || gap <= HOUR ? 'high' : gap <= DAY ? 'medium' : 'low';
+
+/*
+  alt detection links players that have used the same ip within the
+  `moderation.altWindow` config of each other
+
+  when a player joins sharing an ip with a banned player, moderators in game
+  and in the web ui's moderation room are warned
+*/
+module.exports = (server, io) => {
+  const { database, omegga, moderation } = server;
+  const actions = setupActions(server);
+  const window = parseDuration(moderation.config.altWindow);
+
+  /**
+   * find accounts that have used a player's ips
+   * @param {String} id - player id
+   * @return {Promise<Array<Object>>} [{ id, name, confidence, sharedIps, lastOverlap, banned }]
+   */
+  const getLinkedAccounts = async id => {
+    const history = (await database.getIpHistory(id)).filter(
+      h => !IGNORED_IPS.includes(h.ip)
+    );
+    if (history.length === 0) return [];
+
+    const links = {};
+    for (const other of await database.findIpHistory(
+      history.map(h => h.ip),
+      id
+    )) {
+      const own = history.find(h => h.ip === other.ip);
+      // time between the accounts using the ip, 0 if their use overlapped
+      const gap = Math.max(
+        0,
+        Math.max(own.firstSeen, other.firstSeen) -
+          Math.min(own.lastSeen, other.lastSeen)
+      );
+      if (gap > window) continue;
+
+      const link = (links[other.id] ??= {
+        id: other.id,
+        sharedIps: 0,
+        gap: Infinity,
+        lastOverlap: 0,
+      });
+      link.sharedIps++;
+      link.gap = Math.min(link.gap, gap);
+      link.lastOverlap = Math.max(
+        link.lastOverlap,
+        Math.min(own.lastSeen, other.lastSeen)
+      );
+    }
+
+    const names = await database.getPlayerNames(Object.keys(links));
+    return Object.values(links)
+      .map(({ id, sharedIps, gap, lastOverlap }) => ({
+        id,
+        name: names[id] ?? actions.getName(id),
+        confidence: confidenceOf({ sharedIps, gap }),
+        sharedIps,
+        lastOverlap,
+        banned: !!actions.getCurrentBan(id),
+      }))
+      .sort(
+        (a, b) =>
+          CONFIDENCES.indexOf(a.confidence) -
+            CONFIDENCES.indexOf(b.confidence) || b.lastOverlap - a.lastOverlap
+      );
+  };
+
+  // warn moderators about a player linked to banned accounts
+  const alert = (player, banned) => {
+    const names = banned.map(b => b.name || b.id).join(', ');
+    global.Omegga.warn(
+      'W>'.yellow,
+      player.name.yellow,
+      'shares an ip with banned',
+      banned.length === 1 ? 'player' : 'players',
+      names.yellow
+    );
+
+    const message = new ChatMessage()
+      .color('ff7777', player.name)
+      .text(` shares an IP with banned: ${names}`);
+    for (const p of omegga.players)
+      if (
+        p.id !== player.id &&
+        (p.isHost() ||
+          Player.getPermissions(omegga, p.id)[moderation.config.warnPermission])
+      )
+        omegga.whisper(p, message);
+
+    io.to('moderation').emit('moderation.alert', {
+      type: 'alt',
+      created: Date.now(),
+      player: { id: player.id, name: player.name },
+      linked: banned,
+    });
+  };
+
+  const addressOf = (status, id) =>
+    status?.players.find(p => p.id === id)?.address;
+
+  // the address of a joining player is only in the server status. it's asked
+  // for on every join, the last heartbeat's can be from before a rejoin on a
+  // new address. players joining together share the status query
+  omegga.on('join', async player => {
+    try {
+      const address = addressOf(await omegga.getServerStatus(), player.id);
+      if (!address) return;
+
+      await database.addIps({ [player.id]: address });
+      const banned = (await getLinkedAccounts(player.id)).filter(a => a.banned);
+      if (banned.length > 0) alert(player, banned);
+    } catch (e) {
+      global.Omegga.error(
+        '!>'.red,
+        'Error checking alts for',
+        player.name.yellow,
+        e
+      );
+    }
+  });
+
+  return { getLinkedAccounts };
+};
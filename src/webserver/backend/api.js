@@ -1,5 +1,7 @@
+const path = require('path');
 const express = require('express');
 const _ = require('lodash');
+const QRCode = require('qrcode');
 const {
   JSONRPCServer,
   JSONRPCClient,
@@ -12,58 +14,142 @@ const pkg = require('../../../package');
 const {
   chat: { sanitize, parseLinks },
   color: { rgbToHex },
-  time: { parseBrickadiaTime },
+  time: { parseBrickadiaTime, formatDuration },
 } = require('../../util/index.js');
 const uuid = require('../../util/uuid.js');
+const brickadiaConfig = require('../../brickadia/config.js');
+const {
+  validateTask,
+  ACTIONS: SCHEDULE_ACTIONS,
+} = require('../../omegga/scheduler.js');
+const setupActions = require('./actions.js');
+const setupSaves = require('./saves.js');
+const setupRoles = require('./roles.js');
+const chatSearch = require('./chatSearch.js');
+const { SCOPES: TOKEN_SCOPES } = require('./rest.js');
+const { Permissions, ROLES } = require('./permissions.js');
+const totp = require('./totp.js');
+
+// web ui passwords have to be at least this long
+const MIN_PASSWORD_LENGTH = 8;
 
 module.exports = (server, io) => {
-  const { database, omegga } = server;
+  const {
+    database,
+    omegga,
+    permissions,
+    loginThrottle,
+    moderation,
+    alts,
+    retention,
+  } = server;
+  const actions = setupActions(server);
+  const saves = setupSaves(omegga);
+  const roles = setupRoles(omegga);
 
   // open API is accessible without auth
   const openApi = express.Router();
   const api = express.Router();
 
-  // check if this is the first user in the database
+  // check if this is the first user in the database, and if it can be made
+  // without a username
   openApi.get('/first', async (req, res) =>
-    res.json(await database.isFirstUser())
+    res.json({
+      first: await database.isFirstUser(),
+      userless: server.userless,
+    })
   );
 
   // login / create admin user route
   openApi.post('/auth', async (req, res) => {
-    // body is username and password
+    // body is username and password, with a two-factor code for users that
+    // have it and the setup code when creating the first user
     if (
       typeof req.body !== 'object' ||
       typeof req.body.username !== 'string' ||
-      typeof req.body.password !== 'string'
+      typeof req.body.password !== 'string' ||
+      typeof (req.body.code ?? '') !== 'string' ||
+      typeof (req.body.setupCode ?? '') !== 'string'
     ) {
       return res.status(422).json({ message: 'invalid body' });
     }
-    const { username, password } = req.body;
+    const { username, password, code, setupCode } = req.body;
 
-    // username regex
-    if (!username.match(/^\w{0,32}$/)) {
+    // username regex, only a userless owner has a blank username
+    if (!username.match(server.userless ? /^\w{0,32}$/ : /^\w{1,32}$/)) {
       return res.status(422).json({ message: 'invalid body' });
     }
 
+    // too many failed logins from this address or for this account
+    const lockedFor = loginThrottle.lockedFor(username, req.ip);
+    if (lockedFor > 0) {
+      return res.status(429).json({
+        message: `too many failed logins, try again in ${formatDuration(
+          lockedFor
+        )}`,
+      });
+    }
+
+    // count a failed login, and audit any lockouts it causes
+    const fail = (message, status = 401) => {
+      for (const lockout of loginThrottle.fail(username, req.ip)) {
+        const name = lockout.kind === 'account' ? username : req.ip;
+        global.Omegga.warn(
+          'W>'.yellow,
+          `Locked out web ui ${lockout.kind}`,
+          name.yellow,
+          'for',
+          formatDuration(lockout.duration),
+          'after',
+          lockout.failures,
+          'failed logins'
+        );
+        omegga.audit.record(
+          { type: 'web', id: '', name: req.ip },
+          'auth.lockout',
+          { id: name, name },
+          _.pick(lockout, ['kind', 'failures', 'duration'])
+        );
+      }
+      res.status(status).json({ message });
+    };
+
     // if this is the first user, create it as the admin user
     const isFirst = await database.isFirstUser();
     let user;
     if (isFirst) {
+      // the setup code is printed in omegga's terminal
+      if (!server.setupCode || (setupCode ?? '').trim() !== server.setupCode)
+        return fail('invalid setup code', 403);
+      if (username !== '' && password.length < MIN_PASSWORD_LENGTH)
+        return res.status(422).json({
+          message: `password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+        });
+
       user = await database.createAdminUser(
         username,
         username === '' ? '' : password
       );
+      server.setupCode = undefined;
     } else {
-      user = await database.authUser(username, password);
+      const result = await database.authUser(username, password, code);
+      // the password was right, the frontend asks for a code
+      if (result.error === 'code required')
+        return res
+          .status(401)
+          .json({ message: 'two-factor code required', code: true });
+      if (result.error)
+        return result.error === 'code'
+          ? fail('invalid two-factor code')
+          : fail('no user found', 404);
+
+      loginThrottle.succeed(username, req.ip);
+      user = result.user;
     }
 
-    if (user) {
-      req.session.userId = user._id;
-      req.session.save();
-      res.status(200).json({});
-    } else {
-      res.status(404).json({ message: 'no user found' });
-    }
+    req.session.userId = user._id;
+    req.session.save();
+    res.status(200).json({});
   });
 
   // kill a session
@@ -74,33 +160,175 @@ module.exports = (server, io) => {
   });
 
   // authentication middleware for api
-  api.all(async (req, res, next) => {
+  api.use(async (req, res, next) => {
     const user = await database.findUserById(req.session.userId);
-    if (!user || user.isBanned) return next(new Error('unauthorized'));
+    if (!user || user.isBanned)
+      return res.status(401).json({ message: 'unauthorized' });
     req.user = user;
 
     next();
   });
 
+  // who did something from the web ui, for the audit log
+  const webActor = user => ({
+    type: 'web',
+    id: user._id,
+    name: user.username || 'Admin',
+  });
+
+  // session routes that need a permission, like rpc methods
+  const allowed = action => (req, res, next) =>
+    permissions.can(req.user, action)
+      ? next()
+      : res.status(403).json({ message: 'missing permission' });
+
+  // download a save from Saved/Builds
+  api.get('/saves/download', allowed('saves.download'), (req, res) => {
+    try {
+      const save = saves.resolve(req.query.name);
+      if (!save.exists)
+        return res.status(404).json({ message: 'save not found' });
+      res.download(save.path, path.basename(save.path));
+    } catch (e) {
+      res.status(422).json({ message: e.toString() });
+    }
+  });
+
+  // download chat search results as csv or json, a page at a time
+  api.get('/chat/export', allowed('chat.export'), async (req, res) => {
+    const { format = 'json', actions = '', ...options } = req.query;
+    if (!['csv', 'json'].includes(format))
+      return res.status(422).json({ message: 'format must be csv or json' });
+
+    let search;
+    try {
+      search = chatSearch.parseSearch({
+        ...options,
+        regex: options.regex === 'true',
+        actions: actions ? String(actions).split(',') : [],
+      });
+    } catch (e) {
+      return res.status(422).json({ message: e.toString() });
+    }
+
+    let closed = false;
+    res.on('close', () => (closed = true));
+    // wait for the client to catch up before writing more, or for it to leave
+    const write = chunk =>
+      closed ||
+      res.write(chunk) ||
+      new Promise(resolve => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.once('drain', done);
+        res.once('close', done);
+      });
+
+    try {
+      res.attachment(`chat-${Date.now()}.${format}`);
+      await write(format === 'csv' ? chatSearch.CSV_HEADER : '[');
+      let first = true;
+      for await (const page of database.exportChats(search)) {
+        if (format === 'csv') {
+          await write(chatSearch.toCsv(page));
+        } else {
+          for (const { created, action, user, message } of page) {
+            await write(
+              (first ? '\n' : ',\n') +
+                JSON.stringify({ created, action, user, message })
+            );
+            first = false;
+            if (closed) break;
+          }
+        }
+        if (closed) break;
+      }
+      if (!closed) res.end(format === 'csv' ? '' : '\n]\n');
+    } catch (e) {
+      global.Omegga.error('!>'.red, 'error exporting chat', e);
+      if (!res.headersSent) res.status(500).json({ message: 'internal error' });
+      else res.end();
+    }
+  });
+
+  // upload a save into Saved/Builds, the body is the .brs file
+  api.post(
+    '/saves/upload',
+    allowed('saves.upload'),
+    express.raw({ type: 'application/octet-stream', limit: '256mb' }),
+    (req, res) => {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0)
+        return res.status(422).json({ message: 'missing save file' });
+      try {
+        const save = saves.upload(req.query.name, req.body);
+        global.Omegga.log(
+          '>>'.green,
+          `[${(req.user.username || 'Admin').brightMagenta}]`,
+          'uploaded save',
+          save.name.yellow
+        );
+        omegga.audit.record(
+          webActor(req.user),
+          'saves.upload',
+          { id: save.name, name: save.name },
+          { size: req.body.length }
+        );
+        res.json({ name: save.name });
+      } catch (e) {
+        res.status(422).json({ message: e.toString() });
+      }
+    }
+  );
+
+  // info about omegga and the user's permissions for the frontend
+  const getData = async user => ({
+    roles: await database.getRoles(),
+    webRoles: ROLES,
+    version: pkg.version,
+    canLogOut: user.username !== '',
+    now: Date.now(), // this can be used for the frontend to anticipate drift
+    userless: !user.username,
+    user: {
+      username: user.username || 'Admin',
+      isOwner: user.isOwner,
+      roles: user.roles,
+      role: Permissions.roleOf(user),
+      totp: !!user.totpSecret,
+      permissions: permissions.list(user),
+    },
+  });
+
+  // take a user's open web uis out of the rooms their role no longer allows,
+  // rooms are only checked when subscribing
+  const leaveForbiddenRooms = user =>
+    io.in('user:' + user._id).clients((err, ids) => {
+      if (err) return;
+      for (const id of ids) {
+        const socket = io.sockets.connected[id];
+        if (!socket) continue;
+        for (const room of server.rooms)
+          if (!permissions.can(user, 'room.' + room)) socket.leave(room);
+        // users who can't see ips anymore get the status without them
+        const canStatus = permissions.can(user, 'room.status');
+        if (
+          socket.rooms['status.ips'] &&
+          !(canStatus && permissions.can(user, 'player.ips'))
+        ) {
+          socket.leave('status.ips');
+          if (canStatus) socket.join('status');
+        }
+      }
+    });
+
   // websocket data
   io.on('connection', socket => {
     // let this user receive messages directed to this user
     socket.join('user:' + socket.user._id);
 
-    database.getRoles().then(roles => {
-      socket.emit('data', {
-        roles,
-        version: pkg.version,
-        canLogOut: socket.user.username !== '',
-        now: Date.now(), // this can be used for the frontend to anticipate drift
-        userless: !socket.user.username,
-        user: {
-          username: socket.user.username || 'Admin',
-          isOwner: socket.user.isOwner,
-          roles: socket.user.roles,
-        },
-      });
-    });
+    getData(socket.user).then(data => socket.emit('data', data));
 
     // logging for this user in the console for web ui actions
     const usernameText = `[${(socket.user.username || 'Admin').brightMagenta}]`;
@@ -109,6 +337,10 @@ module.exports = (server, io) => {
     const error = (...args) =>
       global.Omegga.error('!>'.red, usernameText, ...args);
 
+    // record web ui actions in the audit log as this user
+    const audit = (action, target, params) =>
+      omegga.audit.record(webActor(socket.user), action, target, params);
+
     // rpc connection
     const rpcServer = new JSONRPCServer();
     const rpcClient = new JSONRPCClient(async data => socket.emit('rpc', data));
@@ -123,9 +355,38 @@ module.exports = (server, io) => {
       }
     });
 
+    // the user is looked up again for every method so role changes and bans
+    // apply right away
+    const refreshUser = async () => {
+      const user = await database.findUserById(socket.user._id);
+      if (user) socket.user = user;
+      return user;
+    };
+
+    // roles this user can give to others
+    const assignable = role =>
+      ROLES.includes(role) &&
+      role !== 'owner' &&
+      Permissions.atLeast(Permissions.roleOf(socket.user), role);
+
+    // methods can only be used by roles with permission to use them
+    // allow is an optional check that lets users use a method anyway
+    const addMethod = (name, fn, allow) =>
+      rpc.addMethod(name, async params => {
+        const user = await refreshUser();
+        if (
+          !user ||
+          !(
+            permissions.can(user, name) ||
+            (!user.isBanned && allow && allow(user, params))
+          )
+        )
+          throw new Error('missing permission');
+        return fn(params);
+      });
+
     // send chat message from web ui
-    // TODO: check if this user has a role with permission to chat
-    rpc.addMethod('chat', async ([message]) => {
+    addMethod('chat', async ([message]) => {
       if (typeof message !== 'string') return;
       if (message.length > 140) message = message.slice(0, 140);
 
@@ -157,41 +418,42 @@ module.exports = (server, io) => {
     });
 
     // read recent chat messages
-    // TODO: add permission check
-    rpc.addMethod('chat.recent', () => {
+    addMethod('chat.recent', () => {
       return database.getChats({ sameServer: true });
     });
 
     // find chat messages after a certain time
-    // TODO: add permission check
-    rpc.addMethod('chat.history', ([{ after, before }]) => {
+    addMethod('chat.history', ([{ after, before }]) => {
       return database.getChats({ after, before });
     });
 
+    // search chat messages by text, player, type, and time
+    addMethod('chat.search', async ([{ cursor, ...options } = {}]) => {
+      try {
+        if (
+          cursor &&
+          (typeof cursor.created !== 'number' ||
+            typeof cursor.skip !== 'number')
+        )
+          throw 'invalid cursor';
+        return await database.searchChats(chatSearch.parseSearch(options), {
+          cursor,
+        });
+      } catch (e) {
+        return { error: e.toString() };
+      }
+    });
+
     // see what days chat messages were sent
-    // TODO: add permission check
-    rpc.addMethod('chat.calendar', () => {
+    addMethod('chat.calendar', () => {
       return database.calendar.years;
     });
 
     // get the list of plugins
-    // TODO: add permission check
-    rpc.addMethod('plugins.list', () => {
-      return _.sortBy(
-        omegga.pluginLoader.plugins.map(p => ({
-          name: p.getName(),
-          documentation: p.getDocumentation(),
-          path: p.shortPath,
-          isLoaded: p.isLoaded(),
-          isEnabled: p.isEnabled(),
-        })),
-        p => p.name.toLowerCase()
-      );
-    });
+    addMethod('plugins.list', () => actions.listPlugins());
 
     // get information on a specific plugin
-    // TODO: add permission check
-    rpc.addMethod('plugin.get', async ([shortPath]) => {
+    addMethod('plugin.get', async ([shortPath]) => {
       const plugin = omegga.pluginLoader.plugins.find(
         p => p.shortPath === shortPath
       );
@@ -204,13 +466,17 @@ module.exports = (server, io) => {
         plugin.storage.count(),
       ]);
 
+      // configs can have secrets in them
+      const canConfig = permissions.can(socket.user, 'plugin.config');
+
       return {
         name: plugin.getName(),
         format: plugin.constructor.getFormat(),
         info: plugin.getInfo(),
         documentation: plugin.getDocumentation(),
-        config,
-        defaultConfig,
+        config: canConfig ? config : null,
+        defaultConfig: canConfig ? defaultConfig : null,
+        canConfig,
         objCount,
         path: plugin.shortPath,
         isLoaded: plugin.isLoaded(),
@@ -219,8 +485,7 @@ module.exports = (server, io) => {
     });
 
     // get a paginated list of players
-    // TODO: add permission check
-    rpc.addMethod(
+    addMethod(
       'players.list',
       async ([
         {
@@ -254,41 +519,21 @@ module.exports = (server, io) => {
           direction,
           limitId,
         });
+        const canSeeIps = permissions.can(socket.user, 'player.ips');
         for (const player of resp.players) {
           player.seenAgo = now - player.lastSeen;
           player.createdAgo = now - player.created;
+          if (!canSeeIps) delete player.ips;
 
-          let currentBan = banList[player.id];
-          if (currentBan) {
-            // create a clone of the object
-            currentBan = { ...currentBan };
-
-            // parse the times in the current ban
-            currentBan.created = parseBrickadiaTime(currentBan.created);
-            currentBan.expires = parseBrickadiaTime(currentBan.expires);
-            currentBan.duration = currentBan.expires - currentBan.created;
-            currentBan.remainingTime = currentBan.expires - now;
-
-            // lookup banner name
-            currentBan.bannerName = _.get(
-              omegga.getNameCache(),
-              ['savedPlayerNames', currentBan.bannerId],
-              ''
-            );
-
-            // if the ban is expired, it should not be listed
-            if (currentBan.expires < now && currentBan.duration > 0)
-              currentBan = null;
-            player.ban = currentBan;
-          }
+          if (banList[player.id])
+            player.ban = actions.getCurrentBan(player.id, now);
         }
         return resp;
       }
     );
 
     // get a specific player's info
-    // TODO: add permission check
-    rpc.addMethod('player.get', async ([id]) => {
+    addMethod('player.get', async ([id]) => {
       const entry = await database.getPlayer(id);
       if (!entry) return null;
       const now = Date.now();
@@ -305,45 +550,19 @@ module.exports = (server, io) => {
       for (const b of entry.banHistory) {
         b.duration = b.expires - b.created;
         // lookup banner name
-        b.bannerName = _.get(
-          omegga.getNameCache(),
-          ['savedPlayerNames', b.bannerId],
-          ''
-        );
+        b.bannerName = actions.getName(b.bannerId);
       }
 
       // Get kicker name from list of kicks
       for (const b of entry.kickHistory) {
         // lookup banner name
-        b.kickerName = _.get(
-          omegga.getNameCache(),
-          ['savedPlayerNames', b.kickerId],
-          ''
-        );
+        b.kickerName = actions.getName(b.kickerId);
       }
 
-      let currentBan = (omegga.getBanList() || { banList: {} }).banList[id];
-      if (currentBan) {
-        // create a clone of the object
-        currentBan = { ...currentBan };
-
-        // parse the times in the current ban
-        currentBan.created = parseBrickadiaTime(currentBan.created);
-        currentBan.expires = parseBrickadiaTime(currentBan.expires);
-        currentBan.duration = currentBan.expires - currentBan.created;
-        currentBan.remainingTime = currentBan.expires - now;
-
-        // lookup banner name
-        currentBan.bannerName = _.get(
-          omegga.getNameCache(),
-          ['savedPlayerNames', currentBan.bannerId],
-          ''
-        );
+      const currentBan = actions.getCurrentBan(id, now);
 
-        // if the ban is expired, it should not be listed
-        if (currentBan.expires < now && currentBan.duration > 0)
-          currentBan = null;
-      }
+      // ips are only for users who can see them
+      if (!permissions.can(socket.user, 'player.ips')) delete entry.ips;
 
       return {
         // database results
@@ -376,175 +595,89 @@ module.exports = (server, io) => {
       };
     });
 
-    rpc.addMethod(
-      'player.ban',
-      async ([id, duration = -1, reason = 'No Reason']) => {
-        // validate inputs
-        if (typeof duration !== 'number') return false;
-        if (typeof id !== 'string' || !uuid.match(id)) return false;
-        if (typeof reason !== 'string' || reason.length > 128) return false;
-        reason = reason.replace(/\n/g, ' ').replace(/"/g, "'");
-        log(
-          'Banning player',
-          omegga.getNameCache()?.savedPlayerNames?.[id].yellow ??
-            'with id ' + id.yellow
-        );
-        // ban the user
-        omegga.writeln(`Chat.Command /Ban "${id}" ${duration} "${reason}"`);
-        let listener;
-
-        // wait for the ban to update
-        const ok = await Promise.race([
-          new Promise(resolve => {
-            database.on(
-              'update.bans',
-              (listener = () => {
-                const banList = (omegga.getBanList() || { banList: {} })
-                  .banList;
-                if (banList[id]) {
-                  const entry = {
-                    type: 'banHistory',
-                    banned: id,
-                    bannerId: null,
-                    created: parseBrickadiaTime(banList[id].created),
-                    expires: parseBrickadiaTime(banList[id].expires),
-                    reason: banList[id].reason,
-                  };
-
-                  database.stores.players.update(
-                    entry,
-                    { $set: entry },
-                    { upsert: true }
-                  );
-
-                  resolve(true);
-                }
-              })
-            );
-          }),
-          new Promise(resolve => setTimeout(() => resolve(false), 5000)),
-        ]);
-        database.off('update.bans', listener);
-        return ok;
-      }
+    addMethod('player.ban', ([id, duration = -1, reason = 'No Reason']) =>
+      actions.ban(id, duration, reason, log, audit)
     );
 
-    rpc.addMethod('player.kick', async ([id, reason = 'No Reason']) => {
-      // validate inputs
-      if (typeof id !== 'string' || !uuid.match(id)) return false;
-      if (typeof reason !== 'string' || reason.length > 128) return false;
-      reason = reason.replace(/\n/g, ' ').replace(/"/g, "'");
-
-      // ensure player exists
-      const player = omegga.players.find(p => p.id === id);
-      if (!player) return false;
-
-      log('Kicking player', player.name.yellow);
-
-      // kick the user
-      omegga.writeln(`Chat.Command /Kick "${id}" "${reason}"`);
-
-      // wait for the player to disconnect
-      const ok = await Promise.race([
-        new Promise(resolve => {
-          this.omegga.once('leave', async leavingPlayer => {
-            if (leavingPlayer.id === id) {
-              resolve(true);
-
-              // add kick to database
-              const entry = {
-                type: 'kickHistory',
-                kicked: id,
-                kickerId: null,
-                created: Date.now(),
-                reason,
-              };
-
-              await database.stores.players.update(
-                entry,
-                { $set: entry },
-                { upsert: true }
-              );
-            }
-          });
-        }),
-        new Promise(resolve => setTimeout(() => resolve(false), 5000)),
-      ]);
+    addMethod('player.kick', ([id, reason = 'No Reason']) =>
+      actions.kick(id, reason, log, audit)
+    );
 
-      return ok;
-    });
+    addMethod('player.unban', ([id]) => actions.unban(id, log, audit));
 
-    rpc.addMethod('player.unban', async ([id]) => {
+    addMethod('player.clearbricks', async ([id]) => {
       // validate inputs
       if (typeof id !== 'string' || !uuid.match(id)) return false;
 
-      // check if user is banned
-      const banList = (omegga.getBanList() || { banList: {} }).banList;
-      if (!banList[id] || parseBrickadiaTime(banList[id].expires) < Date.now())
-        return false;
-
       log(
-        'Unbanning player',
+        'Clearing bricks for player',
         omegga.getNameCache()?.savedPlayerNames?.[id].yellow ??
           'with id ' + id.yellow
       );
 
       // unban the user
-      omegga.writeln(`Chat.Command /Unban "${id}"`);
-      let listener;
-
-      // wait for the ban to update
-      const ok = await Promise.race([
-        new Promise(resolve => {
-          database.on(
-            'update.bans',
-            (listener = () => {
-              const banList = (omegga.getBanList() || { banList: {} }).banList;
-              if (
-                !banList[id] ||
-                parseBrickadiaTime(banList[id].expires) < Date.now()
-              )
-                resolve(true);
-            })
-          );
-        }),
-        new Promise(resolve => setTimeout(() => resolve(false), 5000)),
-      ]);
-      database.off('update.bans', listener);
-      return ok;
+      omegga.writeln(`Bricks.Clear "${id}"`);
+      audit('player.clearbricks', omegga.audit.player(id));
+      return true;
     });
 
-    rpc.addMethod('player.clearbricks', async ([id]) => {
-      // validate inputs
-      if (typeof id !== 'string' || !uuid.match(id)) return false;
+    // leave a note on a player, returns an error message
+    addMethod('player.note', async ([id, severity = 'low', text]) => {
+      try {
+        await moderation.note(id, severity, text, webActor(socket.user), log);
+      } catch (e) {
+        return e.toString();
+      }
+    });
 
-      log(
-        'Clearing bricks for player',
-        omegga.getNameCache()?.savedPlayerNames?.[id].yellow ??
-          'with id ' + id.yellow
-      );
+    // warn a player, returns { warnings, escalation } or { error }
+    addMethod('player.warn', async ([id, severity = 'low', reason]) => {
+      try {
+        const { warnings, escalation } = await moderation.warn(
+          id,
+          severity,
+          reason,
+          webActor(socket.user),
+          log
+        );
+        return { warnings, escalation };
+      } catch (e) {
+        return { error: e.toString() };
+      }
+    });
 
-      // unban the user
-      omegga.writeln(`Bricks.Clear "${id}"`);
-      return true;
+    // accounts that have shared ips with a player
+    addMethod('player.alts', ([id]) => {
+      if (typeof id !== 'string' || !uuid.match(id)) return [];
+      return alts.getLinkedAccounts(id);
     });
 
+    // remove a note or warning, returns true if it existed
+    addMethod('player.deletenote', ([noteId]) =>
+      moderation.removeNote(noteId, webActor(socket.user), log)
+    );
+
     // set plugin config
-    // TODO: add permission check
-    rpc.addMethod('plugin.config', async ([shortPath, config]) => {
+    addMethod('plugin.config', async ([shortPath, config]) => {
       const plugin = omegga.pluginLoader.plugins.find(
         p => p.shortPath === shortPath
       );
       if (!plugin) return null;
 
+      // config values can be secrets, so only the changed keys are audited
+      const old = (await plugin.storage.getConfig()) ?? {};
       await plugin.storage.setConfig(config);
+      audit('plugin.config', actions.pluginTarget(plugin), {
+        changed: Object.keys(config ?? {}).filter(
+          k => !_.isEqual(old[k], config[k])
+        ),
+      });
       // TODO: validate configs
       return true;
     });
 
     // reload all plugins (and scan for new ones)
-    // TODO: add permission check
-    rpc.addMethod('plugins.reload', async () => {
+    addMethod('plugins.reload', async () => {
       if (!omegga.pluginLoader) {
         error('Omegga is not using plugins');
         return false;
@@ -571,6 +704,7 @@ module.exports = (server, io) => {
           .filter(p => p.isLoaded())
           .map(p => p.getName());
         log('Loaded', (plugins.length + '').yellow, 'plugins:', plugins);
+        audit('plugins.reload', null, { loaded: plugins });
         return true;
       } else {
         error('Could not load all plugins');
@@ -579,32 +713,31 @@ module.exports = (server, io) => {
     });
 
     // unload a plugin
-    // TODO: add permission check
-    rpc.addMethod('plugin.unload', async ([shortPath]) => {
+    addMethod('plugin.unload', async ([shortPath]) => {
       const plugin = omegga.pluginLoader.plugins.find(
         p => p.shortPath === shortPath
       );
       if (!plugin) return false;
       if (!plugin.isLoaded()) return false;
       log('Unloading'.red, 'plugin', plugin.getName().yellow);
+      audit('plugin.unload', actions.pluginTarget(plugin));
       return await plugin.unload();
     });
 
     // load a plugin
-    // TODO: add permission check
-    rpc.addMethod('plugin.load', async ([shortPath]) => {
+    addMethod('plugin.load', async ([shortPath]) => {
       const plugin = omegga.pluginLoader.plugins.find(
         p => p.shortPath === shortPath
       );
       if (!plugin) return false;
       if (plugin.isLoaded() || !plugin.isEnabled()) return false;
       log('Loading'.green, 'plugin', plugin.getName().yellow);
-      return await plugin.load();
+      audit('plugin.load', actions.pluginTarget(plugin));
+      return await plugin.runAs(() => plugin.load());
     });
 
     // enable/disable a plugin
-    // TODO: add permission check
-    rpc.addMethod('plugin.toggle', ([shortPath, enabled]) => {
+    addMethod('plugin.toggle', ([shortPath, enabled]) => {
       if (typeof enabled !== 'boolean') return;
       const plugin = omegga.pluginLoader.plugins.find(
         p => p.shortPath === shortPath
@@ -617,6 +750,7 @@ module.exports = (server, io) => {
           'plugin',
           plugin.getName().yellow
         );
+        audit('plugin.toggle', actions.pluginTarget(plugin), { enabled });
         return true;
       } catch (e) {
         error(
@@ -630,14 +764,57 @@ module.exports = (server, io) => {
     });
 
     // get a list of roles
-    // TODO: add permission check
-    rpc.addMethod('roles.list', () => {
+    addMethod('roles.list', () => {
       return _.sortBy(omegga.getRoleSetup().roles, p => p.name.toLowerCase());
     });
 
+    // roles, their permissions, and who has them for the role editor
+    addMethod('roles.get', () => {
+      try {
+        return { roles: roles.read() };
+      } catch (e) {
+        return { error: e.toString() };
+      }
+    });
+
+    // preview the changes the role editor would make
+    addMethod('roles.preview', ([draft]) => {
+      try {
+        return roles.diff(draft);
+      } catch (e) {
+        return { changes: [], errors: [e.toString()] };
+      }
+    });
+
+    // save the role editor's changes
+    addMethod('roles.apply', async ([draft]) => {
+      let result;
+      try {
+        result = await roles.apply(draft);
+      } catch (e) {
+        return { changes: [], errors: [e.toString()] };
+      }
+
+      const { changes } = result;
+      const setupChanges = changes.filter(c => c.setup);
+      if (setupChanges.length > 0) {
+        log('changed server roles');
+        audit('roles.update', null, { changes: setupChanges.map(c => c.text) });
+      }
+      for (const { type, id, name, role } of changes.filter(c => !c.setup)) {
+        log(
+          type === 'grant' ? 'granted' : 'revoked',
+          `"${role.yellow}"`,
+          type === 'grant' ? 'to' : 'from',
+          name.yellow
+        );
+        audit('player.' + type + 'role', { id, name }, { role });
+      }
+      return result;
+    });
+
     // get a paginated list of users
-    // TODO: add permission check
-    rpc.addMethod(
+    addMethod(
       'users.list',
       async ([
         { page = 0, search = '', sort = 'name', direction = '1' } = {},
@@ -647,26 +824,31 @@ module.exports = (server, io) => {
         for (const user of resp.users) {
           user.seenAgo = user.lastOnline ? now - user.lastOnline : Infinity;
           user.createdAgo = now - user.created;
+          user.role = Permissions.roleOf(user);
+          user.totp = !!user.totpSecret;
+          delete user.hash;
+          delete user.totpSecret;
+          delete user.totpPending;
         }
         return resp;
       }
     );
 
-    // create a new user (host only at the moment)
-    // TODO: add permission check
-    rpc.addMethod('users.create', async ([username, password]) => {
-      if (!socket.user.isOwner) return 'missing permission';
-
+    // create a new user
+    addMethod('users.create', async ([username, password, role = 'viewer']) => {
       // body is username and password
       if (typeof username !== 'string' || typeof password !== 'string')
         return 'username/password not a string';
 
       // validate username
-      if (!username.match(/^\w{0,32}$/)) return 'username is not allowed';
+      if (!username.match(/^\w{1,32}$/)) return 'username is not allowed';
 
       // this validation is here for _those_ people
-      if (password.length === 0 || password.length > 128)
-        return 'invalid password size';
+      if (password.length < MIN_PASSWORD_LENGTH || password.length > 128)
+        return `password must be ${MIN_PASSWORD_LENGTH} to 128 characters`;
+
+      // users can't be made owners or given more access than their creator
+      if (!assignable(role)) return 'role is not allowed';
 
       // set owner's credential as the first user
       if (socket.user.isOwner && socket.user.username === '') {
@@ -675,8 +857,10 @@ module.exports = (server, io) => {
           await database.stores.users.update(
             { _id: socket.user._id },
             {
-              username,
-              hash: await database.hash(password),
+              $set: {
+                username,
+                hash: await database.hash(password),
+              },
             }
           );
         } catch (e) {
@@ -685,6 +869,7 @@ module.exports = (server, io) => {
         }
 
         log(`created account as "${username.yellow}"`);
+        audit('users.create', { id: socket.user._id, name: username });
 
         // update
         return '';
@@ -693,97 +878,599 @@ module.exports = (server, io) => {
       // check if user exists
       if (await database.userExists(username)) return 'user already exists';
 
+      let user;
       try {
-        await database.createUser(username, password);
+        user = await database.createUser(username, password, role);
       } catch (e) {
         error('error creating new user', e);
         return 'error creating new user';
       }
 
-      log(`created new user "${username.yellow}"`);
+      log(`created new ${role} user "${username.yellow}"`);
+      audit('users.create', { id: user._id, name: username }, { role });
 
       return '';
     });
 
-    // change a user's password
-    // TODO: add permission check
-    rpc.addMethod('users.passwd', async ([username, password]) => {
-      // the owner can change names and the user can change their own name
-      if (!socket.user.isOwner && username !== socket.user.username)
-        return 'missing permission';
+    // change a user's password, users can always change their own password
+    addMethod(
+      'users.passwd',
+      async ([username, password]) => {
+        // body is username and password
+        if (typeof username !== 'string' || typeof password !== 'string')
+          return 'username/password not a string';
 
-      // body is username and password
-      if (typeof username !== 'string' || typeof password !== 'string')
-        return 'username/password not a string';
+        // validate username
+        if (!username.match(/^\w{1,32}$/)) return 'username is not allowed';
 
-      // validate username
-      if (!username.match(/^\w{0,32}$/)) return 'username is not allowed';
+        if (password.length < MIN_PASSWORD_LENGTH || password.length > 128)
+          return `password must be ${MIN_PASSWORD_LENGTH} to 128 characters`;
 
-      // check if user exists
-      if (!(await database.userExists(username))) return 'user does not exist';
+        // check if user exists
+        const user = await database.stores.users.findOne({
+          type: 'user',
+          username,
+        });
+        if (!user) return 'user does not exist';
 
-      try {
-        await database.userPasswd(username, password);
-      } catch (e) {
-        error('error setting user password', e);
-        return "error setting user's password";
-      }
+        try {
+          await database.userPasswd(username, password);
+        } catch (e) {
+          error('error setting user password', e);
+          return "error setting user's password";
+        }
+
+        log(`changed password for "${username.yellow}"`);
+        audit('users.passwd', { id: user._id, name: username });
+
+        return '';
+      },
+      (user, [username]) => !!user.username && username === user.username
+    );
+
+    // change a user's role
+    addMethod('users.role', async ([username, role]) => {
+      if (typeof username !== 'string' || !username) return 'invalid user';
+      if (!assignable(role)) return 'role is not allowed';
 
-      log(`changed password for "${username.yellow}"`);
+      const user = await database.stores.users.findOne({
+        type: 'user',
+        username,
+      });
+      if (!user) return 'user does not exist';
+      if (user.isOwner) return "the owner's role can't be changed";
+      if (user._id === socket.user._id) return "you can't change your own role";
+
+      await database.setUserRole(username, role);
+      log(`set role of "${username.yellow}" to ${role.yellow}`);
+      audit(
+        'users.role',
+        { id: user._id, name: username },
+        { from: Permissions.roleOf(user), role }
+      );
 
+      // update what the user's open web uis show
+      const updated = await database.findUserById(user._id);
+      io.to('user:' + user._id).emit('data', await getData(updated));
+      leaveForbiddenRooms(updated);
       return '';
     });
 
+    // list api tokens, the owner sees every user's tokens
+    addMethod('tokens.list', async () => {
+      const tokens = await database.getApiTokens(
+        socket.user.isOwner ? undefined : socket.user._id
+      );
+      const users = await database.stores.users.find({ type: 'user' });
+      for (const token of tokens) {
+        const user = users.find(u => u._id === token.userId);
+        token.username = user ? user.username || 'Admin' : '';
+      }
+      return { tokens, scopes: TOKEN_SCOPES };
+    });
+
+    // create an api token for this user, the token can only be seen once
+    addMethod('tokens.create', async ([name, scopes]) => {
+      if (typeof name !== 'string' || !name.match(/^[\w -]{1,32}$/))
+        return { error: 'token name is not allowed' };
+      if (
+        !Array.isArray(scopes) ||
+        scopes.length === 0 ||
+        !scopes.every(s => s in TOKEN_SCOPES)
+      )
+        return { error: 'invalid scopes' };
+
+      // tokens can't do more than their user
+      if (!scopes.every(s => permissions.can(socket.user, 'api.' + s)))
+        return { error: 'your role does not allow these scopes' };
+
+      const { token, entry } = await database.createApiToken(
+        socket.user._id,
+        name,
+        _.uniq(scopes)
+      );
+      log(`created api token "${name.yellow}" (${scopes.join(', ')})`);
+      audit('tokens.create', { id: entry._id, name }, { scopes });
+      return { token };
+    });
+
+    // delete an api token, the owner can delete anyone's tokens
+    addMethod('tokens.delete', async ([id]) => {
+      if (typeof id !== 'string') return false;
+      if (
+        !(await database.removeApiToken(
+          id,
+          socket.user.isOwner ? undefined : socket.user._id
+        ))
+      )
+        return false;
+      log(`deleted api token ${id.yellow}`);
+      audit('tokens.delete', { id, name: '' });
+      return true;
+    });
+
+    // every user with sign-in can manage their own two-factor auth
+    const ownAccount = user => !!user.username;
+    const self = () => ({ id: socket.user._id, name: socket.user.username });
+
+    // start two-factor setup with a new secret for an authenticator app
+    addMethod(
+      'users.2fa.setup',
+      async () => {
+        if (!socket.user.username) return { error: 'sign-in is not enabled' };
+        if (socket.user.totpSecret)
+          return { error: 'two-factor auth is already enabled' };
+
+        const secret = totp.generateSecret();
+        await database.setPendingTotp(socket.user._id, secret);
+        const uri = totp.keyUri(secret, socket.user.username, 'Omegga');
+        return { secret, qr: await QRCode.toDataURL(uri) };
+      },
+      ownAccount
+    );
+
+    // finish two-factor setup with a code from the authenticator app
+    addMethod(
+      'users.2fa.enable',
+      async ([code]) => {
+        if (!socket.user.username) return 'sign-in is not enabled';
+        if (!(await database.enableTotp(socket.user._id, code)))
+          return 'invalid code';
+
+        log('enabled two-factor auth');
+        audit('users.2fa.enable', self());
+        io.to('user:' + socket.user._id).emit(
+          'data',
+          await getData(await refreshUser())
+        );
+        return '';
+      },
+      ownAccount
+    );
+
+    addMethod(
+      'users.2fa.disable',
+      async ([code]) => {
+        if (!(await database.disableTotp(socket.user._id, code)))
+          return 'invalid code';
+
+        log('disabled two-factor auth');
+        audit('users.2fa.disable', self());
+        io.to('user:' + socket.user._id).emit(
+          'data',
+          await getData(await refreshUser())
+        );
+        return '';
+      },
+      ownAccount
+    );
+
     // send server status at request
-    // TODO: server status permission check
-    rpc.addMethod('server.status', () => {
-      return server.lastReportedStatus;
+    addMethod('server.status', () => {
+      return permissions.can(socket.user, 'player.ips')
+        ? server.lastReportedStatus
+        : actions.hideAddresses(server.lastReportedStatus);
     });
 
     // get server run status
-    // TODO: server status permission check
-    rpc.addMethod('server.started', () => {
+    addMethod('server.started', () => {
       return {
         started: omegga.started,
         starting: omegga.starting,
         stopping: omegga.stopping,
+        pendingStop: omegga.getPendingStop(),
       };
     });
 
     // start the server if it's not already started
-    // TODO: server status permission check
-    rpc.addMethod('server.start', async () => {
+    addMethod('server.start', async () => {
       if (omegga.starting || omegga.stopping || omegga.started) return;
       log('Starting server...');
+      audit('server.start');
       await omegga.start();
     });
 
     // stop the server if it's not already stopped
-    // TODO: server status permission check
-    rpc.addMethod('server.stop', async () => {
+    addMethod('server.stop', async ([options]) => {
       if (omegga.starting || omegga.stopping || !omegga.started) return;
+      if (omegga.getPendingStop()) return;
       log('Stopping server...');
-      await omegga.stop();
+      options = actions.stopOptions(options);
+      audit('server.stop', null, options);
+      await omegga.stop(options);
     });
 
     // restart the server if it's running, start the server if it's stopped
-    // TODO: server status permission check
-    rpc.addMethod('server.restart', async () => {
+    addMethod('server.restart', async ([options]) => {
       if (omegga.starting || omegga.stopping) return;
+      if (omegga.getPendingStop()) return;
       log('Restarting server...');
-      if (omegga.started) await omegga.stop();
-      await omegga.start();
+      options = actions.stopOptions(options);
+      audit('server.restart', null, options);
+      await omegga.restart(options);
     });
 
-    // subscribe and unsubscribe to events
-    socket.on('subscribe', room => {
-      // TODO: permission check for certain rooms
-      if (server.rooms.includes(room)) {
-        socket.join(room);
+    // cancel a stop or restart that is counting down
+    addMethod('server.stop.cancel', () => {
+      if (!omegga.getPendingStop()) return false;
+      log('Cancelling server stop');
+      audit('server.stop.cancel');
+      return omegga.cancelStop();
+    });
+
+    // get the watchdog status and recent crashes
+    addMethod('server.crashes', async () => ({
+      watchdog: omegga.watchdog.getStatus(),
+      crashes: await database.getCrashes(),
+    }));
+
+    // cancel a pending restart after a crash
+    addMethod('server.crashes.cancel', () => {
+      if (!omegga.watchdog.nextRestart) return false;
+      log('Cancelling restart after crash');
+      audit('server.crashes.cancel');
+      omegga.watchdog.cancel();
+      return true;
+    });
+
+    // data file sizes and the retention settings
+    addMethod('storage.status', () => retention.getStatus());
+
+    // clean up old data and compact the data files now
+    addMethod('storage.run', async () => {
+      log('Cleaning up old data');
+      audit('storage.run');
+      await retention.run(true);
+      return await retention.getStatus();
+    });
+
+    // get ServerSettings.ini fields and values
+    // fields set in the omegga config are overwritten when the server starts
+    addMethod('server.settings', () => {
+      const fields = brickadiaConfig.SETTINGS_FIELDS;
+      return {
+        fields,
+        settings: brickadiaConfig.read(omegga.dataPath),
+        overridden: fields
+          .filter(f => typeof omegga.config?.server?.[f.key] !== 'undefined')
+          .map(f => f.key),
+      };
+    });
+
+    // update ServerSettings.ini, returns a list of errors
+    addMethod('server.settings.set', ([settings]) => {
+      if (typeof settings !== 'object' || !settings)
+        return ['settings must be an object'];
+
+      const errors = brickadiaConfig.validate(settings);
+      for (const key in settings)
+        if (typeof omegga.config?.server?.[key] !== 'undefined')
+          errors.push(`${key} is set in the omegga config`);
+      if (errors.length > 0) return errors;
+
+      log('Updating server settings');
+      brickadiaConfig.writeSettings(omegga.dataPath, settings);
+      audit('server.settings.set', null, {
+        // the server password is left out
+        changed: Object.keys(settings),
+      });
+      return [];
+    });
+
+    // list scheduled tasks from the config and the web ui
+    addMethod('schedule.list', () => ({
+      tasks: omegga.scheduler.getTasks(),
+      actions: SCHEDULE_ACTIONS,
+    }));
+
+    // pick the known fields out of a task from the web ui
+    const cleanTask = task =>
+      _.pick(task, [
+        'name',
+        'cron',
+        'interval',
+        'action',
+        'countdown',
+        'message',
+        'save',
+        'saveName',
+        'command',
+        'event',
+        'plugin',
+        'args',
+        'skipEmpty',
+        'deferBusy',
+        'busyPlayers',
+        'maxDefer',
+        'enabled',
+      ]);
+
+    // create a scheduled task, returns a list of errors
+    addMethod('schedule.create', async ([task]) => {
+      task = cleanTask(task);
+      const errors = validateTask(task);
+      if (errors.length > 0) return errors;
+
+      log(`created scheduled task "${task.name.yellow}"`);
+      const created = await database.addScheduledTask(task);
+      audit('schedule.create', { id: created, name: task.name }, task);
+      return [];
+    });
+
+    // replace a scheduled task from the web ui, returns a list of errors
+    addMethod('schedule.update', async ([id, task]) => {
+      task = cleanTask(task);
+      const errors = validateTask(task);
+      if (errors.length > 0) return errors;
+
+      if (!(await database.updateScheduledTask(id, task)))
+        return ['task not found'];
+      log(`updated scheduled task "${task.name.yellow}"`);
+      audit('schedule.update', { id, name: task.name }, task);
+      return [];
+    });
+
+    // remove a scheduled task from the web ui
+    addMethod('schedule.delete', async ([id]) => {
+      if (!(await database.removeScheduledTask(id))) return false;
+      log(`removed scheduled task ${id.yellow}`);
+      audit('schedule.delete', { id, name: '' });
+      return true;
+    });
+
+    // run a scheduled task now, the result is sent to the server room
+    addMethod('schedule.run', ([id]) => {
+      const task = omegga.scheduler.getTasks().find(t => t.id === id);
+      if (!task) return false;
+
+      log(`running scheduled task "${task.name.yellow}"`);
+      audit('schedule.run', { id, name: task.name });
+      omegga.scheduler
+        .run(id, true)
+        .catch(e => error('error running scheduled task', e));
+      return true;
+    });
+
+    // get scheduled task run history
+    addMethod('schedule.history', ([{ taskId, before } = {}]) =>
+      database.getScheduleRuns({ taskId, before })
+    );
+
+    // list build backups
+    addMethod('backups.list', () => ({
+      backups: omegga.backups.list().map(b => ({
+        ...b,
+        exists: !!omegga.backups.getPath(b.name),
+      })),
+      config: omegga.backups.config,
+      currentMap: omegga.currentMap,
+    }));
+
+    // back up the bricks now, returns an error or the backup
+    addMethod('backups.create', async () => {
+      log('Creating backup');
+      try {
+        const backup = await omegga.backups.create('manual');
+        audit('backups.create', { id: backup.name, name: backup.name });
+        return { backup };
+      } catch (e) {
+        return { error: e.toString() };
+      }
+    });
+
+    // replace the bricks with a backup, returns an error message
+    addMethod('backups.restore', async ([name]) => {
+      log(`restoring backup "${name.yellow}"`);
+      try {
+        await omegga.backups.restore(name);
+        audit('backups.restore', { id: name, name });
+        return '';
+      } catch (e) {
+        error('error restoring backup', e);
+        return e.toString();
+      }
+    });
+
+    // keep a backup regardless of retention
+    addMethod('backups.pin', ([name, pinned]) => {
+      try {
+        omegga.backups.pin(name, !!pinned);
+        audit('backups.pin', { id: name, name }, { pinned: !!pinned });
+        return '';
+      } catch (e) {
+        return e.toString();
+      }
+    });
+
+    // delete a backup
+    addMethod('backups.delete', ([name]) => {
+      log(`deleting backup "${name.yellow}"`);
+      try {
+        omegga.backups.remove(name);
+        audit('backups.delete', { id: name, name });
+        return '';
+      } catch (e) {
+        return e.toString();
+      }
+    });
+
+    // saves in Saved/Builds
+    addMethod('saves.list', () => ({
+      saves: saves.list(),
+      started: omegga.started,
+    }));
+
+    // a save's header, owners, and screenshot, returns { error } on failure
+    addMethod('saves.get', ([name]) => {
+      try {
+        return { save: saves.info(name) };
+      } catch (e) {
+        return { error: e.toString() };
+      }
+    });
+
+    // load a save into the world, returns an error message
+    addMethod(
+      'saves.load',
+      ([name, { offX = 0, offY = 0, offZ = 0, quiet = false } = {}]) => {
+        try {
+          const save = saves.resolve(name);
+          if (!save.exists) return 'save not found';
+          if (!omegga.started) return 'server is not running';
+          if (![offX, offY, offZ].every(Number.isFinite))
+            return 'invalid offset';
+
+          log(`loading save "${save.name.yellow}"`);
+          omegga.loadBricks(save.name, {
+            offX: Math.round(offX),
+            offY: Math.round(offY),
+            offZ: Math.round(offZ),
+            quiet: !!quiet,
+          });
+          audit(
+            'saves.load',
+            { id: save.name, name: save.name },
+            { offX, offY, offZ, quiet: !!quiet }
+          );
+          return '';
+        } catch (e) {
+          return e.toString();
+        }
+      }
+    );
+
+    // save the world's bricks under a new name, returns an error message
+    addMethod('saves.save', async ([name]) => {
+      let save;
+      try {
+        save = saves.resolveNew(name);
+      } catch (e) {
+        return e.toString();
+      }
+      if (!omegga.started) return 'server is not running';
+
+      log(`saving bricks as "${save.name.yellow}"`);
+      try {
+        if (!(await omegga.saveBricksAsync(save.name)))
+          return 'there are no bricks to save';
+      } catch (e) {
+        error('error saving bricks', e);
+        return 'error saving bricks';
+      }
+      audit('saves.save', { id: save.name, name: save.name });
+      return '';
+    });
+
+    // rename or move a save, returns an error message
+    addMethod('saves.rename', ([from, to]) => {
+      try {
+        const save = saves.rename(from, to);
+        log(`renamed save "${from.yellow}" to "${save.name.yellow}"`);
+        audit('saves.rename', { id: save.name, name: save.name }, { from });
+        return '';
+      } catch (e) {
+        return e.toString();
+      }
+    });
+
+    // delete a save, returns an error message
+    addMethod('saves.delete', ([name]) => {
+      try {
+        const save = saves.remove(name);
+        log(`deleted save "${save.name.yellow}"`);
+        audit('saves.delete', { id: save.name, name: save.name });
+        return '';
+      } catch (e) {
+        return e.toString();
       }
     });
+
+    // recent brickadia and terminal output for the console view
+    addMethod('console.recent', () => server.console.recent());
+
+    // write a raw command to the brickadia console
+    addMethod('console.command', ([command]) => {
+      if (
+        typeof command !== 'string' ||
+        !command.trim() ||
+        /[\r\n]/.test(command)
+      )
+        return 'invalid command';
+      if (!omegga.started) return 'server is not started';
+      log('ran console command', command.yellow);
+      audit('console.command', null, { command });
+      omegga.writeln(command);
+      return '';
+    });
+
+    // run one of the terminal's slash commands, its output shows up in the
+    // console like everything else the terminal prints
+    addMethod('console.terminal', ([line]) => {
+      if (
+        typeof line !== 'string' ||
+        !line.startsWith('/') ||
+        /[\r\n]/.test(line)
+      )
+        return 'invalid command';
+      const { terminal } = server.console;
+      if (!terminal) return 'terminal is not available';
+      log('ran terminal command', line.yellow);
+      // some commands (like /stop) take a while, so this doesn't wait for them
+      terminal.handleLine(line, webActor(socket.user));
+      return '';
+    });
+
+    // search the audit log, actor is an actor type like 'web' or 'plugin'
+    addMethod(
+      'audit.list',
+      async ([{ page = 0, search = '', actor = '', action = '' } = {}]) => {
+        if (
+          typeof page !== 'number' ||
+          [search, actor, action].some(s => typeof s !== 'string')
+        )
+          return null;
+        const [log, actions] = await Promise.all([
+          database.getAuditLog({ page, search, actor, action }),
+          database.getAuditActions(),
+        ]);
+        return { ...log, actions };
+      }
+    );
+
+    // subscribe and unsubscribe to events
+    socket.on('subscribe', async room => {
+      if (!server.rooms.includes(room)) return;
+      const user = await refreshUser();
+      if (!permissions.can(user, 'room.' + room)) return;
+      // the status room has players' addresses for users who can see ips
+      if (room === 'status' && permissions.can(user, 'player.ips'))
+        socket.join('status.ips');
+      else socket.join(room);
+    });
     socket.on('unsubscribe', room => {
-      if (server.rooms.includes(room)) socket.leave(room);
+      if (!server.rooms.includes(room)) return;
+      socket.leave(room);
+      if (room === 'status') socket.leave('status.ips');
     });
 
     socket.on('disconnect', () => {});
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const model = require('nedb/lib/model.js');
+
+const gzip = promisify(zlib.gzip);
+
+// archives are named by utc month, like chat-2021-08.jsonl.gz
+const FILE_PATTERN = /^chat-(\d{4}-\d{2})\.jsonl\.gz$/;
+
+// utc month of a time, like 2021-08
+const monthOf = time => new Date(time).toISOString().slice(0, 7);
+
+/*
+  chat logs that are too old for chat.db are moved into gzipped json lines
+  files, one per month. every archive run appends another gzip member to the
+  file, which reads back as one file
+
+  logs are only archived oldest first, so every archived log is older than
+  the logs left in chat.db
+*/
+class ChatArchive {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  // path to a month's archive
+  file(month) {
+    return path.join(this.dir, `chat-${month}.jsonl.gz`);
+  }
+
+  /**
+   * list the archived months, oldest first
+   * @return {Promise<Array<Object>>} [{ month, size }]
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (e) {
+      return [];
+    }
+
+    const months = [];
+    for (const file of files.sort()) {
+      const [, month] = file.match(FILE_PATTERN) || [];
+      if (!month) continue;
+      const { size } = await fs.promises.stat(path.join(this.dir, file));
+      months.push({ month, size });
+    }
+    return months;
+  }
+
+  // add chat logs to their months' archives
+  async append(chats) {
+    const months = {};
+    for (const chat of chats) (months[monthOf(chat.created)] ??= []).push(chat);
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    for (const [month, logs] of Object.entries(months))
+      await fs.promises.appendFile(
+        this.file(month),
+        await gzip(logs.map(l => JSON.stringify(l) + '\n').join(''))
+      );
+  }
+
+  // every chat log in a month's archive, oldest first
+  async *read(month) {
+    const input = fs.createReadStream(this.file(month));
+    const gunzip = input.pipe(zlib.createGunzip());
+    const lines = readline.createInterface({
+      input: gunzip,
+      crlfDelay: Infinity,
+    });
+    try {
+      for await (const line of lines) if (line) yield JSON.parse(line);
+    } finally {
+      // the file is left open when the rest of it isn't read
+      gunzip.destroy();
+      input.destroy();
+    }
+  }
+
+  // archived months that overlap a time range, in the order they are searched
+  async monthsBetween(from = 0, to = Date.now(), ascending = false) {
+    const first = monthOf(from);
+    const last = monthOf(to);
+    const months = (await this.list())
+      .map(m => m.month)
+      .filter(m => m >= first && m <= last);
+    return ascending ? months : months.reverse();
+  }
+
+  /**
+   * chat logs in a month matching a nedb query, sorted by time. archives are
+   * written oldest first, so only the logs that are needed are kept
+   * @param {String} month
+   * @param {Object} query - nedb query, like the ones for chat.db
+   * @param {Object} [options]
+   * @param {Boolean} [options.ascending] - oldest first
+   * @param {Number} [options.limit] - most logs to find, every match by default
+   * @return {Promise<Array<Object>>}
+   */
+  async findInMonth(
+    month,
+    query,
+    { ascending = false, limit = Infinity } = {}
+  ) {
+    const chats = [];
+    for await (const chat of this.read(month)) {
+      if (!model.match(chat, query)) continue;
+      chats.push(chat);
+      if (ascending) {
+        // the rest of the month is newer
+        if (chats.length >= limit) break;
+      } else if (chats.length >= limit * 2) {
+        // only the newest are kept, dropping the rest in bulk
+        chats.splice(0, chats.length - limit);
+      }
+    }
+    return ascending ? chats : chats.slice(-limit).reverse();
+  }
+
+  /**
+   * find archived chat logs like a nedb cursor, one month at a time
+   * @param {Object} query - nedb query, like the ones for chat.db
+   * @param {Object} options
+   * @param {Number} [options.from] - earliest time to search
+   * @param {Number} [options.to] - latest time to search
+   * @param {Number} [options.skip]
+   * @param {Number} options.limit
+   * @param {Boolean} [options.ascending] - oldest first
+   * @return {Promise<Array<Object>>}
+   */
+  async find(query, { from, to, skip = 0, limit, ascending = false }) {
+    const found = [];
+    for (const month of await this.monthsBetween(from, to, ascending)) {
+      const chats = await this.findInMonth(month, query, {
+        ascending,
+        limit: skip + limit - found.length,
+      });
+      found.push(...chats.slice(skip, skip + limit - found.length));
+      skip = Math.max(0, skip - chats.length);
+      if (found.length >= limit) break;
+    }
+    return found;
+  }
+}
+
+module.exports = ChatArchive;
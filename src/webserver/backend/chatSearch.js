@@ -0,0 +1,102 @@
+const uuid = require('../../util/uuid.js');
+
+// chat log actions that can be searched for
+const CHAT_ACTIONS = ['msg', 'join', 'leave', 'server', 'kick'];
+
+// every message is tested against a regex search, so patterns are kept short
+// and can't nest quantifiers like (a+)+ that take forever to fail
+const MAX_PATTERN_LENGTH = 200;
+const NESTED_QUANTIFIER = /\([^)]*[*+}][^)]*\)[*+{]/;
+
+const escapeRegex = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// check an optional timestamp
+const parseTime = (time, name) => {
+  if (typeof time === 'undefined' || time === null || time === '') return;
+  time = Number(time);
+  if (!Number.isFinite(time) || time < 0) throw `${name} must be a timestamp`;
+  return time;
+};
+
+/**
+ * turn search options from the web ui into a chat search, throws an error message
+ * @param {Object} options
+ * @param {String} [options.text] - text in the message
+ * @param {Boolean} [options.regex] - text is a regex
+ * @param {String} [options.player] - player name or id
+ * @param {Array<String>} [options.actions] - chat log actions, all when empty
+ * @param {Number} [options.after] - earliest time
+ * @param {Number} [options.before] - latest time
+ * @return {Object} search for database.searchChats
+ */
+function parseSearch({
+  text = '',
+  regex = false,
+  player = '',
+  actions = [],
+  after,
+  before,
+} = {}) {
+  if (typeof text !== 'string') throw 'text must be a string';
+  if (typeof player !== 'string') throw 'player must be a string';
+  if (!Array.isArray(actions) || actions.some(a => !CHAT_ACTIONS.includes(a)))
+    throw `actions must be a list of ${CHAT_ACTIONS.join(', ')}`;
+
+  let pattern;
+  if (text && regex) {
+    if (text.length > MAX_PATTERN_LENGTH)
+      throw `regex must be at most ${MAX_PATTERN_LENGTH} characters`;
+    if (NESTED_QUANTIFIER.test(text)) throw 'regex has nested repetition';
+    try {
+      pattern = new RegExp(text, 'i');
+    } catch (e) {
+      throw 'invalid regex';
+    }
+  } else if (text) {
+    pattern = new RegExp(escapeRegex(text), 'i');
+  }
+
+  player = player.trim();
+  return {
+    pattern,
+    player: !player
+      ? undefined
+      : uuid.match(player)
+      ? { id: player }
+      : { name: new RegExp(escapeRegex(player), 'i') },
+    actions,
+    after: parseTime(after, 'after'),
+    before: parseTime(before, 'before'),
+  };
+}
+
+// spreadsheets run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// quote a csv cell if it needs it
+const csvCell = value => {
+  let str = String(value ?? '');
+  if (FORMULA_START.test(str)) str = "'" + str;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const CSV_HEADER = 'time,type,player id,player name,message\r\n';
+
+// chat log entries as csv rows
+const toCsv = chats =>
+  chats
+    .map(
+      c =>
+        [
+          new Date(c.created).toISOString(),
+          c.action,
+          c.user.id,
+          c.user.name,
+          c.message,
+        ]
+          .map(csvCell)
+          .join(',') + '\r\n'
+    )
+    .join('');
+
+module.exports = { parseSearch, toCsv, CSV_HEADER, CHAT_ACTIONS };
@@ -0,0 +1,63 @@
+const colors = require('colors');
+const util = require('util');
+
+const LogWrangler = require('../../omegga/logWrangler.js');
+const soft = require('../../softconfig.js');
+
+// brickadia console output and terminal output for the web ui's console view
+module.exports = (server, io) => {
+  const { omegga } = server;
+
+  // recent lines for web users opening the console
+  const lines = [];
+  // lines waiting to be sent to the console room
+  let pending = [];
+  let flushTimeout;
+  let lastId = 0;
+
+  const add = (source, level, generator, text) => {
+    const entry = {
+      id: ++lastId,
+      time: Date.now(),
+      source,
+      level,
+      generator,
+      text,
+    };
+    lines.push(entry);
+    if (lines.length > soft.CONSOLE_SCROLLBACK) lines.shift();
+
+    // busy servers log a lot, so lines are sent in batches
+    pending.push(entry);
+    if (flushTimeout) return;
+    flushTimeout = setTimeout(() => {
+      io.to('console').emit('console', pending);
+      pending = [];
+      flushTimeout = undefined;
+    }, soft.CONSOLE_BATCH_INTERVAL);
+  };
+
+  omegga.on('line', line => {
+    const generator =
+      line.match(LogWrangler.GENERIC_LINE_REGEX)?.groups.generator ?? null;
+    add('brickadia', 'log', generator, line);
+  });
+
+  // the terminal is created after omegga, so it's watched once omegga starts
+  let terminal;
+  const watchTerminal = term => {
+    if (!term || term === terminal) return;
+    terminal = term;
+    terminal.on('output', (level, args) =>
+      add('omegga', level, null, colors.strip(util.format(...args)))
+    );
+  };
+
+  return {
+    recent: () => lines,
+    watchTerminal,
+    get terminal() {
+      return terminal;
+    },
+  };
+};
@@ -1,6 +1,6 @@
 const path = require('path');
+const crypto = require('crypto');
 
-const Datastore = require('nedb-promise');
 const bcrypt = require('bcrypt');
 const chokidar = require('chokidar');
 
@@ -10,7 +10,10 @@ const {
   time: { parseBrickadiaTime },
 } = require('../../util/index.js');
 
+const { openStore } = require('../../storage/index.js');
 const Calendar = require('./calendar.js');
+const ChatArchive = require('./chatArchive.js');
+const totp = require('./totp.js');
 const { EventEmitter } = require('events');
 
 // TODO: online users graph
@@ -19,6 +22,86 @@ const { EventEmitter } = require('events');
 // TODO: minute server status for metrics
 // TODO: chat messages per min/hour/day check
 
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// start of the utc hour or day of a time
+const floorTo = (time, size) => Math.floor(time / size) * size;
+
+// min, max, and average of a list of numbers
+const spread = nums => ({
+  min: Math.min(...nums),
+  max: Math.max(...nums),
+  avg: Math.round((nums.reduce((a, b) => a + b, 0) / nums.length) * 100) / 100,
+});
+
+/*
+  migrations upgrade each store one version at a time, a store's version is
+  the version of its newest migration (or 1 without any)
+
+  stores made from scratch start at their newest version, and older ones run
+  every migration after their version in order
+*/
+const MIGRATIONS = {
+  users: [
+    {
+      // users had full access before roles, so they stay admins
+      version: 2,
+      upgrade: async store => {
+        await store.update(
+          { type: 'user', isOwner: false, role: { $exists: false } },
+          { $set: { role: 'admin' } },
+          { multi: true }
+        );
+      },
+    },
+  ],
+  chat: [
+    {
+      // the calendar was built from every chat log, now it's from daily counts
+      version: 2,
+      upgrade: async store => {
+        const days = {};
+        for (const { created } of await store.find(
+          { type: 'chat' },
+          { created: 1, _id: 0 }
+        )) {
+          const day = floorTo(created, DAY);
+          days[day] = (days[day] ?? 0) + 1;
+        }
+        for (const [day, count] of Object.entries(days))
+          await store.insert({
+            type: 'chatDay',
+            created: Number(day),
+            count,
+          });
+      },
+    },
+  ],
+  players: [
+    {
+      // ips didn't have times, so they span the whole time the player was seen
+      version: 2,
+      upgrade: async store => {
+        const players = await store.find({
+          type: 'userHistory',
+          ips: { $exists: true },
+        });
+        for (const { id, ips, created, lastSeen } of players)
+          for (const ip of ips)
+            await store.update(
+              { type: 'ipHistory', id, ip },
+              { $min: { firstSeen: created }, $max: { lastSeen } },
+              { upsert: true }
+            );
+      },
+    },
+  ],
+  status: [],
+  server: [],
+  audit: [],
+};
+
 let serverInstance;
 
 // generate a punchcard (days x week)
@@ -33,99 +116,73 @@ class Database extends EventEmitter {
     this.omegga = omegga;
     this.calendar = new Calendar();
 
-    // database
-    const dbOpts = {
-      autoload: true,
-      // case insensitive string comparison
-      compareStrings: (a, b) =>
-        a.localeCompare(b, 'en', { ignorePunctuation: true }),
-    };
+    // database, in the backend picked by the omegga.database config
+    const backend = omegga.config?.omegga?.database;
+    const open = file =>
+      openStore(backend, path.join(omegga.dataPath, file), {
+        // case insensitive string comparison
+        compareStrings: (a, b) =>
+          a.localeCompare(b, 'en', { ignorePunctuation: true }),
+      });
 
     // create all the stores
     this.stores = {
-      users: new Datastore({
-        filename: path.join(omegga.dataPath, soft.USER_STORE),
-        ...dbOpts,
-      }),
-      chat: new Datastore({
-        filename: path.join(omegga.dataPath, soft.CHAT_STORE),
-        ...dbOpts,
-      }),
-      players: new Datastore({
-        filename: path.join(omegga.dataPath, soft.PLAYER_STORE),
-        ...dbOpts,
-      }),
-      status: new Datastore({
-        filename: path.join(omegga.dataPath, soft.STATUS_STORE),
-        ...dbOpts,
-      }),
-      server: new Datastore({
-        filename: path.join(omegga.dataPath, soft.SERVER_STORE),
-        ...dbOpts,
-      }),
+      users: open(soft.USER_STORE),
+      chat: open(soft.CHAT_STORE),
+      players: open(soft.PLAYER_STORE),
+      status: open(soft.STATUS_STORE),
+      server: open(soft.SERVER_STORE),
+      audit: open(soft.AUDIT_STORE),
     };
+
+    // chat history, searches, heartbeat rollups, and the audit log go by time
+    this.stores.chat.ensureIndex({ fieldName: 'created' });
+    this.stores.status.ensureIndex({ fieldName: 'created' });
+    this.stores.audit.ensureIndex({ fieldName: 'created' });
+    // player pages and chat searches look players up by id
+    this.stores.chat.ensureIndex({ fieldName: 'user.id' });
+    this.stores.players.ensureIndex({ fieldName: 'id' });
+    // plain text chat searches
+    this.stores.chat.ensureIndex({ fieldName: 'message', fullText: true });
+
+    // chat logs moved out of chat.db by the retention config
+    this.archive = new ChatArchive(
+      path.join(omegga.dataPath, soft.CHAT_ARCHIVE_PATH)
+    );
   }
 
-  // make sure all the databases have valid store versions
+  // bring every store up to the version of its newest migration
   async doMigrations() {
-    // current store versions
-    const storeVersions = {
-      users: 1,
-      chat: 1,
-      players: 1,
-      status: 1,
-      server: 1,
-
-      // example version
-      dummy: 10,
-    };
-
-    // migrations to/from certain store versions
-    const migrations = {
-      users: [],
-      chat: [],
-      players: [],
-      status: [],
-      server: [],
-
-      // example migration list (all version upgrades go up by 1)
-      dummy: [
-        {
-          version: 1, // target version
-          upgrade: async _store => {}, // upgrade function (does not include updating version)
-        },
-      ],
-    };
-
-    // loop through all stores to find if any need version upgrades
-    await Promise.all(
-      Object.entries(this.stores).map(async ([name, store]) => {
-        const versionEntry = await store.findOne({ type: 'storeVersion' });
-        const expected = storeVersions[name];
-        // if the version was not found, insert it
-        if (!versionEntry) {
-          store.insert({ type: 'storeVersion', version: expected });
-
-          // if the version was not what was expected
-        } else if (expected !== versionEntry.version) {
-          // while the version is below the expected version
-          let { version } = versionEntry;
-          for (; version < expected; version++) {
-            // find an available migration
-            const migration = migrations[name].find(v => v.version === version);
-
-            // no migration found, ignore
-            if (!migration) break;
-
-            // run the upgrade
-            migration.upgrade(store);
-          }
+    for (const [name, store] of Object.entries(this.stores)) {
+      const migrations = MIGRATIONS[name] ?? [];
+      const latest = Math.max(1, ...migrations.map(m => m.version));
+      const entry = await store.findOne({ type: 'storeVersion' });
+
+      if (!entry) {
+        await store.insert({ type: 'storeVersion', version: latest });
+        continue;
+      }
 
-          // update the stored version
-          await store.update({ _id: versionEntry._id }, { version });
-        }
-      })
-    );
+      if (entry.version > latest)
+        throw `${name} store is version ${entry.version}, which is newer than this omegga (${latest})`;
+
+      for (let version = entry.version + 1; version <= latest; version++) {
+        const migration = migrations.find(m => m.version === version);
+        if (!migration)
+          throw `${name} store has no migration to version ${version}`;
+
+        global.Omegga.log(
+          '>>'.green,
+          'Upgrading',
+          name.yellow,
+          'store to version',
+          version.toString().yellow
+        );
+        await migration.upgrade(store);
+        // saved after every step so a failed upgrade starts where it stopped
+        await store.update({ _id: entry._id }, { $set: { version } });
+      }
+    }
   }
 
   // get the running instance id of this omegga
@@ -139,12 +196,10 @@ class Database extends EventEmitter {
 
     serverInstance = doc;
 
-    // create a calendar of all previous chat messages
-    const dates = (await this.stores.chat.find({ type: 'chat' })).map(
-      c => c.created
-    );
-    for (const d of dates) {
-      this.calendar.addDate(d);
+    // create a calendar of the days chat messages were sent
+    const days = await this.stores.chat.find({ type: 'chatDay' });
+    for (const { created } of days) {
+      this.calendar.addDate(created);
     }
 
     const watcher = chokidar.watch(
@@ -186,6 +241,13 @@ class Database extends EventEmitter {
             { $set: entry },
             { upsert: true }
           );
+
+          this.omegga.audit.record(
+            { type: 'player', id: kicker.id, name: kicker.name },
+            'player.kick',
+            { id: kicked.id, name: kicked.name },
+            { reason }
+          );
         }
       });
     };
@@ -237,6 +299,29 @@ class Database extends EventEmitter {
     if (!banList) return;
     banList = banList.banList;
 
+    // bans from the console are made by the host, any other new ban was made
+    // by a player in game
+    if (this.knownBans) {
+      for (const banned in banList) {
+        const ban = banList[banned];
+        if (this.knownBans[banned] === ban.created) continue;
+        if (!ban.bannerId || ban.bannerId === this.omegga.getHostId()) continue;
+        this.omegga.audit.record(
+          this.omegga.audit.player(ban.bannerId),
+          'player.ban',
+          this.omegga.audit.player(banned),
+          {
+            duration:
+              parseBrickadiaTime(ban.expires) - parseBrickadiaTime(ban.created),
+            reason: ban.reason,
+          }
+        );
+      }
+    }
+    this.knownBans = Object.fromEntries(
+      Object.entries(banList ?? {}).map(([id, ban]) => [id, ban.created])
+    );
+
     // upsert all bans
     for (const banned in banList) {
       const entry = {
@@ -279,6 +364,7 @@ class Database extends EventEmitter {
 
       // permissions
       isOwner: true,
+      role: 'owner',
       roles: [],
 
       // brickadia player uuid
@@ -293,7 +379,7 @@ class Database extends EventEmitter {
   }
 
   // create a regular  user account
-  async createUser(username, password) {
+  async createUser(username, password, role = 'viewer') {
     if (await this.userExists(username)) throw new Error('user already exists');
 
     const hash = await this.hash(password);
@@ -310,6 +396,7 @@ class Database extends EventEmitter {
 
       // permissions
       isOwner: false,
+      role,
       roles: [],
 
       // brickadia player uuid
@@ -330,37 +417,184 @@ class Database extends EventEmitter {
     );
   }
 
-  // get a user from credentials
-  async authUser(username, password) {
-    const user = await this.stores.users.findOne({ username });
+  // set a user's web ui role
+  async setUserRole(username, role) {
+    await this.stores.users.update(
+      { type: 'user', username, isOwner: false },
+      { $set: { role } }
+    );
+  }
+
+  // get a user from credentials, users with two-factor auth also need a code.
+  // returns { user } or { error } ('credentials', 'code required', or 'code')
+  async authUser(username, password, code) {
+    const user = await this.stores.users.findOne({ type: 'user', username });
     // user not found
-    if (!user || user.isBanned) return null;
+    if (!user || user.isBanned) return { error: 'credentials' };
 
     // make sure the user's password hash is valid
-    if (await bcrypt.compare(password, user.hash)) {
-      // update last online status
+    if (!(await bcrypt.compare(password, user.hash)))
+      return { error: 'credentials' };
+
+    if (user.totpSecret) {
+      if (!code) return { error: 'code required' };
+      const step = totp.verify(user.totpSecret, code, user.totpStep);
+      if (step === null) return { error: 'code' };
+      // codes can only be used once
       await this.stores.users.update(
         { _id: user._id },
-        { $set: { lastOnline: Date.now() } }
+        { $set: { totpStep: step } }
       );
-      return user;
     }
 
-    // wrong password
-    return null;
+    // update last online status
+    await this.stores.users.update(
+      { _id: user._id },
+      { $set: { lastOnline: Date.now() } }
+    );
+    return { user };
+  }
+
+  // start two-factor enrollment with a new secret, it isn't used for logins
+  // until it's confirmed with a code
+  async setPendingTotp(userId, secret) {
+    await this.stores.users.update(
+      { type: 'user', _id: userId },
+      { $set: { totpPending: secret } }
+    );
+  }
+
+  // turn on two-factor auth if the code matches the pending secret
+  async enableTotp(userId, code) {
+    const user = await this.stores.users.findOne({ type: 'user', _id: userId });
+    if (!user?.totpPending) return false;
+    const step = totp.verify(user.totpPending, code);
+    if (step === null) return false;
+
+    await this.stores.users.update(
+      { _id: userId },
+      {
+        $set: { totpSecret: user.totpPending, totpStep: step },
+        $unset: { totpPending: true },
+      }
+    );
+    return true;
+  }
+
+  // turn off two-factor auth if the code matches
+  async disableTotp(userId, code) {
+    const user = await this.stores.users.findOne({ type: 'user', _id: userId });
+    if (!user?.totpSecret) return false;
+    if (totp.verify(user.totpSecret, code, user.totpStep) === null)
+      return false;
+
+    await this.resetTotp(user.username);
+    return true;
+  }
+
+  // remove two-factor auth from a user without a code
+  async resetTotp(username) {
+    return (
+      (await this.stores.users.update(
+        { type: 'user', username },
+        { $unset: { totpSecret: true, totpPending: true, totpStep: true } }
+      )) > 0
+    );
   }
 
   // find a user by object id
   async findUserById(id) {
-    return await this.stores.users.findOne({
-      $or: [
-        // the owner has no username, so everyone is the owner
-        { type: 'user', username: '', isOwner: true },
+    // the owner has no username, so everyone is the owner, which is only
+    // allowed when the web ui is local-only
+    if (this.options.userless) {
+      const owner = await this.stores.users.findOne({
+        type: 'user',
+        username: '',
+        isOwner: true,
+      });
+      if (owner) return owner;
+    }
 
-        // the user exists and has an id
-        { type: 'user', _id: id },
-      ],
+    // the user exists and has an id
+    return await this.stores.users.findOne({ type: 'user', _id: id });
+  }
+
+  // check if the owner was created without a username
+  async hasUserlessOwner() {
+    return (
+      (await this.stores.users.count({
+        type: 'user',
+        username: '',
+        isOwner: true,
+      })) > 0
+    );
+  }
+
+  // create an api token for a user, the token is only returned here
+  async createApiToken(userId, name, scopes) {
+    const token = 'omegga_' + crypto.randomBytes(24).toString('hex');
+    const entry = await this.stores.users.insert({
+      type: 'apiToken',
+      created: Date.now(),
+      lastUsed: 0,
+      lastAddress: '',
+
+      userId,
+      name,
+      scopes,
+
+      // only a hash of the token is stored
+      hash: crypto.createHash('sha256').update(token).digest('hex'),
+      prefix: token.slice(0, 12),
     });
+    delete entry.hash;
+    return { token, entry };
+  }
+
+  // get api tokens (without hashes), all users' tokens if there's no user id
+  async getApiTokens(userId) {
+    const tokens = await this.stores.users
+      .cfind({ type: 'apiToken', ...(userId ? { userId } : {}) }, { hash: 0 })
+      .sort({ created: -1 })
+      .exec();
+    return tokens;
+  }
+
+  // remove an api token, only from this user if there's a user id
+  async removeApiToken(id, userId) {
+    return (
+      (await this.stores.users.remove({
+        type: 'apiToken',
+        _id: id,
+        ...(userId ? { userId } : {}),
+      })) > 0
+    );
+  }
+
+  // find the token and user for an api request
+  async authApiToken(token, address) {
+    if (typeof token !== 'string') return null;
+    const hash = crypto.createHash('sha256').update(token).digest('hex');
+    const entry = await this.stores.users.findOne({ type: 'apiToken', hash });
+    if (!entry) return null;
+
+    // tokens stop working when their user is banned
+    const user = await this.stores.users.findOne({
+      type: 'user',
+      _id: entry.userId,
+    });
+    if (!user || user.isBanned) return null;
+
+    // last use is only written once a minute
+    const now = Date.now();
+    if (now - entry.lastUsed > 60 * 1000 || entry.lastAddress !== address) {
+      await this.stores.users.update(
+        { _id: entry._id },
+        { $set: { lastUsed: now, lastAddress: address } }
+      );
+    }
+
+    return { token: entry, user };
   }
 
   // get a list of roles
@@ -368,9 +602,171 @@ class Database extends EventEmitter {
     return this.stores.server.find({ type: 'role' });
   }
 
+  // get the scheduled tasks created in the web ui
+  async getScheduledTasks() {
+    const docs = await this.stores.server
+      .cfind({ type: 'scheduledTask' })
+      .sort({ created: 1 })
+      .exec();
+    return docs.map(d => ({ ...d.task, _id: d._id }));
+  }
+
+  // add a scheduled task
+  async addScheduledTask(task) {
+    const doc = await this.stores.server.insert({
+      type: 'scheduledTask',
+      created: Date.now(),
+      task,
+    });
+    await this.syncScheduledTasks();
+    return doc._id;
+  }
+
+  // replace a scheduled task, returns false if the task doesn't exist
+  async updateScheduledTask(id, task) {
+    const count = await this.stores.server.update(
+      { type: 'scheduledTask', _id: id },
+      { $set: { task } }
+    );
+    await this.syncScheduledTasks();
+    return count > 0;
+  }
+
+  // remove a scheduled task, returns false if the task doesn't exist
+  async removeScheduledTask(id) {
+    const count = await this.stores.server.remove({
+      type: 'scheduledTask',
+      _id: id,
+    });
+    await this.syncScheduledTasks();
+    return count > 0;
+  }
+
+  // give the scheduler the tasks from the web ui
+  async syncScheduledTasks() {
+    this.omegga.scheduler.setTasks('web', await this.getScheduledTasks());
+  }
+
+  // add a scheduled task run to the run history
+  async addScheduleRun(run) {
+    return await this.stores.server.insert({
+      type: 'scheduleRun',
+      created: Date.now(),
+      ...run,
+    });
+  }
+
+  // get recent scheduled task runs, optionally for a single task
+  async getScheduleRuns({ count = 50, taskId, before } = {}) {
+    return await this.stores.server
+      .cfind({
+        type: 'scheduleRun',
+        ...(taskId ? { taskId } : {}),
+        created: { $lt: before ?? Date.now() + 1 },
+      })
+      .sort({ created: -1 })
+      .limit(count)
+      .exec();
+  }
+
+  // add a brickadia crash to the crash history
+  async addCrash(crash) {
+    return await this.stores.server.insert({
+      type: 'crash',
+      created: Date.now(),
+      ...crash,
+    });
+  }
+
+  // mark the latest crash as recovered
+  async setCrashRecovered(recovery) {
+    const [crash] = await this.stores.server
+      .cfind({ type: 'crash' })
+      .sort({ created: -1 })
+      .limit(1)
+      .exec();
+    if (!crash) return;
+    await this.stores.server.update(
+      { _id: crash._id },
+      { $set: { recovered: recovery } }
+    );
+  }
+
+  // get recent crashes
+  async getCrashes({ count = 20 } = {}) {
+    return await this.stores.server
+      .cfind({ type: 'crash' })
+      .sort({ created: -1 })
+      .limit(count)
+      .exec();
+  }
+
+  // add an administrative action to the audit log
+  async addAuditEntry(entry) {
+    return await this.stores.audit.insert({ type: 'audit', ...entry });
+  }
+
+  // get paginated audit log entries, newest first
+  async getAuditLog({
+    count = 50,
+    search = '',
+    page = 0,
+    actor = '',
+    action = '',
+  } = {}) {
+    const pattern = explode(search);
+
+    const query = {
+      type: 'audit',
+      ...(actor ? { 'actor.type': actor } : {}),
+      ...(action ? { action } : {}),
+      ...(search.length > 0
+        ? {
+            $or: [
+              { 'actor.name': { $regex: pattern } },
+              { 'target.name': { $regex: pattern } },
+              // ids were pasted in
+              { 'actor.id': search },
+              { 'target.id': search },
+              { 'params.command': { $regex: pattern } },
+            ],
+          }
+        : {}),
+    };
+
+    const [total, entries] = await Promise.all([
+      this.stores.audit.count(query),
+      this.stores.audit
+        .cfind(query)
+        .sort({ created: -1 })
+        .skip(count * page)
+        .limit(count)
+        .exec(),
+    ]);
+
+    return {
+      pages: Math.ceil(total / count),
+      total,
+      entries,
+    };
+  }
+
+  // every action in the audit log, for filtering
+  async getAuditActions() {
+    const entries = await this.stores.audit
+      .cfind({ type: 'audit' }, { action: 1 })
+      .exec();
+    return [...new Set(entries.map(e => e.action))].sort();
+  }
+
   // add a chat message to the chat log store
   async addChatLog(action, user, message) {
     this.calendar.addDate(Date.now());
+    await this.stores.chat.update(
+      { type: 'chatDay', created: floorTo(Date.now(), DAY) },
+      { $inc: { count: 1 } },
+      { upsert: true }
+    );
     return await this.stores.chat.insert({
       type: 'chat',
       created: Date.now(),
@@ -383,19 +779,310 @@ class Database extends EventEmitter {
 
   // get recent chat activity
   async getChats({ count = 50, sameServer, before, after } = {}) {
-    return await this.stores.chat
-      .cfind({
+    const ascending = !before && after;
+    const query = {
+      type: 'chat',
+      ...(sameServer ? { instanceId: await this.getInstanceId() } : {}),
+      created: before
+        ? { $lt: before }
+        : after
+        ? { $gt: after }
+        : { $lt: Date.now() },
+    };
+    const find = limit =>
+      this.stores.chat
+        .cfind(query)
+        .sort({ created: ascending ? 1 : -1 })
+        .limit(limit)
+        .exec();
+
+    // messages from this run of the server are too new to be archived
+    if (sameServer) return await find(count);
+
+    // archived messages are older than the ones in chat.db
+    const archived = limit =>
+      this.archive.find(query, {
+        from: after,
+        to: before,
+        limit,
+        ascending,
+      });
+    if (ascending) {
+      const chats = await archived(count);
+      return chats.concat(await find(count - chats.length));
+    }
+    const chats = await find(count);
+    return chats.length < count
+      ? chats.concat(await archived(count - chats.length))
+      : chats;
+  }
+
+  // nedb query for a chat search up to a time
+  chatSearchQuery({ pattern, player, actions = [], after }, latest) {
+    return {
+      type: 'chat',
+      created: { $gte: after ?? 0, $lte: latest },
+      ...(pattern ? { message: { $regex: pattern } } : {}),
+      ...(player?.id ? { 'user.id': player.id } : {}),
+      ...(player?.name ? { 'user.name': { $regex: player.name } } : {}),
+      ...(actions.length > 0 ? { action: { $in: actions } } : {}),
+    };
+  }
+
+  /**
+   * search chat logs newest first, a page at a time. only the page is copied
+   * out of the store, so large chat logs aren't duplicated in memory.
+   * archived logs are searched after the ones in chat.db run out
+   * @param {Object} search - from chatSearch.parseSearch
+   * @param {Object} [options]
+   * @param {Number} [options.count] - results per page
+   * @param {Object} [options.cursor] - `next` from the previous page
+   * @return {Promise<Object>} { results, next } where next is null on the last page
+   */
+  async searchChats(search, { count = 50, cursor } = {}) {
+    const latest = cursor ? cursor.created : search.before ?? Date.now();
+    const query = this.chatSearchQuery(search, latest);
+
+    // messages sent in the same millisecond keep their order between pages,
+    // so the cursor skips the ones at its time that were already seen
+    const skip = cursor?.skip ?? 0;
+    const docs = await this.stores.chat
+      .cfind(query)
+      .sort({ created: -1 })
+      .skip(skip)
+      .limit(count + 1)
+      .exec();
+
+    if (docs.length <= count) {
+      // the skip goes past the messages left in chat.db into the archive
+      const archiveSkip =
+        docs.length > 0 || skip === 0
+          ? 0
+          : Math.max(0, skip - (await this.stores.chat.count(query)));
+      docs.push(
+        ...(await this.archive.find(query, {
+          from: search.after,
+          to: latest,
+          skip: archiveSkip,
+          limit: count + 1 - docs.length,
+        }))
+      );
+    }
+
+    const results = docs.slice(0, count);
+    if (docs.length <= count) return { results, next: null };
+
+    const last = results[results.length - 1].created;
+    const seen = results.filter(c => c.created === last).length;
+    return {
+      results,
+      next: { created: last, skip: seen + (last === latest ? skip : 0) },
+    };
+  }
+
+  /**
+   * every chat log matching a search, newest first, a page at a time.
+   * archived months are read once each instead of once per page
+   * @param {Object} search - from chatSearch.parseSearch
+   * @param {Number} [count] - logs per page
+   * @return {AsyncGenerator<Array<Object>>}
+   */
+  async *exportChats(search, count = 500) {
+    let cursor;
+    for (;;) {
+      const page = await this.stores.chat
+        .cfind(
+          this.chatSearchQuery(
+            search,
+            cursor ? cursor.created : search.before ?? Date.now()
+          )
+        )
+        .sort({ created: -1 })
+        .skip(cursor?.skip ?? 0)
+        .limit(count)
+        .exec();
+      if (page.length > 0) yield page;
+      if (page.length < count) break;
+
+      const last = page[page.length - 1].created;
+      const seen = page.filter(c => c.created === last).length;
+      cursor = {
+        created: last,
+        skip: seen + (last === cursor?.created ? cursor.skip : 0),
+      };
+    }
+
+    const query = this.chatSearchQuery(search, search.before ?? Date.now());
+    for (const month of await this.archive.monthsBetween(
+      search.after,
+      search.before
+    )) {
+      const chats = await this.archive.findInMonth(month, query);
+      for (let i = 0; i < chats.length; i += count)
+        yield chats.slice(i, i + count);
+    }
+  }
+
+  /**
+   * move chat logs older than a time out of chat.db and into the archive,
+   * a day at a time
+   * @param {Number} cutoff - logs before this time are archived
+   * @return {Promise<Number>} number of logs archived
+   */
+  async archiveChats(cutoff) {
+    let archived = 0;
+    for (;;) {
+      const [oldest] = await this.stores.chat
+        .cfind({ type: 'chat', created: { $lt: cutoff } })
+        .sort({ created: 1 })
+        .limit(1)
+        .exec();
+      if (!oldest) return archived;
+
+      const query = {
         type: 'chat',
-        ...(sameServer ? { instanceId: await this.getInstanceId() } : {}),
-        created: before
-          ? { $lt: before }
-          : after
-          ? { $gt: after }
-          : { $lt: Date.now() },
+        created: {
+          $gte: oldest.created,
+          $lt: Math.min(cutoff, floorTo(oldest.created, DAY) + DAY),
+        },
+      };
+      const chats = await this.stores.chat
+        .cfind(query)
+        .sort({ created: 1 })
+        .exec();
+      await this.archive.append(chats);
+      archived += await this.stores.chat.remove(query, { multi: true });
+    }
+  }
+
+  // time before which chat logs are archived to keep chat.db under a number of messages
+  async getChatLimitCutoff(maxMessages) {
+    const extra =
+      (await this.stores.chat.count({ type: 'chat' })) - maxMessages;
+    if (extra <= 0) return 0;
+    const [newest] = await this.stores.chat
+      .cfind({ type: 'chat' })
+      .sort({ created: 1 })
+      .skip(extra - 1)
+      .limit(1)
+      .exec();
+    // messages from the same millisecond are archived together
+    return newest.created + 1;
+  }
+
+  /**
+   * roll minutely heartbeats up into hourly and daily stats, for every hour
+   * and day that is over and wasn't already rolled up
+   * @return {Promise<Number>} number of stats added
+   */
+  async rollupHeartbeats(now = Date.now()) {
+    const status = this.stores.status;
+    const newest = async period =>
+      (
+        await status
+          .cfind({ type: 'stats', period })
+          .sort({ created: -1 })
+          .limit(1)
+          .exec()
+      )[0];
+    const lastHour = await newest('hour');
+    const lastDay = await newest('day');
+    const nextHour = lastHour ? lastHour.created + HOUR : 0;
+    const nextDay = lastDay ? lastDay.created + DAY : 0;
+    const thisHour = floorTo(now, HOUR);
+
+    const [first] = await status
+      .cfind({
+        type: 'heartbeat',
+        created: { $gte: Math.min(nextHour, nextDay) },
       })
-      .sort({ created: !before && after ? 1 : -1 })
-      .limit(count)
+      .sort({ created: 1 })
+      .limit(1)
       .exec();
+    if (!first) return 0;
+
+    const summarize = (period, created, beats) => ({
+      type: 'stats',
+      period,
+      created,
+      samples: beats.length,
+      players: spread(beats.map(b => b.players.length)),
+      bricks: spread(beats.map(b => b.bricks)),
+      uniquePlayers: new Set(beats.flatMap(b => b.players)).size,
+    });
+
+    let added = 0;
+    for (let day = floorTo(first.created, DAY); day < thisHour; day += DAY) {
+      const beats = await status.find({
+        type: 'heartbeat',
+        created: { $gte: day, $lt: Math.min(day + DAY, thisHour) },
+      });
+      if (beats.length === 0) continue;
+
+      for (
+        let hour = Math.max(day, nextHour);
+        hour < Math.min(day + DAY, thisHour);
+        hour += HOUR
+      ) {
+        const inHour = beats.filter(
+          b => b.created >= hour && b.created < hour + HOUR
+        );
+        if (inHour.length === 0) continue;
+        await status.insert(summarize('hour', hour, inHour));
+        added++;
+      }
+
+      if (day >= nextDay && day + DAY <= thisHour) {
+        await status.insert(summarize('day', day, beats));
+        added++;
+      }
+    }
+    return added;
+  }
+
+  /**
+   * remove old heartbeats and stats, heartbeats are kept until they are rolled up
+   * @param {Object} cutoffs - times before which each is removed, or 0 to keep them
+   * @param {Number} cutoffs.heartbeats
+   * @param {Number} cutoffs.hourlyStats
+   * @param {Number} cutoffs.dailyStats
+   * @return {Promise<Number>} number of documents removed
+   */
+  async pruneStatus({ heartbeats, hourlyStats, dailyStats }) {
+    const status = this.stores.status;
+    const [lastDay] = await status
+      .cfind({ type: 'stats', period: 'day' })
+      .sort({ created: -1 })
+      .limit(1)
+      .exec();
+
+    let removed = 0;
+    if (heartbeats && lastDay)
+      removed += await status.remove(
+        {
+          type: 'heartbeat',
+          created: { $lt: Math.min(heartbeats, lastDay.created + DAY) },
+        },
+        { multi: true }
+      );
+    for (const [period, cutoff] of [
+      ['hour', hourlyStats],
+      ['day', dailyStats],
+    ])
+      if (cutoff)
+        removed += await status.remove(
+          { type: 'stats', period, created: { $lt: cutoff } },
+          { multi: true }
+        );
+    return removed;
+  }
+
+  // remove ips players haven't been seen on since a time
+  async pruneIpHistory(cutoff) {
+    return await this.stores.players.remove(
+      { type: 'ipHistory', lastSeen: { $lt: cutoff } },
+      { multi: true }
+    );
   }
 
   // get paginated players
@@ -532,28 +1219,64 @@ class Database extends EventEmitter {
 
   // get an individual player, ban and kick history, and notes
   async getPlayer(id) {
-    const [player, banHistory, kickHistory, notes] = await Promise.all([
-      this.stores.players.findOne({ type: 'userHistory', id }),
-      this.stores.players
-        .cfind({ type: 'banHistory', banned: id })
-        .sort({ created: -1 })
-        .limit(25)
-        .exec(),
-      this.stores.players
-        .cfind({ type: 'kickHistory', kicked: id })
-        .sort({ created: -1 })
-        .limit(25)
-        .exec(),
-      this.stores.players
-        .cfind({ type: 'note', id })
-        .sort({ created: -1 })
-        .limit(25)
-        .exec(),
-    ]);
+    const [player, banHistory, kickHistory, notes, warnings] =
+      await Promise.all([
+        this.stores.players.findOne({ type: 'userHistory', id }),
+        this.stores.players
+          .cfind({ type: 'banHistory', banned: id })
+          .sort({ created: -1 })
+          .limit(25)
+          .exec(),
+        this.stores.players
+          .cfind({ type: 'kickHistory', kicked: id })
+          .sort({ created: -1 })
+          .limit(25)
+          .exec(),
+        this.stores.players
+          .cfind({ type: 'note', id })
+          .sort({ created: -1 })
+          .limit(25)
+          .exec(),
+        this.countWarnings(id),
+      ]);
 
     if (!player) return null;
 
-    return { ...player, banHistory, kickHistory, notes };
+    return { ...player, banHistory, kickHistory, notes, warnings };
+  }
+
+  // add a note or warning to a player
+  async addNote({ id, kind, severity, text, author }) {
+    return await this.stores.players.insert({
+      type: 'note',
+      id,
+      kind,
+      severity,
+      text,
+      author,
+      created: Date.now(),
+    });
+  }
+
+  // find a note by its database id
+  async getNote(noteId) {
+    return await this.stores.players.findOne({ type: 'note', _id: noteId });
+  }
+
+  // remove a note or warning, returns true if it existed
+  async removeNote(noteId) {
+    return (
+      (await this.stores.players.remove({ type: 'note', _id: noteId })) > 0
+    );
+  }
+
+  // number of warnings a player has
+  async countWarnings(id) {
+    return await this.stores.players.count({
+      type: 'note',
+      kind: 'warning',
+      id,
+    });
   }
 
   // add a user to the visit history, returns true if this is a first visit
@@ -566,8 +1289,6 @@ class Database extends EventEmitter {
     const instanceId = await this.getInstanceId();
     if (!existing) {
       // create the player
-      // TODO: add some form of admin note tool for moderators to leave notes
-      // on troublesome players + warnings
       await this.stores.players.insert({
         type: 'userHistory',
         // base brickadia user info
@@ -623,6 +1344,44 @@ class Database extends EventEmitter {
     }
   }
 
+  // record when players were seen on ips, ips are by player id
+  async addIps(ips, time = Date.now()) {
+    await Promise.all(
+      Object.entries(ips)
+        .filter(([, ip]) => ip)
+        .map(([id, ip]) =>
+          this.stores.players.update(
+            { type: 'ipHistory', id, ip },
+            { $min: { firstSeen: time }, $max: { lastSeen: time } },
+            { upsert: true }
+          )
+        )
+    );
+  }
+
+  // get the ips a player has been seen on, with the first and last time
+  async getIpHistory(id) {
+    return await this.stores.players.find({ type: 'ipHistory', id });
+  }
+
+  // get every other player's history on some ips
+  async findIpHistory(ips, excludeId) {
+    return await this.stores.players.find({
+      type: 'ipHistory',
+      ip: { $in: ips },
+      id: { $ne: excludeId },
+    });
+  }
+
+  // get the names of players by id
+  async getPlayerNames(ids) {
+    const players = await this.stores.players.find({
+      type: 'userHistory',
+      id: { $in: ids },
+    });
+    return Object.fromEntries(players.map(p => [p.id, p.name]));
+  }
+
   // use data from minutely heartbeats to fuel metrics
   async addHeartbeat(data) {
     const now = Date.now();
@@ -639,6 +1398,7 @@ class Database extends EventEmitter {
     await this.stores.players.update(
       {
         // all players in the status update
+        type: 'userHistory',
         id: { $in: data.players },
       },
       {
@@ -652,6 +1412,7 @@ class Database extends EventEmitter {
 
     // get all players in the status update
     const players = await this.stores.players.find({
+      type: 'userHistory',
       id: { $in: data.players },
     });
 
@@ -669,6 +1430,8 @@ class Database extends EventEmitter {
           )
         )
     );
+
+    await this.addIps(data.ips, now);
   }
 
   // update player online-time punchcard
@@ -1,4 +1,5 @@
 const path = require('path');
+const crypto = require('crypto');
 const http = require('http');
 const https = require('https');
 
@@ -10,8 +11,15 @@ const bodyParser = require('body-parser');
 
 const util = require('./util.js');
 const setupApi = require('./api.js');
+const { setupRest } = require('./rest.js');
 const setupMetrics = require('./metrics.js');
+const setupConsole = require('./console.js');
+const { setupModeration } = require('./moderation.js');
+const setupAlts = require('./alts.js');
+const { setupRetention } = require('./retention.js');
 const Database = require('./database.js');
+const { Permissions } = require('./permissions.js');
+const { LoginThrottle } = require('./throttle.js');
 
 const soft = require('../../softconfig.js');
 
@@ -36,12 +44,21 @@ class Webserver {
     this.port = options.port || process.env.PORT || soft.DEFAULT_PORT;
     this.options = options;
     this.omegga = omegga;
+    // the owner can skip making an account, then anyone who can reach the
+    // web ui is the owner, so it only listens on localhost
+    this.userless = !!options.userless;
     this.dataPath = path.join(omegga.path, soft.DATA_PATH);
 
     // the database provides omegga with metrics, chat logs, and more
     // to help administrators keep track of their users and server
     this.database = new Database(options, omegga);
 
+    // web ui roles can be given more or less access in the config
+    this.permissions = new Permissions(omegga.config?.webPermissions);
+
+    // failed logins lock out accounts and addresses for a while
+    this.loginThrottle = new LoginThrottle();
+
     // https status of the server
     this.https = false;
     // started status of the server
@@ -56,6 +73,15 @@ class Webserver {
     // let the database do migrations
     await this.database.doMigrations();
 
+    // owners made without an account can't sign in unless it's allowed
+    if (!this.userless && (await this.database.hasUserlessOwner()))
+      error(
+        '!>'.red,
+        'The web ui owner has no username, set',
+        'omegga.userless'.yellow,
+        'to sign in without one and add a username from the Users page'
+      );
+
     // create express app
     this.app = express();
 
@@ -100,7 +126,8 @@ class Webserver {
     // create http(s) server based on openssl availability
     this.server = await pickProtocol();
 
-    this.app.set('trust proxy', 1);
+    // addresses from X-Forwarded-For are only used behind a trusted proxy
+    this.app.set('trust proxy', this.options.trustProxy ?? false);
     const session = expressSession({
       secret: util.getSessionSecret(this.dataPath),
       resave: false,
@@ -155,7 +182,30 @@ class Webserver {
     this.app.use('/public', express.static(ASSET_PATH));
     this.app.use(bodyParser.json());
 
-    this.rooms = ['chat', 'status', 'plugins', 'server'];
+    this.rooms = [
+      'chat',
+      'status',
+      'plugins',
+      'server',
+      'audit',
+      'console',
+      'moderation',
+    ];
+
+    // brickadia and terminal output for the console view
+    this.console = setupConsole(this, io);
+
+    // player notes, warnings, and the in-game /note and /warn
+    this.moderation = setupModeration(this);
+
+    // possible alt accounts from shared ips
+    this.alts = setupAlts(this, io);
+
+    // rolling up, archiving, and compacting old data
+    this.retention = setupRetention(this);
+
+    // setup the rest api (before the session api, which rejects requests without a session)
+    setupRest(this);
 
     // setup the api
     setupApi(this, io);
@@ -180,25 +230,39 @@ class Webserver {
   async start() {
     if (this.started) return;
     await this.created;
+    this.console.watchTerminal(global.Omegga.terminal);
     return await new Promise(resolve => {
-      this.server.listen(this.port, () => {
+      const host = this.userless ? '127.0.0.1' : undefined;
+      this.server.listen(this.port, host, () => {
         log(
           `${'>>'.green} Web UI available at`,
           `http${this.https ? 's' : ''}://127.0.0.1:${this.port}`.green
         );
         this.started = true;
         this.database.addChatLog('server', {}, 'Server started');
-        resolve();
+        this.printSetupCode().then(resolve);
       });
     });
   }
 
+  // the first user can only be created with a code from the terminal, so
+  // whoever finds the web ui first can't take it over
+  async printSetupCode() {
+    if (!(await this.database.isFirstUser())) return;
+    this.setupCode ??= crypto.randomBytes(4).toString('hex');
+    log(
+      `${'>>'.green} Create the first web ui user with setup code`,
+      this.setupCode.yellow
+    );
+  }
+
   // stop the webserver
   stop() {
     this.database.addChatLog('server', {}, 'Server stopped');
     this.server.close();
     this.started = false;
     clearInterval(this.serverStatusInterval);
+    this.retention?.stop();
   }
 }
 
@@ -1,9 +1,11 @@
 const soft = require('../../softconfig.js');
+const setupActions = require('./actions.js');
 
 const error = (...args) => global.Omegga.error(...args);
 
 module.exports = (server, io) => {
   const { database, omegga } = server;
+  const { hideAddresses } = setupActions(server);
 
   // server status is checked every minute
   clearInterval(server.serverStatusInterval);
@@ -28,7 +30,9 @@ module.exports = (server, io) => {
 
       // send the unaltered status to the frontend
       server.lastReportedStatus = status;
-      io.to('status').emit('server.status', status);
+      // players' addresses only go to users who can see ips
+      io.to('status.ips').emit('server.status', status);
+      io.to('status').emit('server.status', hideAddresses(status));
       try {
         omegga.emit('metrics:heartbeat', status);
       } catch (e) {
@@ -119,6 +123,53 @@ module.exports = (server, io) => {
     );
   });
 
+  // run tasks scheduled in the web ui and keep a history of every task run
+  database
+    .syncScheduledTasks()
+    .catch(e => error('Error loading scheduled tasks', e));
+  omegga.scheduler.on('run', async run => {
+    try {
+      io.to('server').emit('schedule.run', await database.addScheduleRun(run));
+    } catch (e) {
+      error('Error saving scheduled task run', e);
+    }
+  });
+
+  // tell web users about new and restored backups
+  omegga.backups.on('backup', backup => io.to('server').emit('backup', backup));
+  omegga.backups.on('restore', backup =>
+    io.to('server').emit('backup.restore', backup)
+  );
+
+  // keep a history of crashes for the web ui
+  omegga.on('server:crashed', async crash => {
+    io.to('server').emit('crash', await database.addCrash(crash));
+  });
+  omegga.on('server:recovered', async recovery => {
+    await database.setCrashRecovered(recovery);
+    io.to('server').emit('crash.recovered', recovery);
+  });
+
+  // keep the audit log and show it to web users watching it
+  omegga.audit.on('entry', async entry => {
+    try {
+      io.to('audit').emit('audit', await database.addAuditEntry(entry));
+
+      // kicks also show up in the chat history, when it's known who was kicked
+      if (entry.action === 'player.kick' && entry.target)
+        io.to('chat').emit(
+          'chat',
+          await database.addChatLog(
+            'kick',
+            { id: entry.target.id, name: entry.target.name },
+            entry.params?.reason
+          )
+        );
+    } catch (e) {
+      error('Error saving audit entry', e);
+    }
+  });
+
   // tell web users plugin status
   omegga.on('plugin:status', (shortPath, info) => {
     io.to('plugins').emit('plugin', shortPath, info);
@@ -140,6 +191,12 @@ module.exports = (server, io) => {
       .to('server')
       .emit('status', { started: false, starting: false, stopping: false })
   );
+  omegga.on('server:stopPending', pendingStop =>
+    io.to('server').emit('status.pending', pendingStop)
+  );
+  omegga.on('server:stopCancelled', () =>
+    io.to('server').emit('status.pending', null)
+  );
   omegga.on('server:stopping', () =>
     io
       .to('server')
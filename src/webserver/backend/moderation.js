@@ -0,0 +1,331 @@
+const Player = require('../../omegga/player.js');
+const { tokenize } = require('../../omegga/commands.js');
+const {
+  time: { parseDuration },
+  chat: { ChatMessage },
+} = require('../../util/index.js');
+const uuid = require('../../util/uuid.js');
+const setupActions = require('./actions.js');
+
+// how serious a note or warning is
+const SEVERITIES = ['low', 'medium', 'high'];
+
+// what a warning escalation can do
+const ESCALATION_ACTIONS = ['kick', 'ban'];
+
+// default moderation settings, overridden by the `moderation` config
+const DEFAULTS = {
+  // brickadia role permissions needed for the in-game commands
+  notePermission: 'Players.Kick',
+  warnPermission: 'Players.Kick',
+  // what happens when a player gets a certain number of warnings
+  escalation: [],
+  // accounts are linked when they use an ip within this long of each other
+  altWindow: '30d',
+};
+
+// check if the moderation config is valid, returns a list of errors
+function validateConfig(config) {
+  if (typeof config !== 'object' || !config)
+    return ['moderation must be an object'];
+
+  const errors = [];
+  for (const key in config) {
+    if (!(key in DEFAULTS)) errors.push(`${key} is not a moderation option`);
+  }
+
+  for (const key of ['notePermission', 'warnPermission'])
+    if (key in config && typeof config[key] !== 'string')
+      errors.push(`${key} must be a role permission like "Players.Kick"`);
+
+  if (
+    'altWindow' in config &&
+    (typeof config.altWindow !== 'string' || !parseDuration(config.altWindow))
+  )
+    errors.push('altWindow must be a duration like "30d"');
+
+  if (!('escalation' in config)) return errors;
+  if (!Array.isArray(config.escalation))
+    return [...errors, 'escalation must be a list'];
+
+  const counts = [];
+  config.escalation.forEach((step, i) => {
+    const name = `escalation ${i + 1}`;
+    if (typeof step !== 'object' || !step)
+      return errors.push(`${name} must be an object`);
+
+    if (
+      typeof step.warnings !== 'number' ||
+      step.warnings < 1 ||
+      Math.round(step.warnings) !== step.warnings
+    )
+      errors.push(`${name} warnings must be a whole number greater than 0`);
+    else if (counts.includes(step.warnings))
+      errors.push(`${name} has the same number of warnings as another step`);
+    counts.push(step.warnings);
+
+    if (!ESCALATION_ACTIONS.includes(step.action))
+      errors.push(
+        `${name} action must be one of ${ESCALATION_ACTIONS.join(', ')}`
+      );
+    if (
+      typeof step.duration !== 'undefined' &&
+      (step.action !== 'ban' ||
+        typeof step.duration !== 'string' ||
+        !parseDuration(step.duration))
+    )
+      errors.push(`${name} duration must be a ban duration like "1d"`);
+    if (
+      typeof step.reason !== 'undefined' &&
+      (typeof step.reason !== 'string' || step.reason.length > 128)
+    )
+      errors.push(`${name} reason must be at most 128 characters`);
+  });
+  return errors;
+}
+
+/*
+  player notes and warnings, kept in the players store with the player's
+  kick and ban history
+
+  in game, `/note <player> [severity] <text>` and
+  `/warn <player> [severity] <reason>` need the configured role permissions.
+  warnings can kick or ban the player when they reach a count in the
+  `escalation` config
+*/
+function setupModeration(server) {
+  const { database, omegga } = server;
+  const actions = setupActions(server);
+  const config = { ...DEFAULTS, ...(omegga.config?.moderation ?? {}) };
+
+  // audit log target for a player, online players might not be in the name cache yet
+  const targetOf = id => {
+    const player = omegga.getPlayer(id);
+    return player ? { id, name: player.name } : omegga.audit.player(id);
+  };
+
+  // who wrote a note, from an audit log actor
+  const authorOf = ({ type, id, name }) => ({ type, id: id ?? '', name });
+
+  // check a player id, severity, and text, throws an error message
+  const check = (id, severity, text, maxLength) => {
+    if (typeof id !== 'string' || !uuid.match(id)) throw 'invalid player id';
+    if (!SEVERITIES.includes(severity))
+      throw `severity must be one of ${SEVERITIES.join(', ')}`;
+    if (typeof text !== 'string' || !text.trim()) throw 'text is required';
+    if (text.length > maxLength)
+      throw `text must be at most ${maxLength} characters`;
+  };
+
+  /**
+   * leave a note on a player, only visible to moderators
+   * @param {String} id - player id
+   * @param {String} severity - low, medium, or high
+   * @param {String} text
+   * @param {Object} actor - audit log actor of who wrote it
+   * @param {Function} log
+   * @return {Promise<Object>} the note
+   */
+  const note = async (id, severity, text, actor, log) => {
+    check(id, severity, text, 1024);
+    text = text.trim();
+    const target = targetOf(id);
+
+    log('Added note to', (target.name || id).yellow);
+    const entry = await database.addNote({
+      id,
+      kind: 'note',
+      severity,
+      text,
+      author: authorOf(actor),
+    });
+    omegga.audit.record(actor, 'player.note', target, { severity, text });
+    return entry;
+  };
+
+  // kick or ban a player for reaching a number of warnings
+  const escalate = async (id, step, actor, log) => {
+    const reason = step.reason ?? `Reached ${step.warnings} warnings`;
+    const audit = (action, target, params) =>
+      omegga.audit.record(actor, action, target, {
+        ...params,
+        warnings: step.warnings,
+      });
+
+    if (step.action === 'kick') {
+      // offline players have already left
+      if (!omegga.players.some(p => p.id === id)) return false;
+      return await actions.kick(id, reason, log, audit);
+    }
+
+    const duration = step.duration
+      ? Math.round(parseDuration(step.duration) / 60000)
+      : -1;
+    return await actions.ban(id, duration, reason, log, audit);
+  };
+
+  /**
+   * formally warn a player, whispering it to them if they are online,
+   * then run any escalation for their number of warnings
+   * @param {String} id - player id
+   * @param {String} severity - low, medium, or high
+   * @param {String} reason
+   * @param {Object} actor - audit log actor of who warned them
+   * @param {Function} log
+   * @return {Promise<Object>} { note, warnings, escalation }
+   */
+  const warn = async (id, severity, reason, actor, log) => {
+    check(id, severity, reason, 128);
+    reason = reason.trim();
+    const target = targetOf(id);
+
+    log('Warned', (target.name || id).yellow);
+    const entry = await database.addNote({
+      id,
+      kind: 'warning',
+      severity,
+      text: reason,
+      author: authorOf(actor),
+    });
+    omegga.audit.record(actor, 'player.warn', target, { severity, reason });
+
+    const warnings = await database.countWarnings(id);
+    omegga.whisper(
+      omegga.getPlayer(id),
+      new ChatMessage()
+        .color('ff7777', 'You have been warned')
+        .text(` (warning ${warnings}): ${reason}`)
+    );
+
+    // the host can't be kicked or banned
+    const step = config.escalation.find(s => s.warnings === warnings);
+    let escalation = null;
+    if (step && omegga.getHostId() !== id)
+      escalation = {
+        action: step.action,
+        ok: await escalate(id, step, actor, log),
+      };
+
+    return { note: entry, warnings, escalation };
+  };
+
+  /**
+   * remove a note or warning
+   * @param {String} noteId
+   * @param {Object} actor - audit log actor of who removed it
+   * @param {Function} log
+   * @return {Promise<Boolean>} true if the note existed
+   */
+  const removeNote = async (noteId, actor, log) => {
+    if (typeof noteId !== 'string') return false;
+    const entry = await database.getNote(noteId);
+    if (!entry || !(await database.removeNote(noteId))) return false;
+
+    const target = targetOf(entry.id);
+    log('Removed', entry.kind, 'from', (target.name || entry.id).yellow);
+    omegga.audit.record(actor, 'player.deletenote', target, {
+      kind: entry.kind,
+      text: entry.text,
+    });
+    return true;
+  };
+
+  // find a player by name, offline players by their exact name
+  const findTarget = name => {
+    const online = omegga.findPlayerByName(name);
+    if (online) return online.id;
+
+    const names = omegga.getNameCache()?.savedPlayerNames ?? {};
+    return Object.keys(names).find(
+      id => names[id].toLowerCase() === name.toLowerCase()
+    );
+  };
+
+  // run an in-game /note or /warn
+  const runCommand = async (cmd, name, argString) => {
+    const player = omegga.getPlayer(name);
+    if (!player) return;
+
+    const tell = msg => omegga.whisper(player, new ChatMessage().text(msg));
+    const reply = msg =>
+      omegga.whisper(player, new ChatMessage().color('ff7777', msg));
+    const usage = () =>
+      omegga.whisper(
+        player,
+        new ChatMessage()
+          .text('Usage: ')
+          .code(
+            `/${cmd} <player> [${SEVERITIES.join('|')}] <${
+              cmd === 'warn' ? 'reason' : 'note'
+            }>`
+          )
+      );
+
+    const permission = config[cmd + 'Permission'];
+    if (
+      !player.isHost() &&
+      !Player.getPermissions(omegga, player.id)[permission]
+    )
+      return reply("You don't have permission to use this command");
+
+    // the player name can be quoted, the severity is optional
+    const tokens = tokenize(argString);
+    if (tokens.length < 2) return usage();
+    const id = findTarget(tokens[0].value);
+    if (!id) return reply(`Could not find player ${tokens[0].value}`);
+
+    let severity = 'low';
+    let textToken = tokens[1];
+    if (SEVERITIES.includes(tokens[1].value.toLowerCase()) && tokens[2]) {
+      severity = tokens[1].value.toLowerCase();
+      textToken = tokens[2];
+    }
+    const text = argString.slice(textToken.start).trim();
+
+    const actor = { type: 'player', id: player.id, name: player.name };
+    const log = (...args) =>
+      global.Omegga.log('>>'.green, `[${player.name.yellow}]`, ...args);
+    const targetName = targetOf(id).name || id;
+
+    try {
+      if (cmd === 'note') {
+        await note(id, severity, text, actor, log);
+        return tell(`Added a note to ${targetName}`);
+      }
+
+      const { warnings, escalation } = await warn(
+        id,
+        severity,
+        text,
+        actor,
+        log
+      );
+      tell(
+        `Warned ${targetName}, they have ${warnings} warning${
+          warnings === 1 ? '' : 's'
+        }`
+      );
+      if (escalation)
+        tell(
+          escalation.ok
+            ? `${targetName} was automatically ${
+                escalation.action === 'ban' ? 'banned' : 'kicked'
+              }`
+            : `Could not automatically ${escalation.action} ${targetName}`
+        );
+    } catch (e) {
+      reply(e.toString());
+    }
+  };
+
+  for (const cmd of ['note', 'warn']) {
+    omegga.builtinCommands.add(cmd);
+    omegga.on('cmd:' + cmd, (name, ...args) =>
+      runCommand(cmd, name, args.join(' '))
+    );
+  }
+
+  return { note, warn, removeNote, config };
+}
+
+module.exports = { setupModeration, validateConfig, SEVERITIES };
@@ -0,0 +1,154 @@
+// web ui user roles, each role can do everything the roles before it can
+const ROLES = ['viewer', 'moderator', 'admin', 'owner'];
+
+// lowest role that can use each rpc method, room, or api token scope
+// anything not listed here is only available to the owner
+const DEFAULT_PERMISSIONS = {
+  // reading
+  'chat.recent': 'viewer',
+  'chat.history': 'viewer',
+  'chat.calendar': 'viewer',
+  'chat.search': 'viewer',
+  'plugins.list': 'viewer',
+  'plugin.get': 'viewer',
+  'players.list': 'viewer',
+  'player.get': 'viewer',
+  'roles.list': 'viewer',
+  'roles.get': 'viewer',
+  'users.list': 'viewer',
+  'server.status': 'viewer',
+  'server.started': 'viewer',
+  'server.crashes': 'viewer',
+  'schedule.list': 'viewer',
+  'schedule.history': 'viewer',
+  'backups.list': 'viewer',
+  'saves.list': 'viewer',
+  'saves.get': 'viewer',
+  'storage.status': 'viewer',
+
+  // a user's own api tokens
+  'tokens.list': 'viewer',
+  'tokens.create': 'viewer',
+  'tokens.delete': 'viewer',
+
+  // moderation
+  chat: 'moderator',
+  'chat.export': 'moderator',
+  'player.ban': 'moderator',
+  'player.kick': 'moderator',
+  'player.unban': 'moderator',
+  'player.clearbricks': 'moderator',
+  'player.note': 'moderator',
+  'player.warn': 'moderator',
+  'player.alts': 'moderator',
+  'player.ips': 'moderator',
+
+  // server management
+  'plugin.config': 'admin',
+  'plugins.reload': 'admin',
+  'plugin.load': 'admin',
+  'plugin.unload': 'admin',
+  'plugin.toggle': 'admin',
+  'server.start': 'admin',
+  'server.stop': 'admin',
+  'server.restart': 'admin',
+  'server.stop.cancel': 'admin',
+  'server.crashes.cancel': 'admin',
+  'server.settings': 'admin',
+  'server.settings.set': 'admin',
+  'schedule.create': 'admin',
+  'schedule.update': 'admin',
+  'schedule.delete': 'admin',
+  'schedule.run': 'admin',
+  'backups.create': 'admin',
+  'backups.restore': 'admin',
+  'backups.pin': 'admin',
+  'backups.delete': 'admin',
+  'storage.run': 'admin',
+  'saves.load': 'admin',
+  'saves.save': 'admin',
+  'saves.upload': 'admin',
+  'saves.download': 'admin',
+  'saves.rename': 'admin',
+  'saves.delete': 'admin',
+  'roles.preview': 'admin',
+  'roles.apply': 'admin',
+  'player.deletenote': 'admin',
+  'audit.list': 'admin',
+  'console.recent': 'admin',
+  'console.command': 'admin',
+
+  // user management (users can always change their own password)
+  // terminal commands can reset passwords, so they stay with the owner too
+  'console.terminal': 'owner',
+  'users.create': 'owner',
+  'users.passwd': 'owner',
+  'users.role': 'owner',
+
+  // socket rooms
+  'room.chat': 'viewer',
+  'room.status': 'viewer',
+  'room.plugins': 'viewer',
+  'room.server': 'viewer',
+  'room.moderation': 'moderator',
+  'room.audit': 'admin',
+  'room.console': 'admin',
+
+  // api token scopes
+  'api.read': 'viewer',
+  'api.moderation': 'moderator',
+  'api.server': 'admin',
+};
+
+// validate the webPermissions config category
+function validateConfig(config) {
+  if (typeof config !== 'object' || !config)
+    return ['webPermissions must be an object'];
+
+  const errors = [];
+  for (const key in config) {
+    if (!(key in DEFAULT_PERMISSIONS))
+      errors.push(`${key} is not a web ui permission`);
+    else if (!ROLES.includes(config[key]))
+      errors.push(`${key} must be one of ${ROLES.join(', ')}`);
+  }
+  return errors;
+}
+
+// check what web ui users can do, overrides come from the omegga config
+class Permissions {
+  #permissions;
+
+  constructor(overrides = {}) {
+    this.#permissions = { ...DEFAULT_PERMISSIONS, ...overrides };
+  }
+
+  // a user's role, users without one are viewers
+  static roleOf(user) {
+    if (!user) return null;
+    if (user.isOwner) return 'owner';
+    return ROLES.includes(user.role) ? user.role : 'viewer';
+  }
+
+  // determine if a role is at least another role
+  static atLeast(role, minimum) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+  }
+
+  // determine if a user can use a method, room, or api scope
+  can(user, action) {
+    const role = Permissions.roleOf(user);
+    if (!role || user.isBanned) return false;
+    if (role === 'owner') return true;
+
+    const minimum = this.#permissions[action];
+    return !!minimum && Permissions.atLeast(role, minimum);
+  }
+
+  // everything a user can do, for the frontend to hide actions
+  list(user) {
+    return Object.keys(this.#permissions).filter(a => this.can(user, a));
+  }
+}
+
+module.exports = { Permissions, ROLES, DEFAULT_PERMISSIONS, validateConfig };
@@ -0,0 +1,277 @@
+const express = require('express');
+
+const setupActions = require('./actions.js');
+
+// what each api token scope allows
+const SCOPES = {
+  read: 'Read server status, players, chat, bans, and plugins',
+  moderation:
+    "Ban, unban, kick, warn, and leave notes on players, and see players' ips",
+  server:
+    'Start, stop, and restart the server, run console commands, and load plugins',
+};
+
+// versioned rest api for scripts and dashboards, authenticated with api tokens
+// from the users page instead of sessions
+function setupRest(server) {
+  const { database, omegga, permissions, moderation } = server;
+  const actions = setupActions(server);
+  const rest = express.Router();
+
+  // check the bearer token has this scope
+  const auth = scope => async (req, res, next) => {
+    try {
+      const [, token] =
+        (req.headers.authorization ?? '').match(/^Bearer\s+(\S+)$/i) ?? [];
+      const found = await database.authApiToken(token, req.ip);
+      if (!found) return res.status(401).json({ message: 'invalid token' });
+      // the user's role can change after the token was made
+      if (
+        !found.token.scopes.includes(scope) ||
+        !permissions.can(found.user, 'api.' + scope)
+      )
+        return res
+          .status(403)
+          .json({ message: `token is missing ${scope} scope` });
+
+      // console logs say who used the api
+      const usernameText = `[${
+        (found.user.username || 'Admin').brightMagenta
+      } (${found.token.name})]`;
+      req.log = (...args) =>
+        global.Omegga.log('>>'.green, usernameText, ...args);
+      req.actor = {
+        type: 'api',
+        id: found.user._id,
+        name: found.user.username || 'Admin',
+        token: found.token.name,
+      };
+      req.audit = (action, target, params) =>
+        omegga.audit.record(req.actor, action, target, params);
+      req.user = found.user;
+      // players' ips need a moderation token
+      req.canSeeIps =
+        found.token.scopes.includes('moderation') &&
+        permissions.can(found.user, 'api.moderation') &&
+        permissions.can(found.user, 'player.ips');
+    } catch (e) {
+      global.Omegga.error('!>'.red, 'error checking api token', e);
+      return res.status(500).json({ message: 'internal error' });
+    }
+    next();
+  };
+
+  // add a route that needs a token with this scope
+  const route = (method, path, scope, handler) =>
+    rest[method](path, auth(scope), async (req, res) => {
+      try {
+        await handler(req, res);
+      } catch (e) {
+        global.Omegga.error('!>'.red, 'error in api route', path, e);
+        if (!res.headersSent)
+          res.status(500).json({ message: 'internal error' });
+      }
+    });
+
+  // responses for actions that return false on failure
+  const result = (res, ok, message) =>
+    ok ? res.json({}) : res.status(422).json({ message });
+
+  /* read */
+
+  route('get', '/status', 'read', (req, res) =>
+    res.json({
+      started: omegga.started,
+      starting: omegga.starting,
+      stopping: omegga.stopping,
+      pendingStop: omegga.getPendingStop(),
+      status: req.canSeeIps
+        ? server.lastReportedStatus
+        : actions.hideAddresses(server.lastReportedStatus),
+    })
+  );
+
+  // online players
+  route('get', '/players', 'read', (req, res) =>
+    res.json(
+      omegga.players.map(p => ({
+        name: p.name,
+        id: p.id,
+        isHost: p.isHost(),
+        roles: p.getRoles(),
+      }))
+    )
+  );
+
+  // a player's history from the database
+  route('get', '/players/:id', 'read', async (req, res) => {
+    const { id } = req.params;
+    const entry = await database.getPlayer(id);
+    if (!entry) return res.status(404).json({ message: 'player not found' });
+    if (!req.canSeeIps) delete entry.ips;
+    res.json({
+      ...entry,
+      isOnline: omegga.players.some(p => p.id === id),
+      currentBan: actions.getCurrentBan(id),
+    });
+  });
+
+  // chat history, before and after are timestamps
+  route('get', '/chat', 'read', async (req, res) => {
+    const before = Number(req.query.before) || undefined;
+    const after = Number(req.query.after) || undefined;
+    res.json(await database.getChats({ before, after }));
+  });
+
+  route('get', '/bans', 'read', (req, res) => res.json(actions.getBans()));
+
+  route('get', '/plugins', 'read', (req, res) =>
+    res.json(actions.listPlugins())
+  );
+
+  /* moderation */
+
+  // duration is in minutes, -1 is forever
+  route('post', '/bans', 'moderation', async (req, res) => {
+    const { id, duration = -1, reason = 'No Reason' } = req.body ?? {};
+    result(
+      res,
+      await actions.ban(id, duration, reason, req.log, req.audit),
+      'could not ban player'
+    );
+  });
+
+  route('delete', '/bans/:id', 'moderation', async (req, res) =>
+    result(
+      res,
+      await actions.unban(req.params.id, req.log, req.audit),
+      'player is not banned'
+    )
+  );
+
+  route('post', '/players/:id/kick', 'moderation', async (req, res) => {
+    const { reason = 'No Reason' } = req.body ?? {};
+    result(
+      res,
+      await actions.kick(req.params.id, reason, req.log, req.audit),
+      'could not kick player'
+    );
+  });
+
+  // body is { reason, severity }, severity is low, medium, or high
+  route('post', '/players/:id/warn', 'moderation', async (req, res) => {
+    const { reason, severity = 'low' } = req.body ?? {};
+    try {
+      const { warnings, escalation } = await moderation.warn(
+        req.params.id,
+        severity,
+        reason,
+        req.actor,
+        req.log
+      );
+      res.json({ warnings, escalation });
+    } catch (e) {
+      res.status(422).json({ message: e.toString() });
+    }
+  });
+
+  // body is { text, severity }
+  route('post', '/players/:id/notes', 'moderation', async (req, res) => {
+    const { text, severity = 'low' } = req.body ?? {};
+    try {
+      await moderation.note(req.params.id, severity, text, req.actor, req.log);
+      res.json({});
+    } catch (e) {
+      res.status(422).json({ message: e.toString() });
+    }
+  });
+
+  /* server control */
+
+  route('post', '/server/start', 'server', async (req, res) => {
+    if (omegga.starting || omegga.stopping || omegga.started)
+      return res.status(409).json({ message: 'server is already running' });
+    req.log('Starting server...');
+    req.audit('server.start');
+    await omegga.start();
+    res.json({});
+  });
+
+  // body is { countdown, message, save }
+  route('post', '/server/stop', 'server', async (req, res) => {
+    if (omegga.starting || omegga.stopping || !omegga.started)
+      return res.status(409).json({ message: 'server is not running' });
+    if (omegga.getPendingStop())
+      return res.status(409).json({ message: 'server is already stopping' });
+    req.log('Stopping server...');
+    const options = actions.stopOptions(req.body);
+    req.audit('server.stop', null, options);
+    await omegga.stop(options);
+    res.json({});
+  });
+
+  // body is { countdown, message, save }
+  route('post', '/server/restart', 'server', async (req, res) => {
+    if (omegga.starting || omegga.stopping || omegga.getPendingStop())
+      return res.status(409).json({ message: 'server is busy' });
+    req.log('Restarting server...');
+    const options = actions.stopOptions(req.body);
+    req.audit('server.restart', null, options);
+    await omegga.restart(options);
+    res.json({});
+  });
+
+  // run a brickadia console command
+  route('post', '/console', 'server', (req, res) => {
+    const { command } = req.body ?? {};
+    if (
+      typeof command !== 'string' ||
+      !command.trim() ||
+      /[\r\n]/.test(command)
+    )
+      return res.status(422).json({ message: 'invalid command' });
+    if (!omegga.started)
+      return res.status(409).json({ message: 'server is not running' });
+    req.log('Running console command', command.yellow);
+    req.audit('console.command', null, { command });
+    omegga.writeln(command);
+    res.json({});
+  });
+
+  route(
+    'post',
+    '/plugins/:path/:action(load|unload)',
+    'server',
+    async (req, res) => {
+      const { path, action } = req.params;
+      const plugin = omegga.pluginLoader?.plugins.find(
+        p => p.shortPath === path
+      );
+      if (!plugin) return res.status(404).json({ message: 'plugin not found' });
+
+      if (action === 'load') {
+        if (plugin.isLoaded() || !plugin.isEnabled())
+          return res
+            .status(409)
+            .json({ message: 'plugin is loaded or disabled' });
+        req.log('Loading'.green, 'plugin', plugin.getName().yellow);
+        req.audit('plugin.load', actions.pluginTarget(plugin));
+        result(
+          res,
+          await plugin.runAs(() => plugin.load()),
+          'plugin did not load'
+        );
+      } else {
+        if (!plugin.isLoaded())
+          return res.status(409).json({ message: 'plugin is not loaded' });
+        req.log('Unloading'.red, 'plugin', plugin.getName().yellow);
+        req.audit('plugin.unload', actions.pluginTarget(plugin));
+        result(res, await plugin.unload(), 'plugin did not unload');
+      }
+    }
+  );
+
+  server.app.use('/api/v1', rest);
+}
+
+module.exports = { setupRest, SCOPES };
@@ -0,0 +1,204 @@
+const path = require('path');
+
+const soft = require('../../softconfig.js');
+const {
+  time: { parseDuration, formatDuration },
+} = require('../../util/index.js');
+
+// default retention settings, overridden by the `retention` config
+// anything with a duration can be false to keep it forever
+const DEFAULTS = {
+  // how often old data is rolled up, archived, and removed
+  interval: '1h',
+  // how often data files are rewritten without removed and outdated documents
+  compactInterval: '1d',
+  // minutely heartbeats are rolled up into hourly and daily stats, then removed
+  heartbeats: '7d',
+  hourlyStats: '90d',
+  dailyStats: false,
+  // chat logs are moved into monthly archives in data/chat_archive
+  chat: '90d',
+  // most chat logs kept in chat.db, the oldest are archived first
+  chatMaxMessages: false,
+  // players' ips are forgotten after they haven't been seen on them for this long
+  ipHistory: false,
+};
+
+// settings that can't be turned off
+const REQUIRED = ['interval', 'compactInterval'];
+
+// the longest setInterval can wait, about 24.8 days
+const MAX_INTERVAL = 2 ** 31 - 1;
+
+const log = (...args) => global.Omegga.log(...args);
+const error = (...args) => global.Omegga.error(...args);
+
+// check if the retention config is valid, returns a list of errors
+function validateConfig(config) {
+  if (typeof config !== 'object' || !config)
+    return ['retention must be an object'];
+
+  const errors = [];
+  for (const key in config) {
+    const value = config[key];
+    if (!(key in DEFAULTS)) {
+      errors.push(`${key} is not a retention option`);
+    } else if (key === 'chatMaxMessages') {
+      if (
+        value !== false &&
+        (typeof value !== 'number' || value < 1 || Math.round(value) !== value)
+      )
+        errors.push(
+          'chatMaxMessages must be a whole number greater than 0, or false'
+        );
+    } else if (
+      (value !== false || REQUIRED.includes(key)) &&
+      (typeof value !== 'string' || !parseDuration(value))
+    ) {
+      errors.push(
+        `${key} must be a duration like "30d"` +
+          (REQUIRED.includes(key) ? '' : ', or false')
+      );
+    } else if (REQUIRED.includes(key) && parseDuration(value) > MAX_INTERVAL) {
+      errors.push(`${key} must be at most ${formatDuration(MAX_INTERVAL)}`);
+    }
+  }
+  return errors;
+}
+
+/*
+  retention keeps the web ui's data files from growing forever
+
+  every `interval`, heartbeats are rolled up into hourly and daily stats,
+  old heartbeats and stats are removed, and old chat logs are archived.
+  removing documents doesn't shrink the data files, so every
+  `compactInterval` they are rewritten without them
+*/
+function setupRetention(server) {
+  const { database, omegga } = server;
+  const config = { ...DEFAULTS, ...(omegga.config?.retention ?? {}) };
+
+  let running = null;
+  let lastRun = null;
+  let lastCompaction = null;
+
+  // every store omegga keeps in the data folder
+  const dataFiles = () => [
+    ...Object.entries(database.stores),
+    ...(omegga.pluginLoader ? [['plugins', omegga.pluginLoader.store]] : []),
+  ];
+
+  // rewrite every data file
+  const compact = async () => {
+    for (const [, store] of dataFiles()) await store.compact();
+    lastCompaction = Date.now();
+  };
+
+  const maintain = async () => {
+    const now = Date.now();
+    // time before which something is removed, 0 to keep it
+    const cutoff = key => (config[key] ? now - parseDuration(config[key]) : 0);
+
+    const rolledUp = await database.rollupHeartbeats(now);
+    const removed = await database.pruneStatus({
+      heartbeats: cutoff('heartbeats'),
+      hourlyStats: cutoff('hourlyStats'),
+      dailyStats: cutoff('dailyStats'),
+    });
+
+    const chatCutoff = Math.max(
+      cutoff('chat'),
+      config.chatMaxMessages
+        ? await database.getChatLimitCutoff(config.chatMaxMessages)
+        : 0
+    );
+    const archived = chatCutoff ? await database.archiveChats(chatCutoff) : 0;
+    const forgotten = config.ipHistory
+      ? await database.pruneIpHistory(cutoff('ipHistory'))
+      : 0;
+
+    if (archived > 0)
+      log('>>'.green, 'Archived', archived.toString().yellow, 'chat logs');
+    if (removed + forgotten > 0)
+      log(
+        '>>'.green,
+        'Removed',
+        (removed + forgotten).toString().yellow,
+        'old heartbeats, stats, and ips'
+      );
+
+    lastRun = {
+      time: now,
+      duration: Date.now() - now,
+      rolledUp,
+      removed,
+      archived,
+      forgotten,
+    };
+    return lastRun;
+  };
+
+  /**
+   * roll up, archive, and remove old data now, instead of waiting for the interval
+   * @param {Boolean} [andCompact] - also rewrite the data files
+   * @return {Promise<Object>} what was done
+   */
+  const run = async (andCompact = false) => {
+    // the interval and the web ui can ask at the same time
+    running ??= maintain().finally(() => (running = null));
+    const result = await running;
+    if (andCompact) await compact();
+    return result;
+  };
+
+  // run on the interval without crashing on errors
+  const runSafely = (fn, name) => () =>
+    fn().catch(e => error('!>'.red, 'Error running data', name, e));
+
+  // wait for startup to finish before the first run
+  const firstRun = setTimeout(
+    runSafely(run, 'retention'),
+    soft.RETENTION_FIRST_RUN_DELAY
+  );
+  const runInterval = setInterval(
+    runSafely(run, 'retention'),
+    parseDuration(config.interval)
+  );
+  const compactInterval = setInterval(
+    runSafely(compact, 'compaction'),
+    parseDuration(config.compactInterval)
+  );
+
+  /**
+   * how big the data files are and when they were last cleaned up
+   * @return {Promise<Object>}
+   */
+  const getStatus = async () => {
+    const files = await Promise.all(
+      dataFiles().map(async ([name, store]) => ({
+        name,
+        file: path.basename(store.filename),
+        size: await store.size(),
+        documents: await store.count({}),
+      }))
+    );
+
+    return {
+      files,
+      archive: await database.archive.list(),
+      config,
+      lastRun,
+      lastCompaction,
+    };
+  };
+
+  const stop = () => {
+    clearTimeout(firstRun);
+    clearInterval(runInterval);
+    clearInterval(compactInterval);
+  };
+
+  return { run, compact, getStatus, stop, config };
+}
+
+module.exports = { setupRetention, validateConfig };
@@ -0,0 +1,399 @@
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+
+const Player = require('../../omegga/player.js');
+const file = require('../../util/file.js');
+const uuid = require('../../util/uuid.js');
+
+// permission states brickadia understands, permissions a role doesn't list
+// are left to brickadia's defaults for that role
+const STATES = ['Allowed', 'Unchanged', 'Forbidden'];
+
+// role names are quoted in console commands
+const BAD_NAME = /["\\\p{Cc}]/u;
+
+const hex = c =>
+  [c.r, c.g, c.b].map(v => v.toString(16).padStart(2, '0')).join('');
+
+// state of a permission entry, older role setups use bEnabled
+const stateOf = p => p.state ?? (p.bEnabled ? 'Allowed' : 'Forbidden');
+
+// a role from RoleSetup.json in the shape the web ui edits, original is the
+// name it had in the file so renames can be told apart from new roles
+const editable = role => ({
+  original: role.name,
+  name: role.name,
+  color: _.pick(role.color ?? {}, ['r', 'g', 'b', 'a']),
+  bHasColor: !!role.bHasColor,
+  permissions: Object.fromEntries(
+    (role.permissions ?? []).map(p => [p.name, stateOf(p)])
+  ),
+});
+
+// problems with a role from the web ui
+function validateRole(role, label) {
+  const errors = [];
+  if (!role || typeof role !== 'object') return [`${label} is invalid`];
+
+  const isByte = v => Number.isInteger(v) && v >= 0 && v <= 255;
+  if (
+    typeof role.color !== 'object' ||
+    !role.color ||
+    !['r', 'g', 'b', 'a'].every(c => isByte(role.color[c]))
+  )
+    errors.push(`${label} has an invalid color`);
+  if (typeof role.bHasColor !== 'boolean')
+    errors.push(`${label} has an invalid color toggle`);
+
+  if (typeof role.permissions !== 'object' || !role.permissions)
+    errors.push(`${label} has invalid permissions`);
+  else
+    for (const [name, state] of Object.entries(role.permissions)) {
+      if (!/^[\w.]+$/.test(name))
+        errors.push(`${label} has an invalid permission "${name}"`);
+      if (!STATES.includes(state))
+        errors.push(`${label} has an invalid state for ${name}`);
+    }
+  return errors;
+}
+
+// permission entries for RoleSetup.json, existing entries keep their order
+// and any fields brickadia added to them
+function buildPermissions(entries, states) {
+  const kept = entries
+    .filter(p => states[p.name])
+    .map(p =>
+      stateOf(p) === states[p.name]
+        ? p
+        : { ..._.omit(p, 'bEnabled'), state: states[p.name] }
+    );
+  const added = Object.keys(states)
+    .filter(name => !entries.some(p => p.name === name))
+    .sort()
+    .map(name => ({ name, state: states[name] }));
+  return [...kept, ...added];
+}
+
+// write through a temporary file so brickadia never reads half of a file
+function writeJSON(filePath, data) {
+  const tmpPath = filePath + '.tmp';
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, '\t'));
+  fs.renameSync(tmpPath, filePath);
+  // update the cache getRoleSetup and getRoleAssignments read from
+  file.readCachedJSON(filePath, 0);
+}
+
+// brickadia's RoleSetup.json and RoleAssignments.json for the web ui's roles view
+//
+// the role setup can only be changed while brickadia is stopped, it reads the
+// file when it starts and writes over it while running. assignments are
+// written to the file while stopped or sent as /grantrole and /revokerole
+// commands while running
+module.exports = omegga => {
+  const setupPath = () => path.join(omegga.configPath, 'RoleSetup.json');
+  const assignmentsPath = () =>
+    path.join(omegga.configPath, 'RoleAssignments.json');
+
+  const isRunning = () =>
+    !!(omegga.started || omegga.starting || omegga.stopping);
+
+  // read the files without waiting for the file watcher to catch up
+  const readSetup = () => {
+    if (!fs.existsSync(setupPath()))
+      throw 'RoleSetup.json does not exist yet, start the server to create it';
+    const setup = file.readCachedJSON(setupPath(), 0);
+    if (!setup?.defaultRole || !Array.isArray(setup.roles))
+      throw 'RoleSetup.json could not be read';
+    return setup;
+  };
+  const readAssignments = () =>
+    (fs.existsSync(assignmentsPath()) &&
+      file.readCachedJSON(assignmentsPath(), 0)) || { savedPlayerRoles: {} };
+
+  const playerName = id => omegga.getNameCache()?.savedPlayerNames?.[id] ?? id;
+
+  // roles by player id, leaving out players without roles
+  const assignmentsOf = ({ savedPlayerRoles }) =>
+    Object.fromEntries(
+      Object.entries(savedPlayerRoles ?? {})
+        .map(([id, entry]) => [id, entry?.roles ?? []])
+        .filter(([, roles]) => roles.length > 0)
+    );
+
+  // everything the roles view needs
+  const read = () => {
+    const setup = readSetup();
+    const assignments = assignmentsOf(readAssignments());
+    const permissions = new Set(Player.PERMISSIONS);
+    for (const role of [setup.defaultRole, ...setup.roles])
+      for (const p of role.permissions ?? []) permissions.add(p.name);
+
+    return {
+      roles: setup.roles.map(editable),
+      defaultRole: editable(setup.defaultRole),
+      assignments,
+      names: Object.fromEntries(
+        Object.keys(assignments).map(id => [id, playerName(id)])
+      ),
+      permissions: [...permissions].sort(),
+      running: isRunning(),
+    };
+  };
+
+  // problems with roles from the web ui
+  const validate = (draft, setup) => {
+    if (
+      typeof draft !== 'object' ||
+      !draft ||
+      !Array.isArray(draft.roles) ||
+      typeof draft.assignments !== 'object' ||
+      !draft.assignments
+    )
+      return ['invalid roles'];
+
+    const errors = validateRole(draft.defaultRole, 'default role');
+    const names = new Set([setup.defaultRole.name.toLowerCase()]);
+    const originals = new Set();
+
+    draft.roles.forEach((role, i) => {
+      if (typeof role?.name !== 'string' || !role.name.trim())
+        return errors.push(`role ${i + 1} needs a name`);
+      const label = `role "${role.name}"`;
+      if (role.name.length > 64 || BAD_NAME.test(role.name))
+        errors.push(`${label} has an invalid name`);
+      if (role.name !== role.name.trim())
+        errors.push(`${label} starts or ends with a space`);
+      if (names.has(role.name.toLowerCase()))
+        errors.push(`${label} already exists`);
+      names.add(role.name.toLowerCase());
+
+      if (role.original) {
+        if (!setup.roles.some(r => r.name === role.original))
+          errors.push(`role "${role.original}" no longer exists`);
+        if (originals.has(role.original))
+          errors.push(`role "${role.original}" is listed twice`);
+        originals.add(role.original);
+      }
+      errors.push(...validateRole(role, label));
+    });
+
+    for (const [id, roles] of Object.entries(draft.assignments))
+      if (
+        !uuid.match(id) ||
+        !Array.isArray(roles) ||
+        roles.some(r => typeof r !== 'string')
+      )
+        errors.push(`invalid roles for player ${id}`);
+
+    return errors;
+  };
+
+  // changes between the files and roles from the web ui, changes with setup
+  // set can only be made while the server is stopped
+  const diff = draft => {
+    const setup = readSetup();
+    const errors = validate(draft, setup);
+    if (errors.length > 0) return { changes: [], errors };
+
+    const changes = [];
+    const current = Object.fromEntries(setup.roles.map(r => [r.name, r]));
+    const kept = draft.roles.filter(r => r.original).map(r => r.original);
+
+    // role names in the current assignments after renames and deletes
+    const renamed = {};
+    for (const role of setup.roles) renamed[role.name.toLowerCase()] = null;
+    for (const role of draft.roles)
+      if (role.original) renamed[role.original.toLowerCase()] = role.name;
+
+    for (const role of setup.roles)
+      if (!kept.includes(role.name))
+        changes.push({
+          setup: true,
+          type: 'role.delete',
+          role: role.name,
+          text: `delete role "${role.name}"`,
+        });
+
+    // compare a role from the file to a role from the web ui
+    const compare = (before, after) => {
+      const name = after.name;
+      const color = r => (r.bHasColor ? '#' + hex(r.color) : 'no color');
+      if (color(before) !== color(after))
+        changes.push({
+          setup: true,
+          type: 'role.color',
+          role: name,
+          text: `change "${name}" color from ${color(before)} to ${color(
+            after
+          )}`,
+        });
+
+      const perms = _.union(
+        Object.keys(before.permissions),
+        Object.keys(after.permissions)
+      ).sort();
+      for (const permission of perms) {
+        const from = before.permissions[permission] ?? 'not set';
+        const to = after.permissions[permission] ?? 'not set';
+        if (from !== to)
+          changes.push({
+            setup: true,
+            type: 'role.permission',
+            role: name,
+            permission,
+            text: `change "${name}" ${permission} from ${from} to ${to}`,
+          });
+      }
+    };
+
+    for (const role of draft.roles) {
+      if (!role.original) {
+        changes.push({
+          setup: true,
+          type: 'role.create',
+          role: role.name,
+          text: `create role "${role.name}"`,
+        });
+        compare(editable({ name: role.name }), role);
+        continue;
+      }
+      if (role.original !== role.name)
+        changes.push({
+          setup: true,
+          type: 'role.rename',
+          role: role.name,
+          text: `rename role "${role.original}" to "${role.name}"`,
+        });
+      compare(editable(current[role.original]), role);
+    }
+
+    compare(editable(setup.defaultRole), {
+      ...draft.defaultRole,
+      name: setup.defaultRole.name,
+    });
+
+    // roles later in the list take priority for name colors
+    const order = setup.roles.map(r => r.name).filter(n => kept.includes(n));
+    if (!_.isEqual(order, kept))
+      changes.push({ setup: true, type: 'role.order', text: 'reorder roles' });
+
+    // grants and revokes, ignoring roles that were renamed or deleted
+    const roleNames = draft.roles.map(r => r.name);
+    const before = assignmentsOf(readAssignments());
+    for (const id of _.union(
+      Object.keys(before),
+      Object.keys(draft.assignments)
+    )) {
+      const had = (before[id] ?? [])
+        .map(r => {
+          const name = renamed[r.toLowerCase()];
+          return name === undefined ? r : name;
+        })
+        .filter(r => r !== null);
+      const has = draft.assignments[id] ?? [];
+      const includes = (list, role) =>
+        list.some(r => r.toLowerCase() === role.toLowerCase());
+      const name = playerName(id);
+
+      for (const role of has.filter(r => !includes(had, r))) {
+        if (!includes(roleNames, role)) {
+          errors.push(`role "${role}" does not exist`);
+          continue;
+        }
+        changes.push({
+          type: 'grant',
+          role,
+          id,
+          name,
+          text: `grant "${role}" to ${name}`,
+        });
+      }
+      for (const role of had.filter(r => !includes(has, r)))
+        changes.push({
+          type: 'revoke',
+          role,
+          id,
+          name,
+          text: `revoke "${role}" from ${name}`,
+        });
+    }
+
+    return { changes, errors, running: isRunning() };
+  };
+
+  // make the changes from the web ui, resolves with the changes that were made
+  // and errors for the ones that couldn't be
+  const apply = async draft => {
+    const { changes, errors } = diff(draft);
+    if (errors.length > 0) return { changes: [], errors };
+
+    const setupChanges = changes.filter(c => c.setup);
+    const assignmentChanges = changes.filter(c => !c.setup);
+
+    if (isRunning()) {
+      if (setupChanges.length > 0)
+        return {
+          changes: [],
+          errors: [
+            'stop the server to change roles, players can be assigned while it is running',
+          ],
+        };
+
+      // brickadia writes these to RoleAssignments.json itself
+      const applied = [];
+      for (const change of assignmentChanges) {
+        try {
+          if (change.type === 'grant')
+            await omegga.grantRole(change.id, change.role);
+          else await omegga.revokeRole(change.id, change.role);
+          applied.push(change);
+        } catch (e) {
+          errors.push(`could not ${change.text}: ${e}`);
+        }
+      }
+      return { changes: applied, errors };
+    }
+
+    if (setupChanges.length > 0) {
+      const setup = readSetup();
+      const current = Object.fromEntries(setup.roles.map(r => [r.name, r]));
+      const build = (base, role) => ({
+        ...base,
+        name: role.name,
+        permissions: buildPermissions(base.permissions ?? [], role.permissions),
+        color: { ...role.color },
+        bHasColor: role.bHasColor,
+      });
+      writeJSON(setupPath(), {
+        ...setup,
+        roles: draft.roles.map(r =>
+          build(r.original ? current[r.original] : {}, r)
+        ),
+        defaultRole: build(setup.defaultRole, {
+          ...draft.defaultRole,
+          name: setup.defaultRole.name,
+        }),
+      });
+    }
+
+    // renames and deletes change assignments too, so the whole file is written
+    if (setupChanges.length > 0 || assignmentChanges.length > 0) {
+      const assignments = readAssignments();
+      const savedPlayerRoles = { ...assignments.savedPlayerRoles };
+      for (const id of _.union(
+        Object.keys(savedPlayerRoles),
+        Object.keys(draft.assignments)
+      ))
+        savedPlayerRoles[id] = {
+          ...savedPlayerRoles[id],
+          roles: [...(draft.assignments[id] ?? [])],
+        };
+      writeJSON(assignmentsPath(), { ...assignments, savedPlayerRoles });
+    }
+
+    return { changes, errors };
+  };
+
+  return { read, diff, apply };
+};
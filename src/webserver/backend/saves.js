@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const brs = require('brs-js');
+
+const soft = require('../../softconfig.js');
+const file = require('../../util/file.js');
+
+// characters that can't be in a save name (the console quotes save names)
+const BAD_CHARS = /[\\:*?"<>|\p{Cc}]/u;
+
+// unreal's DateTime ticks (100ns since year 1) at the unix epoch
+const UNIX_EPOCH_TICKS = 621355968000000000n;
+
+// save files in Saved/Builds for the web ui's saves view
+module.exports = omegga => {
+  // find a save from its name relative to Saved/Builds, throws when the name
+  // is not allowed or points outside of the folder
+  const resolve = name => {
+    if (typeof name !== 'string' || !name || name.length > 200)
+      throw 'invalid save name';
+
+    name = name.replace(/\.brs$/i, '');
+    const parts = name.split('/');
+    if (
+      parts.some(p => !p.trim() || p.startsWith('.') || BAD_CHARS.test(p)) ||
+      parts[parts.length - 1].startsWith(omegga._tempSavePrefix)
+    )
+      throw 'invalid save name';
+
+    const savePath = path.resolve(omegga.savePath, name + '.brs');
+    const relative = path.relative(omegga.savePath, savePath);
+    if (relative.startsWith('..') || path.isAbsolute(relative))
+      throw 'invalid save name';
+
+    return {
+      name,
+      path: savePath,
+      exists: fs.existsSync(savePath),
+      // backups are managed by omegga.backups
+      isBackup: parts.length > 1 && parts[0] === soft.BACKUP_FOLDER,
+    };
+  };
+
+  // find a save that exists and can be changed
+  const resolveEditable = name => {
+    const save = resolve(name);
+    if (!save.exists) throw 'save not found';
+    if (save.isBackup) throw 'backups are managed from the server tab';
+    return save;
+  };
+
+  // find a name for a new save
+  const resolveNew = name => {
+    const save = resolve(name);
+    if (save.isBackup) throw 'backups are managed from the server tab';
+    if (save.exists) throw 'a save with that name already exists';
+    return save;
+  };
+
+  // every save with its size and modified time, names use / for folders
+  const list = () =>
+    omegga
+      .getSaves()
+      .map(savePath => {
+        const name = path
+          .relative(omegga.savePath, savePath)
+          .split(path.sep)
+          .join('/')
+          .replace(/\.brs$/, '');
+        const stat = fs.statSync(savePath);
+        return {
+          name,
+          size: stat.size,
+          modified: stat.mtimeMs,
+          isBackup: name.startsWith(soft.BACKUP_FOLDER + '/'),
+        };
+      })
+      .filter(s => !path.basename(s.name).startsWith(omegga._tempSavePrefix))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+  // screenshots are pngs or jpegs
+  const previewUrl = bytes => {
+    if (!bytes || bytes.length < 4) return null;
+    const buffer = Buffer.from(bytes);
+    const type =
+      buffer[0] === 0x89 && buffer[1] === 0x50
+        ? 'image/png'
+        : buffer[0] === 0xff && buffer[1] === 0xd8
+        ? 'image/jpeg'
+        : null;
+    return type && `data:${type};base64,${buffer.toString('base64')}`;
+  };
+
+  // save_time is a little endian DateTime
+  const saveTime = bytes => {
+    if (!bytes || bytes.length !== 8) return null;
+    const ticks = Buffer.from(bytes).readBigInt64LE();
+    return ticks > 0n ? Number((ticks - UNIX_EPOCH_TICKS) / 10000n) : null;
+  };
+
+  // header data of a save without its bricks
+  const info = name => {
+    const save = resolve(name);
+    if (!save.exists) throw 'save not found';
+
+    const stat = fs.statSync(save.path);
+    let data;
+    try {
+      data = brs.read(fs.readFileSync(save.path), {
+        bricks: false,
+        preview: true,
+      });
+    } catch (e) {
+      throw 'could not read save';
+    }
+
+    return {
+      name: save.name,
+      isBackup: save.isBackup,
+      size: stat.size,
+      modified: stat.mtimeMs,
+      version: data.version,
+      map: data.map,
+      author: data.author,
+      host: data.host ?? null,
+      description: data.description,
+      brickCount: data.brick_count,
+      saved: saveTime(data.save_time),
+      owners: (data.brick_owners ?? []).map(o => ({
+        id: o.id,
+        name: o.name,
+        bricks: o.bricks ?? null,
+      })),
+      preview: previewUrl(data.preview),
+    };
+  };
+
+  // write an uploaded save, the data must be a readable save
+  const upload = (name, buffer) => {
+    const save = resolveNew(name);
+    try {
+      brs.read(buffer, { bricks: false, preview: false });
+    } catch (e) {
+      throw 'file is not a brickadia save';
+    }
+    file.mkdir(path.dirname(save.path));
+    fs.writeFileSync(save.path, buffer);
+    return save;
+  };
+
+  const rename = (from, to) => {
+    const source = resolveEditable(from);
+    const dest = resolveNew(to);
+    file.mkdir(path.dirname(dest.path));
+    fs.renameSync(source.path, dest.path);
+    return dest;
+  };
+
+  const remove = name => {
+    const save = resolveEditable(name);
+    fs.unlinkSync(save.path);
+    return save;
+  };
+
+  return { resolve, resolveNew, list, info, upload, rename, remove };
+};
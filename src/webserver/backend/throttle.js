@@ -0,0 +1,124 @@
+// failed web ui logins allowed before a lockout, and how long they're counted
+const LIMITS = {
+  // per username
+  account: { failures: 5, window: 15 * 60 * 1000 },
+  // per ip address
+  address: { failures: 20, window: 15 * 60 * 1000 },
+};
+
+// first lockout length, it doubles with each lockout in a row
+const LOCKOUT = 5 * 60 * 1000;
+const MAX_LOCKOUT = 24 * 60 * 60 * 1000;
+
+// counts failed logins per account and ip address and locks them out when
+// there are too many. this is kept in memory, restarting omegga clears it
+class LoginThrottle {
+  #entries = new Map();
+
+  #key(kind, name) {
+    return kind + ':' + (kind === 'account' ? name.toLowerCase() : name);
+  }
+
+  #get(kind, name, now) {
+    const key = this.#key(kind, name);
+    const entry = this.#entries.get(key);
+    if (!entry) return null;
+
+    // forget failures outside of the window
+    entry.failures = entry.failures.filter(t => now - t < LIMITS[kind].window);
+
+    // lockouts stop counting as in a row after a quiet window
+    if (
+      entry.failures.length === 0 &&
+      now - entry.lockedUntil > LIMITS[kind].window
+    ) {
+      this.#entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * time in ms until this login can be attempted, 0 if it isn't locked out
+   * @param {String} username
+   * @param {String} address
+   * @return {Number}
+   */
+  lockedFor(username, address, now = Date.now()) {
+    return Math.max(
+      0,
+      ...[
+        ['account', username],
+        ['address', address],
+      ].map(
+        ([kind, name]) => (this.#get(kind, name, now)?.lockedUntil ?? 0) - now
+      )
+    );
+  }
+
+  /**
+   * count a failed login
+   * @param {String} username
+   * @param {String} address
+   * @return {Array} new lockouts, [{ kind, name, failures, duration }]
+   */
+  fail(username, address, now = Date.now()) {
+    const lockouts = [];
+    for (const [kind, name] of [
+      ['account', username],
+      ['address', address],
+    ]) {
+      const entry = this.#get(kind, name, now) ?? {
+        failures: [],
+        lockedUntil: 0,
+        lockouts: 0,
+      };
+      this.#entries.set(this.#key(kind, name), entry);
+      entry.failures.push(now);
+
+      if (entry.failures.length >= LIMITS[kind].failures) {
+        const duration = Math.min(LOCKOUT * 2 ** entry.lockouts, MAX_LOCKOUT);
+        lockouts.push({
+          kind,
+          name,
+          failures: entry.failures.length,
+          duration,
+        });
+        entry.lockedUntil = now + duration;
+        entry.lockouts++;
+        entry.failures = [];
+      }
+    }
+    this.#prune(now);
+    return lockouts;
+  }
+
+  /**
+   * forget failures after a successful login
+   * @param {String} username
+   * @param {String} address
+   */
+  succeed(username, address) {
+    this.#entries.delete(this.#key('account', username));
+    this.#entries.delete(this.#key('address', address));
+  }
+
+  /**
+   * unlock an account, like after resetting its password
+   * @param {String} username
+   */
+  unlock(username) {
+    this.#entries.delete(this.#key('account', username));
+  }
+
+  // drop old entries so spraying usernames doesn't grow memory forever
+  #prune(now) {
+    if (this.#entries.size < 1000) return;
+    for (const key of this.#entries.keys()) {
+      const [kind, ...name] = key.split(':');
+      this.#get(kind, name.join(':'), now);
+    }
+  }
+}
+
+module.exports = { LoginThrottle, LIMITS };
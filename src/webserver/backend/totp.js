@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+// time-based one time passwords (RFC 6238) for web ui two-factor auth,
+// compatible with google authenticator and friends
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP = 30 * 1000;
+const DIGITS = 6;
+
+// authenticator apps share secrets as base32
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  return (bits.match(/.{1,5}/g) ?? [])
+    .map(chunk => ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+}
+
+function base32Decode(text) {
+  const bits = text
+    .toUpperCase()
+    .replace(/[\s=]/g, '')
+    .split('')
+    .map(c => ALPHABET.indexOf(c).toString(2).padStart(5, '0'))
+    .join('');
+  return Buffer.from(
+    (bits.match(/.{8}/g) ?? []).map(byte => parseInt(byte, 2))
+  );
+}
+
+// create a new random secret
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// the code for a secret at a time step
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return code.toString().padStart(DIGITS, '0');
+}
+
+// check a code, allowing one step of clock drift. returns the matching time
+// step so it can't be used again, or null if the code is wrong
+function verify(secret, code, lastStep = 0, now = Date.now()) {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code.trim())) return null;
+  const current = Math.floor(now / STEP);
+  for (const step of [current, current - 1, current + 1]) {
+    if (step <= lastStep) continue;
+    const expected = codeAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code.trim())))
+      return step;
+  }
+  return null;
+}
+
+// uri for the qr code authenticator apps scan
+const keyUri = (secret, account, issuer) =>
+  `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(
+    account
+  )}?secret=${secret}&issuer=${encodeURIComponent(issuer)}`;
+
+module.exports = { generateSecret, verify, keyUri, codeAt };
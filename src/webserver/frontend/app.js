@@ -16,6 +16,15 @@ Vue.prototype.userLookup = [];
 Vue.prototype.showLogout = false;
 Vue.prototype.omeggaData = {};
 
+// rpc methods and rooms the user's role allows, set when the server sends data
+const access = Vue.observable({ permissions: [] });
+Vue.prototype.setPermissions = permissions =>
+  (access.permissions = permissions);
+Vue.prototype.can = action => access.permissions.includes(action);
+
+// moderation alerts received since the web ui was opened, newest first
+Vue.prototype.alerts = Vue.observable({ list: [] });
+
 Vue.prototype.xss = str =>
   str
     .replace(/&/g, '&amp;')
@@ -48,6 +57,15 @@ Vue.prototype.duration = ago => {
   return Math.round(ago) + ' days';
 };
 
+// convert bytes into B/KB/MB/GB
+Vue.prototype.fileSize = bytes => {
+  if (bytes < 1024) return bytes + ' B';
+  if (bytes < 1024 * 1024) return Math.round(bytes / 1024) + ' KB';
+  if (bytes < 1024 * 1024 * 1024)
+    return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+  return (bytes / 1024 / 1024 / 1024).toFixed(1) + ' GB';
+};
+
 // only date
 Vue.prototype.isoDate = time => {
   return Vue.prototype.isoTime(time).split(' ')[0];
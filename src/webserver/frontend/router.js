@@ -6,8 +6,12 @@ import PluginsInspector from './views/PluginsInspector.vue';
 import Players from './views/Players.vue';
 import PlayersInspector from './views/PlayersInspector.vue';
 import Users from './views/Users.vue';
+import Roles from './views/Roles.vue';
 import History from './views/History.vue';
 import Server from './views/Server.vue';
+import Saves from './views/Saves.vue';
+import Audit from './views/Audit.vue';
+import Console from './views/Console.vue';
 import NotFound from './views/NotFound.vue';
 
 const router = new VueRouter({
@@ -50,6 +54,11 @@ const router = new VueRouter({
         },
       ],
     },
+    {
+      name: 'roles',
+      path: '/roles',
+      component: Roles,
+    },
     {
       name: 'users',
       path: '/users',
@@ -72,6 +81,21 @@ const router = new VueRouter({
       path: '/server',
       component: Server,
     },
+    {
+      name: 'saves',
+      path: '/saves',
+      component: Saves,
+    },
+    {
+      name: 'console',
+      path: '/console',
+      component: Console,
+    },
+    {
+      name: 'audit',
+      path: '/audit',
+      component: Audit,
+    },
     {
       name: 'notfound',
       path: '*',
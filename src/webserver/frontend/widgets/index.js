@@ -1,2 +1,7 @@
 import './Chat.vue';
 import './Status.vue';
+import './ServerSettings.vue';
+import './Scheduler.vue';
+import './Backups.vue';
+import './Crashes.vue';
+import './Storage.vue';